@@ -0,0 +1,13 @@
+import { codeAnalyzerAgentSchema } from '../schemas/codeAnalyzerAgent.js';
+
+/**
+ * Code Analyzer - quality scores, bug reports and refactoring advice
+ */
+export default {
+  name: 'analyze',
+  description: 'For code quality review, bug detection, and refactoring suggestions',
+  schema: codeAnalyzerAgentSchema,
+  keywords: ['analyze code', 'review code', 'check quality', 'find bugs', 'code review', 'refactor'],
+  instructions: 'ACTIVE AGENT: Code Analyzer. Score the code quality, list concrete issues and potential bugs, and give actionable refactoring recommendations.',
+  order: 30
+};
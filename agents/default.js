@@ -0,0 +1,13 @@
+import { baseAgentExtendedResponseSchema } from '../schemas/baseAgent.js';
+
+/**
+ * Base Agent - general conversation, code and terminal commands
+ * Requests no other agent claims end up here, so it is required.
+ */
+export default {
+  name: 'default',
+  description: 'For general conversation, questions, or tasks that don\'t fit other categories',
+  schema: baseAgentExtendedResponseSchema,
+  instructions: 'ACTIVE AGENT: Base Agent. Answer directly, write code, or propose a single terminal command, as the request requires.',
+  order: 1000
+};
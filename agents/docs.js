@@ -0,0 +1,13 @@
+import { docGeneratorAgentSchema } from '../schemas/docGeneratorAgent.js';
+
+/**
+ * Documentation Generator - documentation from code
+ */
+export default {
+  name: 'docs',
+  description: 'For creating documentation from code',
+  schema: docGeneratorAgentSchema,
+  keywords: ['document', 'generate docs', 'create documentation', 'explain this code'],
+  instructions: 'ACTIVE AGENT: Documentation Generator. Document the code\'s purpose, parameters, return values, exceptions and usage examples.',
+  order: 50
+};
@@ -0,0 +1,13 @@
+import { fileOperationAgentSchema } from '../schemas/fileOperationAgent.js';
+
+/**
+ * File Operation - file CRUD with safety checks
+ */
+export default {
+  name: 'fileOp',
+  description: 'For file CRUD operations (create, read, update, delete)',
+  schema: fileOperationAgentSchema,
+  keywords: ['create file', 'write file', 'delete file', 'update file', 'move file', 'rename file'],
+  instructions: 'ACTIVE AGENT: File Operation. Describe exactly one file operation with its path, content and the safety checks to run before it.',
+  order: 20
+};
@@ -0,0 +1,13 @@
+import { projectScaffolderAgentSchema } from '../schemas/projectScaffolderAgent.js';
+
+/**
+ * Project Scaffolder - new projects with templates, dependencies and structure
+ */
+export default {
+  name: 'scaffold',
+  description: 'For initializing new projects with templates, dependencies, and directory structures',
+  schema: projectScaffolderAgentSchema,
+  keywords: ['initialize', 'scaffold', 'create project', 'setup project', 'new project', 'bootstrap'],
+  instructions: 'ACTIVE AGENT: Project Scaffolder. Produce the complete project structure, dependencies, configuration files and setup commands for the requested stack.',
+  order: 10
+};
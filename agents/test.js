@@ -0,0 +1,13 @@
+import { testingAgentSchema } from '../schemas/testingAgent.js';
+
+/**
+ * Testing - unit and integration tests with test data
+ */
+export default {
+  name: 'test',
+  description: 'For generating unit tests, integration tests, and test data',
+  schema: testingAgentSchema,
+  keywords: ['generate tests', 'write tests', 'create tests', 'test this', 'unit test', 'integration test'],
+  instructions: 'ACTIVE AGENT: Testing. Choose a framework, write runnable test cases with descriptions and expected results, and state the coverage target.',
+  order: 40
+};
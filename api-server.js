@@ -1,21 +1,40 @@
 import express from 'express';
 import cors from 'cors';
 import { createServer } from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { WebSocketServer } from 'ws';
 import { MemoryManager } from './lib/MemoryManager.js';
-import { schemaRouter } from './lib/schemaRouter.js';
+import { schemaRouter, getAvailableSchemas } from './lib/schemaRouter.js';
+import { loadAgentRegistry, UnknownAgentError } from './lib/agentRegistry.js';
+import { runToolConversation } from './lib/toolDispatcher.js';
 import { executeAgentCommand } from './lib/terminalExecutor.js';
 import { runWarRoom } from './lib/workflows/warRoom.js';
 import { streamCommand } from './lib/terminalStreamer.js';
+import { usageTracker } from './lib/usageTracker.js';
+import { budgetManager, BudgetExceededError } from './lib/budgetManager.js';
+import { extractPartialFields } from './lib/partialJson.js';
+import { getResponseMetadata } from './lib/openaiWrapper.js';
+import { createSessionStore } from './lib/stores/index.js';
+import { toMarkdownTranscript, parseMarkdownTranscript } from './lib/transcript.js';
+import { createPlan, approvePlan, rejectPlan, executePlan, PlanValidationError } from './lib/workflows/planner.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const server = createServer(app);
 const wss = new WebSocketServer({ server, path: '/ws' });
 
-// Store sessions in memory (in production, use Redis or similar)
+// Sessions are persisted to the configured store (LUMEN_SESSION_STORE) and cached here once loaded
+const sessionStore = createSessionStore();
 const sessions = new Map();
 
+// Plans awaiting review or running, by id. Finished and rejected plans are dropped
+// (the approve response, plan_complete and session memory carry their results);
+// pending ones expire after PLAN_TTL_MS, and the oldest go once there are MAX_PLANS.
+const plans = new Map();
+const PLAN_TTL_MS = 60 * 60 * 1000;
+const MAX_PLANS = 100;
+
 app.use(cors());
 app.use(express.json());
 
@@ -24,10 +43,13 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', service: 'Lumen Core API', version: '1.0.0' });
 });
 
-// Get or create session
-function getSession(sessionId) {
+// Get or create session, loading it from the store on first use
+async function getSession(sessionId) {
   if (!sessions.has(sessionId)) {
-    sessions.set(sessionId, new MemoryManager());
+    // Cache the pending load so concurrent requests share one MemoryManager
+    const loading = MemoryManager.load(sessionId, sessionStore);
+    sessions.set(sessionId, loading);
+    loading.catch(() => sessions.delete(sessionId));
   }
   return sessions.get(sessionId);
 }
@@ -35,25 +57,55 @@ function getSession(sessionId) {
 // Main chat endpoint
 app.post('/api/chat', async (req, res) => {
   try {
-    const { message, sessionId = 'default', autoApprove = true } = req.body;
+    const { message, sessionId = 'default', autoApprove, mode = 'schema', agent } = req.body;
     
     if (!message) {
       return res.status(400).json({ error: 'Message is required' });
     }
+    if (agent !== undefined) {
+      if (mode === 'tools') {
+        return res.status(400).json({ error: 'agent cannot be combined with mode "tools"' });
+      }
+      // Checked before anything is stored or spent
+      (await loadAgentRegistry()).resolve(agent);
+    }
+
+    // Attribute spend to the caller's API key and refuse work once a budget is used up
+    usageTracker.bindSession(sessionId, req.get('x-api-key'));
+    budgetManager.assertWithinBudget({ sessionId });
 
-    const memory = getSession(sessionId);
+    const memory = await getSession(sessionId);
     await memory.addInteraction('user', message);
 
-    const response = await schemaRouter(message, memory);
+    // Native tool calling: the model may call several tools before answering.
+    // Side-effecting tools only run with an explicit autoApprove: true; otherwise
+    // they report approval_required instead of running.
+    if (mode === 'tools') {
+      const result = await runToolConversation(message, memory, { autoApprove: autoApprove === true });
+      await memory.addInteraction('ai', result.response);
+
+      return res.json({
+        type: 'tools',
+        response: result.response,
+        toolCalls: result.toolCalls,
+        memoryStatus: memory.getMemoryStatus()
+      });
+    }
+
+    const { routing, response, proposedFacts } = await schemaRouter(message, memory, { agent });
     
     // Handle terminal commands
     if (response.choice === 'terminalCommand') {
-      if (!autoApprove && response.requiresApproval) {
+      if (autoApprove === false && response.requiresApproval) {
         return res.json({
           type: 'approval_required',
           command: response.terminalCommand,
           reasoning: response.commandReasoning,
-          response: response
+          response: response,
+          selectedAgent: routing.agent,
+          routing,
+          proposedFacts,
+          meta: getResponseMetadata(response)
         });
       }
       
@@ -72,6 +124,10 @@ app.post('/api/chat', async (req, res) => {
         type: 'terminal',
         response: response,
         execution: execResult,
+        selectedAgent: routing.agent,
+        routing,
+        proposedFacts,
+        meta: getResponseMetadata(response),
         memoryStatus: memory.getMemoryStatus()
       });
     }
@@ -81,45 +137,527 @@ app.post('/api/chat', async (req, res) => {
     res.json({
       type: response.choice || 'response',
       response: response,
+      selectedAgent: routing.agent,
+      routing,
+      proposedFacts,
+      meta: getResponseMetadata(response),
       memoryStatus: memory.getMemoryStatus()
     });
     
   } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      return res.status(402).json({ error: error.message, code: error.code, budget: error.toJSON() });
+    }
+    if (error instanceof UnknownAgentError) {
+      return res.status(400).json({ error: error.message, code: error.code, availableAgents: error.available });
+    }
     console.error('Chat error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 // Get memory status
-app.get('/api/memory/:sessionId', (req, res) => {
-  const memory = getSession(req.params.sessionId);
-  res.json(memory.getMemoryStatus());
+app.get('/api/memory/:sessionId', async (req, res) => {
+  try {
+    const memory = await getSession(req.params.sessionId);
+    res.json(memory.getMemoryStatus());
+  } catch (error) {
+    console.error('Memory status error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pinned facts - constraints and goals that always hydrate verbatim
+app.get('/api/memory/:sessionId/facts', async (req, res) => {
+  try {
+    const memory = await getSession(req.params.sessionId);
+    res.json({ facts: memory.getPinnedFacts(), proposed: memory.getProposedFacts() });
+  } catch (error) {
+    console.error('Facts error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/memory/:sessionId/facts', async (req, res) => {
+  try {
+    const { text } = req.body;
+    if (!text || typeof text !== 'string') {
+      return res.status(400).json({ error: 'Fact text is required' });
+    }
+
+    const memory = await getSession(req.params.sessionId);
+    if (memory.getPinnedFacts().length >= memory.config.maxPinnedFacts) {
+      return res.status(409).json({ error: `Pinned fact limit reached (${memory.config.maxPinnedFacts})` });
+    }
+    res.status(201).json({ fact: await memory.pinFact(text) });
+  } catch (error) {
+    console.error('Pin fact error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/memory/:sessionId/facts/:factId', async (req, res) => {
+  try {
+    const { text } = req.body;
+    if (!text || typeof text !== 'string') {
+      return res.status(400).json({ error: 'Fact text is required' });
+    }
+
+    const memory = await getSession(req.params.sessionId);
+    const fact = await memory.updateFact(req.params.factId, text);
+    if (!fact) {
+      return res.status(404).json({ error: `No pinned fact ${req.params.factId}` });
+    }
+    res.json({ fact });
+  } catch (error) {
+    console.error('Update fact error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/memory/:sessionId/facts/:factId', async (req, res) => {
+  try {
+    const memory = await getSession(req.params.sessionId);
+    if (!await memory.unpinFact(req.params.factId)) {
+      return res.status(404).json({ error: `No pinned fact ${req.params.factId}` });
+    }
+    res.json({ status: 'unpinned' });
+  } catch (error) {
+    console.error('Unpin fact error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Facts proposed by agents stay pending until the user accepts them
+app.post('/api/memory/:sessionId/facts/proposed/:proposalId/accept', async (req, res) => {
+  try {
+    const memory = await getSession(req.params.sessionId);
+    if (!memory.getProposedFacts().some(p => p.id === Number(req.params.proposalId))) {
+      return res.status(404).json({ error: `No proposed fact ${req.params.proposalId}` });
+    }
+    if (memory.getPinnedFacts().length >= memory.config.maxPinnedFacts) {
+      return res.status(409).json({ error: `Pinned fact limit reached (${memory.config.maxPinnedFacts})` });
+    }
+    res.status(201).json({ fact: await memory.acceptProposedFact(req.params.proposalId) });
+  } catch (error) {
+    console.error('Accept fact error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/memory/:sessionId/facts/proposed/:proposalId', async (req, res) => {
+  try {
+    const memory = await getSession(req.params.sessionId);
+    if (!await memory.rejectProposedFact(req.params.proposalId)) {
+      return res.status(404).json({ error: `No proposed fact ${req.params.proposalId}` });
+    }
+    res.json({ status: 'rejected' });
+  } catch (error) {
+    console.error('Reject fact error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Inspect and edit memory - what the model was given, and fixing it
+app.get('/api/memory/:sessionId/interactions', async (req, res) => {
+  try {
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    if (offset < 0 || limit < 1) {
+      return res.status(400).json({ error: 'offset must be >= 0 and limit >= 1' });
+    }
+
+    const memory = await getSession(req.params.sessionId);
+    res.json(memory.getInteractions({ offset, limit }));
+  } catch (error) {
+    console.error('Interactions error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/memory/:sessionId/interactions/:interactionId', async (req, res) => {
+  try {
+    const { text } = req.body;
+    if (!text || typeof text !== 'string') {
+      return res.status(400).json({ error: 'Interaction text is required' });
+    }
+
+    const memory = await getSession(req.params.sessionId);
+    const interaction = await memory.editInteraction(req.params.interactionId, text);
+    if (!interaction) {
+      return res.status(404).json({ error: `No interaction ${req.params.interactionId}` });
+    }
+    res.json({ interaction });
+  } catch (error) {
+    console.error('Edit interaction error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/memory/:sessionId/interactions/:interactionId', async (req, res) => {
+  try {
+    const memory = await getSession(req.params.sessionId);
+    if (!await memory.deleteInteraction(req.params.interactionId)) {
+      return res.status(404).json({ error: `No interaction ${req.params.interactionId}` });
+    }
+    res.json({ status: 'deleted' });
+  } catch (error) {
+    console.error('Delete interaction error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/memory/:sessionId/summaries', async (req, res) => {
+  try {
+    const memory = await getSession(req.params.sessionId);
+    res.json({ summaries: memory.summaries, digest: memory.getLongTermDigest() });
+  } catch (error) {
+    console.error('Summaries error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/memory/:sessionId/summarize', async (req, res) => {
+  try {
+    const { startId, endId } = req.body || {};
+    const memory = await getSession(req.params.sessionId);
+    const result = await memory.resummarize({ startId, endId });
+    res.json({ ...result, summaries: memory.summaries, digest: memory.getLongTermDigest() });
+  } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      return res.status(402).json({ error: error.message, code: error.code, budget: error.toJSON() });
+    }
+    console.error('Summarize error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The memory messages the model gets for a request (pass ?input= to include recall)
+app.get('/api/memory/:sessionId/context', async (req, res) => {
+  try {
+    const input = req.query.input || null;
+    const memory = await getSession(req.params.sessionId);
+    const recalled = input ? await memory.recall(input) : [];
+    res.json({ messages: memory.toMessages(input, { recalled }), recalled });
+  } catch (error) {
+    console.error('Context error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/memory/:sessionId/export', async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+    if (!['json', 'markdown'].includes(format)) {
+      return res.status(400).json({ error: 'format must be "json" or "markdown"' });
+    }
+
+    const memory = await getSession(req.params.sessionId);
+    await memory.flushCompaction();
+    if (format === 'markdown') {
+      return res.type('text/markdown').send(toMarkdownTranscript(memory.exportSession()));
+    }
+    res.json(memory.exportSession());
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/memory/:sessionId/import', async (req, res) => {
+  try {
+    const { state, transcript, overwrite = false } = req.body || {};
+    const { sessionId } = req.params;
+
+    let imported;
+    try {
+      imported = transcript !== undefined ? parseMarkdownTranscript(transcript) : state;
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (!imported || (!Array.isArray(imported.archive) && !Array.isArray(imported.interactions))) {
+      return res.status(400).json({ error: 'Body needs a state (exported JSON) or a transcript (Markdown)' });
+    }
+
+    const existing = sessions.has(sessionId) ? await sessions.get(sessionId) : await sessionStore.load(sessionId);
+    if (existing && !overwrite && (existing.globalCounter || 0) > 0) {
+      return res.status(409).json({ error: `Session ${sessionId} already exists (pass overwrite: true to replace it)` });
+    }
+
+    // Let the replaced instance finish compacting (and saving) before it is dropped,
+    // so a late save of the old history can't overwrite the import
+    if (existing instanceof MemoryManager) {
+      await existing.flushCompaction();
+      sessions.delete(sessionId);
+    }
+
+    const memory = new MemoryManager({ sessionId, store: sessionStore });
+    await memory.importSession(imported);
+    sessions.set(sessionId, Promise.resolve(memory));
+
+    res.status(201).json({ sessionId, memoryStatus: memory.getMemoryStatus() });
+  } catch (error) {
+    console.error('Import error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Read a non-negative integer from a request body field
+ * JSON numbers and digit strings are accepted; anything else (null, '', true,
+ * 1.5, '3abc') is not, as Number() would quietly turn those into a count.
+ * @param {*} value - Field value
+ * @returns {number|null} The integer, or null when the value isn't one
+ */
+function parseCount(value) {
+  if (typeof value === 'number') return Number.isInteger(value) && value >= 0 ? value : null;
+  return typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : null;
+}
+
+// Fork a session at an interaction into a new session that shares its history
+app.post('/api/session/:sessionId/fork', async (req, res) => {
+  try {
+    const { interactionId, newSessionId = `${req.params.sessionId}-fork-${Date.now().toString(36)}` } = req.body || {};
+    const memory = await getSession(req.params.sessionId);
+
+    const atId = interactionId === undefined ? memory.globalCounter : parseCount(interactionId);
+    if (atId === null || atId > memory.globalCounter) {
+      return res.status(400).json({ error: `Session ${req.params.sessionId} has no interaction ${interactionId}` });
+    }
+    if (sessions.has(newSessionId) || await sessionStore.load(newSessionId)) {
+      return res.status(409).json({ error: `Session ${newSessionId} already exists` });
+    }
+
+    const child = await memory.fork(newSessionId, { atId, store: sessionStore });
+    sessions.set(newSessionId, Promise.resolve(child));
+
+    res.status(201).json({
+      sessionId: newSessionId,
+      parent: child.parent,
+      memoryStatus: child.getMemoryStatus()
+    });
+  } catch (error) {
+    console.error('Fork error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rewind a session: drop everything after an interaction, or the last N turns
+app.post('/api/session/:sessionId/rewind', async (req, res) => {
+  try {
+    const { interactionId, turns } = req.body || {};
+    if (interactionId === undefined && turns === undefined) {
+      return res.status(400).json({ error: 'interactionId or turns is required' });
+    }
+    const toId = interactionId === undefined ? undefined : parseCount(interactionId);
+    const count = turns === undefined ? undefined : parseCount(turns);
+    if (toId === null || count === null) {
+      return res.status(400).json({ error: `${toId === null ? 'interactionId' : 'turns'} must be a non-negative integer` });
+    }
+
+    const memory = await getSession(req.params.sessionId);
+    let result;
+    try {
+      result = toId !== undefined ? await memory.rewind(toId) : await memory.rewindTurns(count);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ status: 'rewound', ...result, memoryStatus: memory.getMemoryStatus() });
+  } catch (error) {
+    console.error('Rewind error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Lineage: the session this one was forked from and the branches forked from it
+app.get('/api/session/:sessionId/branches', async (req, res) => {
+  try {
+    const memory = await getSession(req.params.sessionId);
+    res.json(memory.getLineage());
+  } catch (error) {
+    console.error('Branches error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Compare two related sessions from the point where they diverge
+app.get('/api/session/:sessionId/compare/:otherSessionId', async (req, res) => {
+  try {
+    const [left, right] = await Promise.all([getSession(req.params.sessionId), getSession(req.params.otherSessionId)]);
+    res.json(MemoryManager.compare(left, right));
+  } catch (error) {
+    console.error('Compare error:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // Clear session
-app.delete('/api/session/:sessionId', (req, res) => {
-  sessions.delete(req.params.sessionId);
-  res.json({ status: 'cleared' });
+app.delete('/api/session/:sessionId', async (req, res) => {
+  try {
+    sessions.delete(req.params.sessionId);
+    await sessionStore.delete(req.params.sessionId);
+    res.json({ status: 'cleared' });
+  } catch (error) {
+    console.error('Session clear error:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // War Room endpoint - Multi-agent review
 app.post('/api/war-room', async (req, res) => {
   try {
-    const { proposal, code, context } = req.body;
+    const { proposal, code, context, sessionId, noCache = false } = req.body;
     
     if (!proposal || !code) {
       return res.status(400).json({ error: 'Proposal and code are required' });
     }
 
-    const result = await runWarRoom(proposal, code, context);
+    // Reviews without a session are accounted to a shared 'warRoom' session
+    const reviewSessionId = sessionId || 'warRoom';
+    if (sessionId) {
+      usageTracker.bindSession(sessionId, req.get('x-api-key'));
+    }
+    budgetManager.assertWithinBudget({ sessionId: reviewSessionId, apiKey: req.get('x-api-key') });
+
+    // Identical submissions are served from the response cache unless bypassed
+    const bypassCache = noCache || req.get('cache-control') === 'no-cache';
+    const result = await runWarRoom(proposal, code, context, { sessionId: reviewSessionId, cache: !bypassCache });
     
     res.json(result);
   } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      return res.status(402).json({ error: error.message, code: error.code, budget: error.toJSON() });
+    }
     console.error('War Room error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Plan a multi-agent request; the plan waits for review and approval
+app.post('/api/plan', async (req, res) => {
+  try {
+    const { message, sessionId = 'default' } = req.body;
+
+    if (!message) {
+      return res.status(400).json({ error: 'Message is required' });
+    }
+
+    usageTracker.bindSession(sessionId, req.get('x-api-key'));
+    budgetManager.assertWithinBudget({ sessionId });
+
+    const memory = await getSession(sessionId);
+    await memory.addInteraction('user', message);
+    const plan = await createPlan(message, { memory });
+    storePlan(plan);
+
+    res.status(201).json({ plan });
+  } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      return res.status(402).json({ error: error.message, code: error.code, budget: error.toJSON() });
+    }
+    if (error instanceof PlanValidationError) {
+      // The model's plan, not the request, was malformed
+      return res.status(502).json({ error: error.message, code: error.code, problems: error.problems });
+    }
+    console.error('Planning error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a plan with its steps and, once run, their results
+app.get('/api/plan/:planId', (req, res) => {
+  const plan = plans.get(req.params.planId);
+  if (!plan) {
+    return res.status(404).json({ error: 'Plan not found' });
+  }
+  res.json({ plan });
+});
+
+// Approve a plan (optionally with revised steps) and run it
+app.post('/api/plan/:planId/approve', async (req, res) => {
+  try {
+    const { steps, parallel = true } = req.body || {};
+    const plan = plans.get(req.params.planId);
+    if (!plan) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+    if (plan.status !== 'pending') {
+      return res.status(409).json({ error: `Plan is ${plan.status}, not pending` });
+    }
+
+    await runApprovedPlan(plan, { steps, parallel });
+    res.json({ plan });
+  } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      return res.status(402).json({ error: error.message, code: error.code, budget: error.toJSON() });
+    }
+    if (error instanceof PlanValidationError) {
+      return res.status(400).json({ error: error.message, code: error.code, problems: error.problems });
+    }
+    console.error('Plan execution error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reject a plan so it can no longer run
+app.post('/api/plan/:planId/reject', (req, res) => {
+  const plan = plans.get(req.params.planId);
+  if (!plan) {
+    return res.status(404).json({ error: 'Plan not found' });
+  }
+  if (plan.status !== 'pending') {
+    return res.status(409).json({ error: `Plan is ${plan.status}, not pending` });
+  }
+  plans.delete(plan.id);
+  res.json({ plan: rejectPlan(plan) });
+});
+
+/**
+ * Keep a new plan for review, expiring stale pending plans and keeping at most MAX_PLANS
+ * @param {object} plan - Pending plan
+ */
+function storePlan(plan) {
+  const now = Date.now();
+  for (const [id, stored] of plans) {
+    if (stored.status === 'pending' && now - Date.parse(stored.createdAt) > PLAN_TTL_MS) plans.delete(id);
+  }
+  plans.set(plan.id, plan);
+  for (const [id, stored] of plans) {
+    if (plans.size <= MAX_PLANS) break;
+    if (stored.status === 'pending') plans.delete(id);
+  }
+}
+
+/**
+ * Approve a pending plan and run it against its session
+ * @param {object} plan - Pending plan
+ * @param {object} options - { steps: revised steps, parallel, onEvent: progress callback }
+ * @returns {Promise<object>} The finished plan
+ */
+async function runApprovedPlan(plan, { steps, parallel = true, onEvent } = {}) {
+  budgetManager.assertWithinBudget({ sessionId: plan.sessionId });
+  try {
+    await approvePlan(plan, { steps });
+    const memory = await getSession(plan.sessionId);
+    return await executePlan(plan, { memory, parallel, onEvent });
+  } finally {
+    // A plan that didn't validate is still pending; anything else is done with
+    if (plan.status !== 'pending') plans.delete(plan.id);
+  }
+}
+
+// List the registered agents a chat can be routed (or forced) to
+app.get('/api/agents', async (req, res) => {
+  try {
+    const agents = await getAvailableSchemas();
+    res.json({ count: agents.length, agents });
+  } catch (error) {
+    console.error('Agent listing error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Documentation endpoint
 app.get('/api/docs', (req, res) => {
   res.json({
@@ -127,24 +665,116 @@ app.get('/api/docs', (req, res) => {
     version: '1.0.0',
     endpoints: {
       'GET /health': 'Health check',
-      'POST /api/chat': 'Send message to Lumen Core (body: {message, sessionId?, autoApprove?})',
-      'POST /api/war-room': 'Multi-agent code review (body: {proposal, code, context?})',
+      'POST /api/chat': 'Send message to Lumen Core (body: {message, sessionId?, autoApprove?, mode?: "schema" | "tools", agent?})',
+      'GET /api/agents': 'List the registered agents with their descriptions, keywords and schemas',
+      'POST /api/plan': 'Plan a multi-agent request for review (body: {message, sessionId?})',
+      'GET /api/plan/:planId': 'Get a plan and its step results',
+      'POST /api/plan/:planId/approve': 'Approve and run a plan (body: {steps?, parallel?})',
+      'POST /api/plan/:planId/reject': 'Reject a pending plan',
+      'POST /api/war-room': 'Multi-agent code review (body: {proposal, code, context?, sessionId?, noCache?})',
       'GET /api/memory/:sessionId': 'Get memory status for session',
+      'GET /api/memory/:sessionId/facts': 'List pinned facts and agent proposals awaiting review',
+      'POST /api/memory/:sessionId/facts': 'Pin a fact (body: {text})',
+      'PUT /api/memory/:sessionId/facts/:factId': 'Edit a pinned fact (body: {text})',
+      'DELETE /api/memory/:sessionId/facts/:factId': 'Unpin a fact',
+      'POST /api/memory/:sessionId/facts/proposed/:proposalId/accept': 'Pin a fact proposed by an agent',
+      'DELETE /api/memory/:sessionId/facts/proposed/:proposalId': 'Discard a fact proposed by an agent',
+      'GET /api/memory/:sessionId/interactions': 'List interactions (query: offset?, limit?)',
+      'PUT /api/memory/:sessionId/interactions/:interactionId': 'Edit an interaction (body: {text})',
+      'DELETE /api/memory/:sessionId/interactions/:interactionId': 'Delete an interaction',
+      'GET /api/memory/:sessionId/summaries': 'List summaries and the long-term digest with their ranges',
+      'POST /api/memory/:sessionId/summarize': 'Regenerate summaries (body: {startId?, endId?})',
+      'GET /api/memory/:sessionId/context': 'Memory messages sent to the model (query: input?)',
+      'GET /api/memory/:sessionId/export': 'Export a session (query: format? "json" | "markdown")',
+      'POST /api/memory/:sessionId/import': 'Import a session (body: {state} or {transcript}, overwrite?)',
+      'POST /api/session/:sessionId/fork': 'Fork a session (body: {interactionId?, newSessionId?})',
+      'POST /api/session/:sessionId/rewind': 'Remove interactions after a point (body: {interactionId} or {turns})',
+      'GET /api/session/:sessionId/branches': 'Get parent and branches of a session',
+      'GET /api/session/:sessionId/compare/:otherSessionId': 'Compare two sessions after their fork point',
       'DELETE /api/session/:sessionId': 'Clear session memory',
       'GET /api/docs': 'This documentation'
     },
     features: {
       memoryManagement: '21-interaction rolling window + 3 summaries',
-      agents: ['base', 'scaffold', 'fileOp', 'analyze', 'test', 'docs'],
+      agents: 'Agent plugins from agents/ and LUMEN_AGENTS_DIR (see GET /api/agents)',
       safeExecution: 'Terminal commands with approval gates',
       warRoom: 'Multi-agent debate system for code review'
     }
   });
 });
 
+/**
+ * Stream a chat turn over WebSocket
+ * Sends chat_start, chat_delta for each new piece of the response/code
+ * fields (chat_reset when a retry or fallback model discards what was
+ * streamed), then chat_complete with the validated response. Terminal commands
+ * are not executed here; the client runs them with an 'execute' message.
+ * Spend is attributed to the API key sent when the socket connected.
+ */
+async function streamChat(ws, { message, sessionId = 'default', agent }, apiKey) {
+  if (!message) {
+    throw new Error('Message is required');
+  }
+  if (agent !== undefined) {
+    (await loadAgentRegistry()).resolve(agent);
+  }
+
+  usageTracker.bindSession(sessionId, apiKey);
+  budgetManager.assertWithinBudget({ sessionId });
+
+  const memory = await getSession(sessionId);
+  await memory.addInteraction('user', message);
+
+  ws.send(JSON.stringify({ type: 'chat_start', sessionId }));
+
+  const sent = { response: '', code: '' };
+  const { routing, response, proposedFacts } = await schemaRouter(message, memory, {
+    agent,
+    onDelta: ({ type, text, reason }) => {
+      if (type === 'reset') {
+        sent.response = '';
+        sent.code = '';
+        ws.send(JSON.stringify({ type: 'chat_reset', reason, timestamp: Date.now() }));
+        return;
+      }
+      const fields = extractPartialFields(text, ['response', 'code']);
+      for (const [field, value] of Object.entries(fields)) {
+        if (value.length > sent[field].length) {
+          ws.send(JSON.stringify({
+            type: 'chat_delta',
+            field,
+            delta: value.slice(sent[field].length),
+            timestamp: Date.now()
+          }));
+          sent[field] = value;
+        }
+      }
+    }
+  });
+
+  await memory.addInteraction('ai', response.response || 'Processing...');
+
+  let type = response.choice || 'response';
+  if (response.choice === 'terminalCommand') {
+    type = response.requiresApproval ? 'approval_required' : 'terminal';
+  }
+
+  ws.send(JSON.stringify({
+    type: 'chat_complete',
+    responseType: type,
+    response,
+    routing,
+    proposedFacts,
+    meta: getResponseMetadata(response),
+    memoryStatus: memory.getMemoryStatus()
+  }));
+}
+
 // WebSocket connection handler
-wss.on('connection', (ws) => {
+wss.on('connection', (ws, req) => {
   console.log('WebSocket client connected');
+  // Key of the handshake's X-API-Key header, used for this socket's chat turns
+  const apiKey = req.headers['x-api-key'];
 
   ws.on('message', async (message) => {
     try {
@@ -163,6 +793,45 @@ wss.on('connection', (ws) => {
         // Stream command execution
         await streamCommand(command, ws, { cwd });
       }
+
+      if (data.type === 'plan_approve') {
+        // Progress streams as plan_start, plan_step_* and plan_complete messages
+        const plan = plans.get(data.planId);
+        try {
+          if (!plan) {
+            throw new Error('Plan not found');
+          }
+          if (plan.status !== 'pending') {
+            throw new Error(`Plan is ${plan.status}, not pending`);
+          }
+          await runApprovedPlan(plan, {
+            steps: data.steps,
+            parallel: data.parallel !== false,
+            onEvent: event => ws.send(JSON.stringify({ ...event, timestamp: Date.now() }))
+          });
+        } catch (error) {
+          ws.send(JSON.stringify({
+            type: 'plan_error',
+            planId: data.planId,
+            message: error.message,
+            ...(error instanceof BudgetExceededError ? { code: error.code, budget: error.toJSON() } : {}),
+            ...(error instanceof PlanValidationError ? { code: error.code, problems: error.problems } : {})
+          }));
+        }
+      }
+
+      if (data.type === 'chat') {
+        try {
+          await streamChat(ws, data, apiKey);
+        } catch (error) {
+          ws.send(JSON.stringify({
+            type: 'chat_error',
+            message: error.message,
+            ...(error instanceof BudgetExceededError ? { code: error.code, budget: error.toJSON() } : {}),
+            ...(error instanceof UnknownAgentError ? { code: error.code, availableAgents: error.available } : {})
+          }));
+        }
+      }
     } catch (error) {
       ws.send(JSON.stringify({
         type: 'error',
@@ -180,8 +849,14 @@ wss.on('connection', (ws) => {
   });
 });
 
-server.listen(PORT, () => {
-  console.log('Lumen Core API running on port ' + PORT);
-  console.log('WebSocket server: ws://localhost:' + PORT + '/ws');
-  console.log('Documentation: http://localhost:' + PORT + '/api/docs');
-});
+// Listen when run directly; tests import the app and listen on their own port
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  server.listen(PORT, () => {
+    console.log('Lumen Core API running on port ' + PORT);
+    console.log('WebSocket server: ws://localhost:' + PORT + '/ws');
+    console.log('Documentation: http://localhost:' + PORT + '/api/docs');
+    console.log('Session store: ' + sessionStore.name);
+  });
+}
+
+export { app, server };
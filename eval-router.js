@@ -0,0 +1,67 @@
+import path from 'path';
+import { loadAgentRegistry } from './lib/agentRegistry.js';
+import { loadRouterDataset, evaluateRouter, createScriptedClassifier, formatRouterReport } from './lib/routerEval.js';
+import { resolveCassette } from './lib/llmCassette.js';
+
+/**
+ * Router evaluation - routes a labeled dataset without running any agent
+ *
+ * Usage:
+ *   node eval-router.js [dataset.jsonl] [--scripted] [--json] [--min-accuracy=0.8]
+ *
+ * --scripted   Offline: the classifier answers with each case's label (or its
+ *              "classifier" field), which measures the keyword fast path alone
+ * (default)    Uses the configured provider
+ * --cassette=<mode>  Record the live classifier to cassettes/eval-router.json
+ *              (record), or replay a local recording offline (strict); same as
+ *              setting LUMEN_CASSETTE_MODE
+ * --json       Print the full report as JSON
+ * --min-accuracy  Exit with status 1 below this accuracy (for CI)
+ */
+const args = process.argv.slice(2);
+const flags = Object.fromEntries(args.filter(arg => arg.startsWith('--')).map(arg => {
+  const [name, value = true] = arg.slice(2).split('=');
+  return [name, value];
+}));
+const datasetPath = args.find(arg => !arg.startsWith('--')) || path.join('evals', 'router-intents.jsonl');
+
+async function main() {
+  const cases = loadRouterDataset(datasetPath);
+  const agents = await loadAgentRegistry();
+  const provider = flags.scripted ? createScriptedClassifier(cases) : null;
+  if (flags.cassette) process.env.LUMEN_CASSETTE_MODE = flags.cassette;
+  const cassette = resolveCassette();
+  const source = flags.scripted
+    ? 'scripted (labels)'
+    : `${process.env.LUMEN_LLM_PROVIDER || 'openai'}${cassette ? `, cassette ${cassette.mode}` : ''}`;
+
+  console.error(`\n📊 Router evaluation: ${cases.length} cases from ${datasetPath} (classifier: ${source})`);
+
+  // Routing logs every decision; keep the report readable
+  const log = console.log;
+  console.log = () => {};
+  let report;
+  try {
+    report = await evaluateRouter(cases, {
+      agents,
+      provider,
+      onCase: result => process.stderr.write(result.correct ? '.' : 'x')
+    });
+  } finally {
+    console.log = log;
+  }
+  process.stderr.write('\n\n');
+
+  console.log(flags.json ? JSON.stringify(report, null, 2) : formatRouterReport(report));
+
+  const minAccuracy = flags['min-accuracy'] !== undefined ? Number(flags['min-accuracy']) : null;
+  if (minAccuracy !== null && report.accuracy < minAccuracy) {
+    console.error(`\n❌ Accuracy ${(report.accuracy * 100).toFixed(1)}% is below ${(minAccuracy * 100).toFixed(1)}%`);
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error('Router evaluation failed:', error.message);
+  process.exit(1);
+});
@@ -4,14 +4,14 @@
  */
 
 // ========== IMPORTS ==========
-const express = require('express');
-const cors = require('cors');
-const { createServer } = require('http');
-const { WebSocketServer } = require('ws');
+import express from 'express';
+import cors from 'cors';
+import { createServer } from 'http';
+import { WebSocketServer } from 'ws';
 
 // Analytics imports
-const { getAnalyticsProvider } = require('./lib/analyticsProvider');
-const {
+import { getAnalyticsProvider } from './lib/analyticsProvider.js';
+import {
   chatAnalyticsMiddleware,
   warRoomAnalyticsMiddleware,
   sessionAnalyticsMiddleware,
@@ -19,8 +19,8 @@ const {
   initAnalyticsMiddleware,
   timingMiddleware,
   WebSocketAnalytics
-} = require('./lib/analyticsMiddleware');
-const analyticsRoutes = require('./lib/analyticsRoutes');
+} from './lib/analyticsMiddleware.js';
+import analyticsRoutes from './lib/analyticsRoutes.js';
 
 // ========== APP SETUP ==========
 const app = express();
@@ -286,4 +286,4 @@ process.on('SIGTERM', async () => {
   });
 });
 
-module.exports = { app, server };
+export { app, server };
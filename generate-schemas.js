@@ -21,6 +21,8 @@ async function generateSchema(description, filename) {
       Return the complete schema as a valid JSON object string that can be parsed.`,
       { 
         schema: schemaGeneratorResponseSchema,
+        schemaName: 'schemaGenerator',
+        caller: 'schemaGenerator',
         temperature: 0.7 
       }
     );
@@ -1,104 +1,1106 @@
-import { queryOpenAI } from './openaiWrapper.js';
+import { queryOpenAI, embedTexts, BudgetExceededError } from './openaiWrapper.js';
 import { summarizeAgentResponseSchema } from '../schemas/summarizeAgent.js';
+import { usageTracker } from './usageTracker.js';
+import { estimateTokens, truncateToTokens } from './tokenCounter.js';
+import { Bm25Index, cosineSimilarity } from './recallIndex.js';
+import { logEvent } from './auditLogger.js';
+import { Redactor, normalizePatterns, loadPatternsFromEnv, isRedactionEnabled } from './redactor.js';
+
+// Per-entry token caps by role in token budget mode; command output (system) is capped hardest
+const DEFAULT_ROLE_TOKEN_CAPS = { user: 2000, ai: 2000, system: 1000 };
+
+// Size of a digest built by concatenation when the merge call fails
+const SUMMARY_FALLBACK_TOKENS = 1500;
+
+// Archived texts are capped so a huge output doesn't bloat every save; recalled ones are shortened further
+const ARCHIVE_ENTRY_TOKENS = 2000;
+const RECALLED_ENTRY_TOKENS = 300;
+
+// Embedding similarity a recalled interaction needs when it shares no terms with the query
+const MIN_RECALL_SIMILARITY = 0.35;
+const EMBEDDING_BATCH_SIZE = 100;
+
+// Facts an agent proposes wait for the user's review; only the first few of one response are kept
+const MAX_PROPOSALS_PER_TURN = 3;
+const MAX_PENDING_PROPOSALS = 20;
+
+// Settings a persisted session may restore; redaction settings always come from the server's config
+const PERSISTED_CONFIG_KEYS = ['windowSize', 'maxSummaries', 'maxSummaryLevels', 'maxPinnedFacts', 'tokenBudget', 'compactionThreshold', 'compactionBatchSize', 'archiveLimit', 'recallLimit', 'recallEmbeddings', 'roleTokenCaps'];
+const NULLABLE_CONFIG_KEYS = new Set(['tokenBudget', 'compactionThreshold', 'compactionBatchSize']);
 
 /**
  * MemoryManager - Implements the 21-interaction rolling window 
  * and 3-chunk rolling summary method.
  * 
+ * Once the window passes its threshold, the oldest third is summarized as
+ * one chunk and removed together, in the background, so summary ranges
+ * never overlap and there is one summary call per chunk, not per message.
+ * 
  * This creates a "Context Hydrator" that maintains both:
  * - Recent detailed interactions (last 21 messages)
  * - Compressed historical summaries (3 rolling chunks)
  * 
  * This approach prevents context window bloat while maintaining
  * long-term alignment with project goals.
+ *
+ * Summaries evicted from the 3 chunks aren't lost: they are merged into
+ * level-1 "epoch" summaries (each covering up to maxSummaries chunks),
+ * evicted epochs into level 2, and so on up to a single top-level digest
+ * that keeps absorbing everything older. Together the epochs form the
+ * long-term digest sent ahead of the recent summaries.
+ *
+ * Pinned facts ("use PostgreSQL", "never touch prod") sit above all of it:
+ * they are never summarized and always hydrate verbatim, first. Facts an
+ * agent proposes are held as pending until the user accepts them.
+ *
+ * Every interaction is also kept in an archive with a BM25 index (plus
+ * optional provider embeddings), so recall() can bring back relevant older
+ * interactions, cited by id, long after they left the window.
+ *
+ * Sessions can be forked at any interaction: the child shares the history up
+ * to that point and both keep their lineage (parent / branches).
+ *
+ * With `tokenBudget` set, the window is sized by estimated tokens instead of
+ * message count: oversized entries are truncated to their role's cap
+ * (keeping head and tail) and compaction fires once the window exceeds the
+ * budget.
  */
 export class MemoryManager {
-  constructor(config = { windowSize: 21, maxSummaries: 3 }) {
+  /**
+   * @param {object} config - Memory configuration
+   * @param {number} config.windowSize - Interactions kept in the rolling window (default 21)
+   * @param {number} config.maxSummaries - Rolling summaries kept, per level (default 3)
+   * @param {number} config.maxPinnedFacts - Pinned facts kept (default 20)
+   * @param {number} config.maxSummaryLevels - Summary levels including the rolling chunks (default 3, 1 = drop evicted summaries)
+   * @param {string} config.sessionId - Session identifier used for usage accounting (default 'default')
+   * @param {number} config.tokenBudget - Size the window by estimated tokens instead of count
+   *   (defaults to MEMORY_TOKEN_BUDGET, unset = count mode)
+   * @param {object} config.roleTokenCaps - Per-entry token caps by role in token mode ({ user, ai, system })
+   * @param {number} config.compactionThreshold - Window size (interactions, or tokens in token mode) above which
+   *   compaction fires (default windowSize / tokenBudget)
+   * @param {number} config.compactionBatchSize - Oldest interactions summarized per chunk in count mode
+   *   (default a third of windowSize; token mode summarizes down to two thirds of the threshold)
+   * @param {number} config.archiveLimit - Interactions kept in the recall archive (default 2000, 0 = unlimited)
+   * @param {number} config.recallLimit - Earlier interactions recalled per request (default 3)
+   * @param {boolean} config.recallEmbeddings - Blend in embedding similarity (default LUMEN_RECALL_EMBEDDINGS === 'true')
+   * @param {boolean} config.redact - Replace secrets and PII with placeholders before storing (default unless LUMEN_REDACTION=off)
+   * @param {Array<string|RegExp|object>} config.redactPatterns - Extra redaction patterns (added to LUMEN_REDACT_PATTERNS)
+   * @param {object} config.store - Session store to persist to after every change (see lib/stores)
+   */
+  constructor(config = {}) {
+    const { sessionId = 'default', store = null, ...settings } = config;
+    this.sessionId = sessionId;
+    this.store = store;
     this.interactions = [];
     this.summaries = [];
-    this.config = config;
+    this.epochs = []; // epochs[n] holds the level n+1 summaries, oldest first
+    this.facts = [];
+    this.factCounter = 0;
+    this.proposedFacts = []; // Agent proposals awaiting review ({ id, text, interactionId, ts })
+    this.proposalCounter = 0;
+    this.archive = [];
+    this.parent = null; // { sessionId, interactionId, ts } when forked from another session
+    this.branches = []; // Sessions forked from this one ({ sessionId, interactionId, ts })
+    this.config = {
+      windowSize: 21,
+      maxSummaries: 3,
+      maxSummaryLevels: 3,
+      maxPinnedFacts: 20,
+      tokenBudget: parseInt(process.env.MEMORY_TOKEN_BUDGET, 10) || null,
+      compactionThreshold: null,
+      compactionBatchSize: null,
+      archiveLimit: 2000,
+      recallLimit: 3,
+      recallEmbeddings: process.env.LUMEN_RECALL_EMBEDDINGS === 'true',
+      redact: isRedactionEnabled(),
+      ...settings,
+      roleTokenCaps: { ...DEFAULT_ROLE_TOKEN_CAPS, ...settings.roleTokenCaps },
+      redactPatterns: normalizePatterns(settings.redactPatterns || loadPatternsFromEnv())
+    };
+    this.redactor = new Redactor({ extraPatterns: this.config.redactPatterns });
     this.globalCounter = 0;
+    this._pendingSave = Promise.resolve();
+    this._compaction = null;
+    this._recallIndex = null; // Built from the archive on first recall
+    this._vectors = new Map(); // Embeddings by interaction id (not persisted, recomputed on demand)
+  }
+
+  /**
+   * Load a session from a store, or start a new one if it isn't there
+   * @param {string} sessionId - Session identifier
+   * @param {object} store - Session store
+   * @param {object} config - Memory configuration for new sessions
+   * @returns {Promise<MemoryManager>}
+   */
+  static async load(sessionId, store, config = {}) {
+    const memory = new MemoryManager({ ...config, sessionId, store });
+    const state = await store.load(sessionId);
+    if (state) {
+      memory.import(state);
+    }
+    return memory;
+  }
+
+  /**
+   * Save the current state to the store
+   * Saves are serialized so an older state never overwrites a newer one;
+   * failures are logged rather than thrown so a store outage doesn't break the chat.
+   * @returns {Promise<void>}
+   */
+  persist() {
+    if (!this.store) return Promise.resolve();
+
+    const state = this.export();
+    this._pendingSave = this._pendingSave
+      .then(() => this.store.save(this.sessionId, state))
+      .catch(error => console.error(`Failed to persist session ${this.sessionId}:`, error.message));
+    return this._pendingSave;
   }
 
   /**
    * Add an interaction to the rolling window
-   * Automatically triggers summary creation when window exceeds size
+   * Schedules compaction in the background once the window exceeds its threshold
    * @param {string} role - 'user', 'ai', or 'system'
    * @param {string} text - The interaction content
    */
   async addInteraction(role, text) {
+    text = this.redact(text);
     this.globalCounter++;
-    this.interactions.push({
+    const interaction = {
       role,
       text,
       ts: new Date().toISOString(),
       id: this.globalCounter
+    };
+
+    this._applyTokenCap(interaction);
+    this.interactions.push(interaction);
+    this._archive({ id: interaction.id, role, text, ts: interaction.ts });
+
+    // Summarizing runs off the request path; the chunk stays in the window until its summary lands
+    this._scheduleCompaction();
+
+    await this.persist();
+  }
+
+  /**
+   * Set an interaction's token count, truncating it to its role's cap in token mode
+   * @private
+   */
+  _applyTokenCap(interaction) {
+    delete interaction.originalTokens;
+    if (this.config.tokenBudget) {
+      // Oversized entries (long stdout, pasted files) keep only their head and tail
+      const cap = Math.min(this.config.roleTokenCaps[interaction.role] || Infinity, Math.floor(this.config.tokenBudget / 2));
+      const truncation = truncateToTokens(interaction.text, cap);
+      interaction.text = truncation.text;
+      if (truncation.truncated) {
+        interaction.originalTokens = truncation.originalTokens;
+      }
+    }
+    interaction.tokens = estimateTokens(interaction.text);
+  }
+
+  /**
+   * Replace secrets and PII with this session's stable placeholders
+   * Applied to everything entering memory; callers also use it on text sent
+   * to the model directly (the pending request, tool results).
+   * @param {string} text - Text that may contain secrets
+   * @returns {string} Redacted text (unchanged when redaction is off)
+   */
+  redact(text) {
+    return this.config.redact ? this.redactor.redact(text) : text;
+  }
+
+  /**
+   * Keep a copy of an interaction in the recall archive
+   * @private
+   */
+  _archive(entry) {
+    const archived = { ...entry, text: truncateToTokens(entry.text, ARCHIVE_ENTRY_TOKENS).text };
+    this.archive.push(archived);
+    this._recallIndex?.add(archived.id, archived.text);
+
+    const { archiveLimit } = this.config;
+    while (archiveLimit && this.archive.length > archiveLimit) {
+      const dropped = this.archive.shift();
+      this._recallIndex?.remove(dropped.id);
+      this._vectors.delete(dropped.id);
+    }
+  }
+
+  _getRecallIndex() {
+    if (!this._recallIndex) {
+      this._recallIndex = new Bm25Index();
+      for (const entry of this.archive) {
+        this._recallIndex.add(entry.id, entry.text);
+      }
+    }
+    return this._recallIndex;
+  }
+
+  /**
+   * Find archived interactions relevant to a request
+   * Only interactions that have left the window are considered (the window is
+   * sent anyway). Ranking is BM25; with recallEmbeddings on, embedding
+   * similarity is blended in, falling back to BM25 alone if embedding fails.
+   * @param {string} query - The request being answered
+   * @param {object} options - { limit (default config.recallLimit), provider }
+   * @returns {Promise<Array<object>>} Recalled interactions ({ id, role, text, ts, score }), best first
+   */
+  async recall(query, { limit = this.config.recallLimit, provider = null } = {}) {
+    const oldestInWindow = this.interactions[0]?.id ?? Infinity;
+    const candidates = this.archive.filter(entry => entry.id < oldestInWindow);
+    if (!limit || candidates.length === 0 || !query?.trim()) return [];
+
+    const lexical = this._getRecallIndex().search(query, {
+      limit: candidates.length,
+      filter: id => id < oldestInWindow
     });
+    const topLexical = lexical[0]?.score || 1;
+    const scores = new Map(lexical.map(hit => [hit.id, hit.score / topLexical]));
+
+    if (this.config.recallEmbeddings) {
+      try {
+        const similarities = await this._embeddingSimilarities(query, candidates, provider);
+        for (const [id, similarity] of similarities) {
+          if (scores.has(id) || similarity >= MIN_RECALL_SIMILARITY) {
+            scores.set(id, ((scores.get(id) || 0) + Math.max(similarity, 0)) / 2);
+          }
+        }
+      } catch (error) {
+        if (error instanceof BudgetExceededError) throw error;
+        console.warn(`⚠️  [Recall] Embeddings unavailable, using BM25 only: ${error.message}`);
+      }
+    }
+
+    const byId = new Map(candidates.map(entry => [entry.id, entry]));
+    return [...scores]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([id, score]) => {
+        const entry = byId.get(id);
+        return { id, role: entry.role, text: truncateToTokens(entry.text, RECALLED_ENTRY_TOKENS).text, ts: entry.ts, score };
+      });
+  }
+
+  /**
+   * Cosine similarity of the query to each candidate, embedding whatever isn't cached yet
+   * @private
+   */
+  async _embeddingSimilarities(query, candidates, provider) {
+    const options = { provider, caller: 'recall', sessionId: this.sessionId };
+    const missing = candidates.filter(entry => !this._vectors.has(entry.id));
+    for (let i = 0; i < missing.length; i += EMBEDDING_BATCH_SIZE) {
+      const batch = missing.slice(i, i + EMBEDDING_BATCH_SIZE);
+      const vectors = await embedTexts(batch.map(entry => entry.text), options);
+      batch.forEach((entry, j) => this._vectors.set(entry.id, vectors[j]));
+    }
+
+    const [queryVector] = await embedTexts([query], options);
+    return candidates.map(entry => [entry.id, cosineSimilarity(queryVector, this._vectors.get(entry.id))]);
+  }
 
-    // Trigger summary when window is full
-    if (this.interactions.length > this.config.windowSize) {
-      await this._createSummary();
-      this.interactions.shift(); // Remove oldest interaction
+  /**
+   * Wait for any in-flight compaction to finish
+   * @returns {Promise<void>}
+   */
+  async flushCompaction() {
+    while (this._compaction) {
+      await this._compaction;
     }
   }
 
   /**
-   * Create a summary of the current window before it slides
+   * Estimated tokens currently held in the rolling window
+   * @returns {number}
+   */
+  getWindowTokens() {
+    return this.interactions.reduce((total, i) => total + (i.tokens ?? estimateTokens(i.text)), 0);
+  }
+
+  _compactionThreshold() {
+    return this.config.compactionThreshold || this.config.tokenBudget || this.config.windowSize;
+  }
+
+  _needsCompaction() {
+    if (this.interactions.length < 2) return false;
+    const size = this.config.tokenBudget ? this.getWindowTokens() : this.interactions.length;
+    return size > this._compactionThreshold();
+  }
+
+  /**
+   * Pick the oldest interactions to summarize as one chunk (the newest is always kept)
+   * Count mode takes compactionBatchSize interactions; token mode takes as many
+   * as needed to bring the window down to two thirds of the threshold.
    * @private
    */
-  async _createSummary() {
-    const contextToSummarize = this.interactions;
-    
+  _selectCompactionChunk() {
+    const candidates = this.interactions.slice(0, -1);
+    if (!this.config.tokenBudget) {
+      const batchSize = this.config.compactionBatchSize || Math.max(1, Math.ceil(this.config.windowSize / 3));
+      return candidates.slice(0, batchSize);
+    }
+
+    const target = Math.floor(this._compactionThreshold() * 2 / 3);
+    let remaining = this.getWindowTokens();
+    const chunk = [];
+    for (const interaction of candidates) {
+      if (remaining <= target) break;
+      chunk.push(interaction);
+      remaining -= interaction.tokens ?? estimateTokens(interaction.text);
+    }
+    return chunk;
+  }
+
+  _scheduleCompaction() {
+    if (this._compaction || !this._needsCompaction()) return;
+
+    this._compaction = this._compact()
+      .catch(error => console.error('Memory compaction failed:', error.message))
+      .finally(() => { this._compaction = null; });
+  }
+
+  /**
+   * Summarize and remove non-overlapping chunks of the oldest interactions
+   * until the window is back under its threshold
+   * A chunk whose summary fails stays in the window and is retried on the
+   * next compaction, so nothing leaves the window unsummarized.
+   * @private
+   */
+  async _compact() {
+    while (this._needsCompaction()) {
+      const chunk = this._selectCompactionChunk();
+      if (chunk.length === 0) break;
+
+      if (!await this._createSummary(chunk)) break;
+      const lastId = chunk[chunk.length - 1].id;
+      this.interactions = this.interactions.filter(i => i.id > lastId);
+      await this.persist();
+    }
+  }
+
+  /**
+   * Create a summary of a chunk of interactions before they leave the window
+   * @param {Array<object>} contextToSummarize - Consecutive interactions, oldest first
+   * @returns {Promise<boolean>} Whether the summary was created
+   * @private
+   */
+  async _createSummary(contextToSummarize) {
+    let summarized;
+    try {
+      summarized = await this._summarize(contextToSummarize);
+    } catch (error) {
+      console.error('Failed to create summary:', error.message);
+      return false;
+    }
+
+    const newSummary = {
+      range: {
+        startId: contextToSummarize[0].id,
+        endId: contextToSummarize[contextToSummarize.length - 1].id
+      },
+      ...summarized,
+      ts: new Date().toISOString()
+    };
+
+    this.summaries.push(newSummary);
+    console.log(`\n📚 [Memory Compaction] Created summary for interactions ${newSummary.range.startId}-${newSummary.range.endId}`);
+
+    // Keep only the most recent summaries, folding the oldest into the long-term digest
+    if (this.summaries.length > this.config.maxSummaries) {
+      await this._promoteSummary(this.summaries.shift(), 1);
+    }
+    return true;
+  }
+
+  /**
+   * Ask the model to summarize consecutive interactions
+   * @param {Array<object>} entries - Interactions, oldest first
+   * @returns {Promise<object>} { text, reasoning }
+   * @private
+   */
+  async _summarize(entries) {
     // Format interactions for summarization
-    const conversationText = contextToSummarize
+    const conversationText = entries
       .map(i => `[${i.role}]: ${i.text}`)
       .join('\n');
 
+    const result = await queryOpenAI(
+      "Summarize this conversation segment concisely, focusing on goals, decisions, state changes, and any important technical details or file paths.",
+      {
+        context: { conversation: conversationText },
+        schema: summarizeAgentResponseSchema,
+        schemaName: 'summarize',
+        caller: 'summary',
+        sessionId: this.sessionId,
+        temperature: 0.5
+      }
+    );
+    return { text: this.redact(result.summary), reasoning: this.redact(result.reasoning) };
+  }
+
+  /**
+   * Fold a summary evicted from the level below into `level`
+   * It is merged into the newest epoch of that level while the epoch covers
+   * fewer than maxSummaries summaries (the top level always merges), otherwise
+   * it opens a new epoch. Epochs evicted from a full level move up in turn.
+   * @param {object} summary - Evicted summary
+   * @param {number} level - Level to fold it into (>= 1)
+   * @private
+   */
+  async _promoteSummary(summary, level) {
+    const { maxSummaries, maxSummaryLevels } = this.config;
+    if (level >= maxSummaryLevels) return; // Hierarchy disabled: drop it as before
+
+    const epochs = this.epochs[level - 1] || (this.epochs[level - 1] = []);
+    const isTop = level === maxSummaryLevels - 1;
+    const open = epochs[epochs.length - 1];
+
+    if (open && (isTop || open.merged < maxSummaries)) {
+      epochs[epochs.length - 1] = await this._mergeSummaries(open, summary, level);
+    } else {
+      epochs.push({
+        level,
+        range: summary.range,
+        sources: [summary.range],
+        merged: 1,
+        text: summary.text,
+        reasoning: summary.reasoning,
+        ts: new Date().toISOString()
+      });
+    }
+
+    if (!isTop && epochs.length > maxSummaries) {
+      await this._promoteSummary(epochs.shift(), level + 1);
+    }
+  }
+
+  /**
+   * Merge a newer summary into an epoch summary
+   * If the model call fails the texts are concatenated (and truncated), so
+   * nothing is forgotten because of an outage.
+   * @param {object} epoch - Existing epoch summary (older)
+   * @param {object} summary - Summary being folded in (newer)
+   * @param {number} level - Epoch level
+   * @returns {Promise<object>} Merged epoch summary
+   * @private
+   */
+  async _mergeSummaries(epoch, summary, level) {
+    const merged = {
+      level,
+      range: { startId: epoch.range.startId, endId: summary.range.endId },
+      sources: [...(epoch.sources || [epoch.range]), summary.range],
+      merged: epoch.merged + 1,
+      ts: new Date().toISOString()
+    };
+
     try {
       const result = await queryOpenAI(
-        "Summarize this conversation segment concisely, focusing on goals, decisions, state changes, and any important technical details or file paths.",
+        "Merge these two summaries of consecutive conversation segments into one long-term digest. Keep the original goals, decisions still in force, current state, and important file paths; drop details that were superseded.",
         {
-          context: { conversation: conversationText },
+          context: { earlier: epoch.text, later: summary.text },
           schema: summarizeAgentResponseSchema,
+          schemaName: 'summarize',
+          caller: 'summary:digest',
+          sessionId: this.sessionId,
           temperature: 0.5
         }
       );
+      merged.text = this.redact(result.summary);
+      merged.reasoning = this.redact(result.reasoning);
+    } catch (error) {
+      console.error('Failed to merge summaries:', error.message);
+      merged.text = truncateToTokens(`${epoch.text}\n${summary.text}`, SUMMARY_FALLBACK_TOKENS).text;
+      merged.reasoning = 'Concatenated: merge failed';
+    }
 
-      const newSummary = {
-        range: { 
-          startId: contextToSummarize[0].id, 
-          endId: contextToSummarize[contextToSummarize.length - 1].id 
-        },
-        text: result.summary,
-        reasoning: result.reasoning,
-        ts: new Date().toISOString()
-      };
+    console.log(`\n🗂️  [Memory Compaction] Level ${level} digest now covers interactions ${merged.range.startId}-${merged.range.endId}`);
+    return merged;
+  }
+
+  /**
+   * Get the long-term digest: epoch summaries older than the rolling chunks
+   * @returns {Array<object>} Epoch summaries, oldest first (highest level first)
+   */
+  getLongTermDigest() {
+    return this.epochs.flatMap(epochs => epochs).sort((a, b) => a.range.startId - b.range.startId);
+  }
+
+  /**
+   * Pin a fact so it is always sent verbatim
+   * Pinning a fact that is already pinned (ignoring case and spacing) returns the existing one.
+   * @param {string} text - The fact, e.g. "Use PostgreSQL for all persistence"
+   * @param {object} options - { source: 'user' | 'agent' (default 'user'), interactionId (default the newest) }
+   * @returns {Promise<object>} The pinned fact ({ id, text, source, ts })
+   */
+  async pinFact(text, { source = 'user', interactionId = this.globalCounter } = {}) {
+    const normalized = normalizeFact(this.redact(text));
+    if (!normalized) {
+      throw new Error('Fact text is required');
+    }
+
+    const existing = this.facts.find(f => normalizeFact(f.text).toLowerCase() === normalized.toLowerCase());
+    if (existing) return existing;
+
+    if (this.facts.length >= this.config.maxPinnedFacts) {
+      throw new Error(`Pinned fact limit reached (${this.config.maxPinnedFacts}); unpin one first`);
+    }
+
+    const fact = { id: ++this.factCounter, text: normalized, source, interactionId, ts: new Date().toISOString() };
+    this.facts.push(fact);
+    await this.persist();
+    return fact;
+  }
+
+  /**
+   * Queue the facts an agent proposed (the `proposedFacts` response field) for review
+   * Proposals are never sent to the model; they are pinned only once the user
+   * accepts them. At most MAX_PROPOSALS_PER_TURN are taken from one call, and
+   * texts already pinned or pending are skipped.
+   * @param {Array<string>} proposals - Proposed fact texts
+   * @returns {Promise<Array<object>>} Newly queued proposals ({ id, text, interactionId, ts })
+   */
+  async proposeFacts(proposals = []) {
+    const known = new Set([...this.facts, ...this.proposedFacts].map(f => f.text.toLowerCase()));
+    const queued = [];
+    for (const text of proposals) {
+      if (queued.length >= MAX_PROPOSALS_PER_TURN) break;
+      const normalized = normalizeFact(this.redact(text));
+      if (!normalized || known.has(normalized.toLowerCase())) continue;
+
+      known.add(normalized.toLowerCase());
+      queued.push({ id: ++this.proposalCounter, text: normalized, interactionId: this.globalCounter, ts: new Date().toISOString() });
+    }
+    if (queued.length === 0) return queued;
+
+    // The oldest unreviewed proposals make way for new ones
+    this.proposedFacts = [...this.proposedFacts, ...queued].slice(-MAX_PENDING_PROPOSALS);
+    await this.persist();
+    return queued;
+  }
+
+  /**
+   * Get the facts proposed by agents that are awaiting review, oldest first
+   * @returns {Array<object>} Pending proposals
+   */
+  getProposedFacts() {
+    return this.proposedFacts;
+  }
 
-      this.summaries.push(newSummary);
+  /**
+   * Accept a proposed fact, pinning it with source 'agent'
+   * @param {number} id - Proposal id
+   * @returns {Promise<object|null>} The pinned fact, or null if there is no such proposal
+   * @throws {Error} When the pinned fact limit is reached (the proposal stays pending)
+   */
+  async acceptProposedFact(id) {
+    const proposal = this.proposedFacts.find(p => p.id === Number(id));
+    if (!proposal) return null;
+
+    const fact = await this.pinFact(proposal.text, { source: 'agent', interactionId: proposal.interactionId });
+    this.proposedFacts = this.proposedFacts.filter(p => p !== proposal);
+    await this.persist();
+    return fact;
+  }
+
+  /**
+   * Discard a proposed fact
+   * @param {number} id - Proposal id
+   * @returns {Promise<boolean>} Whether a proposal was discarded
+   */
+  async rejectProposedFact(id) {
+    const before = this.proposedFacts.length;
+    this.proposedFacts = this.proposedFacts.filter(p => p.id !== Number(id));
+    if (this.proposedFacts.length === before) return false;
+
+    await this.persist();
+    return true;
+  }
+
+  /**
+   * Replace the text of a pinned fact
+   * @param {number} id - Fact id
+   * @param {string} text - New text
+   * @returns {Promise<object|null>} The updated fact, or null if there is no such fact
+   */
+  async updateFact(id, text) {
+    const normalized = normalizeFact(this.redact(text));
+    if (!normalized) {
+      throw new Error('Fact text is required');
+    }
+
+    const fact = this.facts.find(f => f.id === Number(id));
+    if (!fact) return null;
+
+    fact.text = normalized;
+    fact.updatedAt = new Date().toISOString();
+    await this.persist();
+    return fact;
+  }
 
-      // Keep only the most recent summaries
-      if (this.summaries.length > this.config.maxSummaries) {
-        this.summaries.shift(); // Drop oldest summary
+  /**
+   * Remove a pinned fact
+   * @param {number} id - Fact id
+   * @returns {Promise<boolean>} Whether a fact was removed
+   */
+  async unpinFact(id) {
+    const index = this.facts.findIndex(f => f.id === Number(id));
+    if (index === -1) return false;
+
+    this.facts.splice(index, 1);
+    await this.persist();
+    return true;
+  }
+
+  /**
+   * Get the pinned facts, oldest first
+   * @returns {Array<object>}
+   */
+  getPinnedFacts() {
+    return this.facts;
+  }
+
+  /**
+   * Fork the session at an interaction into a new session
+   * The child gets the interactions, summaries, digest and pinned facts up to
+   * that point. Summaries that extend past it are left out; the interactions
+   * they covered are restored from the archive instead.
+   * @param {string} newSessionId - Id of the new session
+   * @param {object} options - { atId: interaction to fork at (default the newest), store (default this session's) }
+   * @returns {Promise<MemoryManager>} The forked session
+   */
+  async fork(newSessionId, { atId = this.globalCounter, store = this.store } = {}) {
+    if (!newSessionId || newSessionId === this.sessionId) {
+      throw new Error('A fork needs a new session id');
+    }
+    const at = Number(atId);
+    if (!Number.isInteger(at) || at < 0 || at > this.globalCounter) {
+      throw new Error(`Session ${this.sessionId} has no interaction ${atId}`);
+    }
+    if (store && await store.load(newSessionId)) {
+      throw new Error(`Session ${newSessionId} already exists`);
+    }
+
+    await this.flushCompaction();
+
+    const ts = new Date().toISOString();
+    const child = new MemoryManager({ ...this.config, sessionId: newSessionId, store });
+    child.import(structuredClone({
+      sessionId: newSessionId,
+      ...this._historyUpTo(at),
+      facts: this.facts.filter(f => (f.interactionId ?? 0) <= at),
+      factCounter: this.factCounter,
+      proposedFacts: this.proposedFacts.filter(p => p.interactionId <= at),
+      proposalCounter: this.proposalCounter,
+      redactions: this.redactor.export(),
+      globalCounter: at,
+      parent: { sessionId: this.sessionId, interactionId: at, ts },
+      branches: []
+    }));
+
+    this.branches.push({ sessionId: newSessionId, interactionId: at, ts });
+    await Promise.all([this.persist(), child.persist()]);
+    child._scheduleCompaction();
+
+    console.log(`\n🌿 [Memory] Forked ${this.sessionId} at interaction ${at} into ${newSessionId}`);
+    return child;
+  }
+
+  /**
+   * Rewind the session to an interaction, removing everything after it
+   * Summaries and digests covering removed interactions are invalidated; the
+   * kept interactions they covered are restored from the archive (and
+   * re-summarized by the next compaction). Facts proposed by the agent in the
+   * removed turns are unpinned, or discarded if still pending; facts the user
+   * pinned stay. The rewind is recorded in the audit log.
+   * @param {number} toId - Last interaction to keep (0 clears the conversation)
+   * @returns {Promise<object>} { toId, removedInteractions, invalidatedSummaries, unpinnedFacts }
+   */
+  async rewind(toId) {
+    const at = Number(toId);
+    if (!Number.isInteger(at) || at < 0 || at > this.globalCounter) {
+      throw new Error(`Session ${this.sessionId} has no interaction ${toId}`);
+    }
+
+    await this.flushCompaction();
+
+    const removedInteractions = this.globalCounter - at;
+    const history = this._historyUpTo(at);
+    const summariesBefore = this.summaries.length + this.getLongTermDigest().length;
+    const summariesAfter = history.summaries.length + history.epochs.flat().length;
+    const unpinned = this.facts.filter(f => f.source === 'agent' && (f.interactionId ?? 0) > at);
+
+    this.interactions = history.interactions;
+    this.summaries = history.summaries;
+    this.epochs = history.epochs;
+    this.archive = history.archive;
+    this.facts = this.facts.filter(f => !unpinned.includes(f));
+    this.proposedFacts = this.proposedFacts.filter(p => p.interactionId <= at);
+    this.globalCounter = at;
+    this._recallIndex = null;
+    this._vectors.clear();
+
+    const result = {
+      toId: at,
+      removedInteractions,
+      invalidatedSummaries: summariesBefore - summariesAfter,
+      unpinnedFacts: unpinned.map(f => f.id)
+    };
+    await logEvent({ type: 'memory.rewind', sessionId: this.sessionId, ...result }, { redactor: this.redactor });
+    await this.persist();
+    this._scheduleCompaction();
+
+    return result;
+  }
+
+  /**
+   * Rewind the last N turns (a turn starts at a user interaction)
+   * @param {number} turns - Turns to remove (default 1)
+   * @returns {Promise<object>} See rewind()
+   */
+  async rewindTurns(turns = 1) {
+    const count = Number(turns);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error('Turns to rewind must be a positive integer');
+    }
+
+    const userIds = this.archive.filter(a => a.role === 'user').map(a => a.id);
+    const turnStart = userIds[userIds.length - count];
+    if (turnStart === undefined) {
+      throw new Error(`Session ${this.sessionId} has fewer than ${count} turn(s) on record`);
+    }
+    return this.rewind(turnStart - 1);
+  }
+
+  /**
+   * List interactions, oldest first, paginated
+   * Covers the archive (the full history up to archiveLimit) plus the window;
+   * window entries are returned as the model sees them, with inWindow set.
+   * @param {object} options - { offset (default 0), limit (default 50) }
+   * @returns {object} { total, offset, limit, interactions }
+   */
+  getInteractions({ offset = 0, limit = 50 } = {}) {
+    const entries = new Map(this.archive.map(a => [a.id, { ...a, inWindow: false }]));
+    for (const interaction of this.interactions) entries.set(interaction.id, { ...interaction, inWindow: true });
+    const all = [...entries.values()].sort((a, b) => a.id - b.id);
+
+    return { total: all.length, offset, limit, interactions: all.slice(offset, offset + limit) };
+  }
+
+  /**
+   * Replace the text of an interaction (in the window and the archive)
+   * Summaries covering it are marked stale until resummarize() runs. The
+   * edit is recorded in the audit log.
+   * @param {number} id - Interaction id
+   * @param {string} text - New text
+   * @returns {Promise<object|null>} The updated interaction, or null if there is no such interaction
+   */
+  async editInteraction(id, text) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new Error('Interaction text is required');
+    }
+
+    const interactionId = Number(id);
+    const inWindow = this.interactions.find(i => i.id === interactionId);
+    const archived = this.archive.find(a => a.id === interactionId);
+    if (!inWindow && !archived) return null;
+
+    const redacted = this.redact(text);
+    const editedAt = new Date().toISOString();
+    if (inWindow) {
+      Object.assign(inWindow, { text: redacted, editedAt });
+      this._applyTokenCap(inWindow);
+    }
+    if (archived) {
+      Object.assign(archived, { text: truncateToTokens(redacted, ARCHIVE_ENTRY_TOKENS).text, editedAt });
+      this._recallIndex?.add(interactionId, archived.text);
+      this._vectors.delete(interactionId);
+    }
+
+    const staleSummaries = this._markStale(interactionId);
+    await logEvent({ type: 'memory.edit', sessionId: this.sessionId, interactionId, staleSummaries }, { redactor: this.redactor });
+    await this.persist();
+    return inWindow || archived;
+  }
+
+  /**
+   * Delete an interaction from the window and the archive
+   * Ids are not reused. Summaries covering it are marked stale until
+   * resummarize() runs. The deletion is recorded in the audit log.
+   * @param {number} id - Interaction id
+   * @returns {Promise<boolean>} Whether an interaction was deleted
+   */
+  async deleteInteraction(id) {
+    const interactionId = Number(id);
+    const before = this.interactions.length + this.archive.length;
+    this.interactions = this.interactions.filter(i => i.id !== interactionId);
+    this.archive = this.archive.filter(a => a.id !== interactionId);
+    if (this.interactions.length + this.archive.length === before) return false;
+
+    this._recallIndex?.remove(interactionId);
+    this._vectors.delete(interactionId);
+
+    const staleSummaries = this._markStale(interactionId);
+    await logEvent({ type: 'memory.delete', sessionId: this.sessionId, interactionId, staleSummaries }, { redactor: this.redactor });
+    await this.persist();
+    return true;
+  }
+
+  /**
+   * Flag the summaries and digest entries whose range covers an interaction
+   * @returns {number} How many were flagged
+   * @private
+   */
+  _markStale(interactionId) {
+    const covering = [...this.summaries, ...this.epochs.flat()]
+      .filter(s => s.range.startId <= interactionId && interactionId <= s.range.endId);
+    for (const summary of covering) summary.stale = true;
+    return covering.length;
+  }
+
+  /**
+   * Regenerate summaries and digest entries from the archived interactions they cover
+   * Use after editing or deleting interactions, or when a summary is wrong.
+   * Entries whose interactions are no longer archived are left as they are;
+   * if the model call fails the old text is kept.
+   * @param {object} options - { startId, endId: only regenerate those overlapping this range (default all) }
+   * @returns {Promise<object>} { regenerated, failed, skipped } - the ranges in each group
+   */
+  async resummarize({ startId = 1, endId = Infinity } = {}) {
+    await this.flushCompaction();
+
+    const result = { regenerated: [], failed: [], skipped: [] };
+    const targets = [...this.getLongTermDigest(), ...this.summaries]
+      .filter(s => s.range.startId <= endId && s.range.endId >= startId);
+
+    for (const summary of targets) {
+      const range = { ...summary.range };
+      const entries = this.archive.filter(a => a.id >= range.startId && a.id <= range.endId);
+      if (entries.length === 0) {
+        result.skipped.push(range);
+        continue;
+      }
+      try {
+        Object.assign(summary, await this._summarize(entries), { ts: new Date().toISOString() });
+        delete summary.stale;
+        result.regenerated.push(range);
+      } catch (error) {
+        console.error(`Failed to resummarize interactions ${range.startId}-${range.endId}:`, error.message);
+        result.failed.push(range);
       }
+    }
 
-      console.log(`\n📚 [Memory Compaction] Created summary for interactions ${newSummary.range.startId}-${newSummary.range.endId}`);
-    } catch (error) {
-      console.error('Failed to create summary:', error.message);
+    await logEvent({ type: 'memory.resummarize', sessionId: this.sessionId, regenerated: result.regenerated.length, failed: result.failed.length }, { redactor: this.redactor });
+    await this.persist();
+    return result;
+  }
+
+  /**
+   * Replace this session's history with an exported one (see export() and lib/transcript.js)
+   * Text is redacted again, since imported files may have been edited by hand.
+   * The file's `config`, `redactions`, `usage`, `parent` and `branches` are
+   * ignored: the session keeps its own settings, spend and redaction mapping (numbering new
+   * placeholders past those in the imported text), and imported history has
+   * no lineage.
+   * The import is recorded in the audit log.
+   * @param {object} state - Exported state; needs `archive` or `interactions`
+   * @returns {Promise<MemoryManager>} This session
+   */
+  async importSession(state) {
+    if (!state || (!Array.isArray(state.archive) && !Array.isArray(state.interactions))) {
+      throw new Error('Session state needs an archive or interactions array');
+    }
+
+    await this.flushCompaction();
+
+    const archive = state.archive || state.interactions;
+    this.import({
+      ...state,
+      sessionId: this.sessionId,
+      config: null, // An uploaded file never changes this session's settings
+      redactions: this.redactor.export(),
+      usage: null,
+      parent: null,
+      branches: [],
+      archive,
+      interactions: state.interactions || [],
+      globalCounter: state.globalCounter || Math.max(0, ...archive.map(a => a.id))
+    });
+    const entries = [...this.summaries, ...this.epochs.flat(), ...this.facts, ...this.proposedFacts, ...this.archive, ...this.interactions];
+    for (const entry of entries) this.redactor.reservePlaceholders(entry.text);
+    for (const entry of [...this.summaries, ...this.epochs.flat(), ...this.facts, ...this.proposedFacts]) {
+      entry.text = this.redact(entry.text);
+    }
+    for (const entry of this.archive) {
+      entry.text = truncateToTokens(this.redact(entry.text), ARCHIVE_ENTRY_TOKENS).text;
+    }
+    for (const interaction of this.interactions) {
+      interaction.text = this.redact(interaction.text);
+      interaction.tokens = estimateTokens(interaction.text);
+    }
+
+    await logEvent({ type: 'memory.import', sessionId: this.sessionId, interactions: this.archive.length }, { redactor: this.redactor });
+    await this.persist();
+    this._scheduleCompaction();
+    return this;
+  }
+
+  /**
+   * The history up to an interaction: summaries that end by then, the archive
+   * up to it, and a window rebuilt from whatever those summaries don't cover
+   * @param {number} at - Last interaction id to include
+   * @returns {object} { interactions, summaries, epochs, archive }
+   * @private
+   */
+  _historyUpTo(at) {
+    const summaries = this.summaries.filter(s => s.range.endId <= at);
+    const epochs = this.epochs.map(level => level.filter(s => s.range.endId <= at));
+    const coveredUpTo = Math.max(0, ...[...summaries, ...epochs.flat()].map(s => s.range.endId));
+
+    // Window entries as they are now where possible, from the archive otherwise
+    const entries = new Map(this.archive.map(a => [a.id, { ...a, tokens: estimateTokens(a.text) }]));
+    for (const interaction of this.interactions) entries.set(interaction.id, interaction);
+    const interactions = [...entries.values()]
+      .filter(i => i.id > coveredUpTo && i.id <= at)
+      .sort((a, b) => a.id - b.id);
+
+    return { interactions, summaries, epochs, archive: this.archive.filter(a => a.id <= at) };
+  }
+
+  /**
+   * Get this session's lineage
+   * @returns {object} { sessionId, parent, branches }
+   */
+  getLineage() {
+    return { sessionId: this.sessionId, parent: this.parent, branches: this.branches };
+  }
+
+  /**
+   * Compare two sessions that share history (a session and its fork, or two forks)
+   * The fork point is the last archived interaction both have unchanged.
+   * @param {MemoryManager} left - First session
+   * @param {MemoryManager} right - Second session
+   * @returns {object} { forkPoint, left: { sessionId, interactions }, right: { sessionId, interactions } }
+   *   where interactions are the ones after the fork point
+   */
+  static compare(left, right) {
+    const rightById = new Map(right.archive.map(entry => [entry.id, entry]));
+    const firstShared = Math.max(left.archive[0]?.id ?? 0, right.archive[0]?.id ?? 0);
+
+    let forkPoint = 0;
+    for (const entry of left.archive) {
+      if (entry.id < firstShared) continue;
+      const other = rightById.get(entry.id);
+      if (!other || other.role !== entry.role || other.text !== entry.text || other.ts !== entry.ts) break;
+      forkPoint = entry.id;
     }
+
+    const after = memory => ({
+      sessionId: memory.sessionId,
+      interactions: memory.archive.filter(entry => entry.id > forkPoint)
+    });
+    return { forkPoint, left: after(left), right: after(right) };
   }
 
   /**
    * Get the hydrated context for AI queries
-   * Includes both recent interactions and historical summaries
-   * @returns {object} Context object with recent history and summaries
+   * Includes pinned facts, recent interactions, historical summaries, the long-term digest
+   * and any recalled interactions
+   * @param {object} options - { recalled: result of recall() }
+   * @returns {object} Context object with pinned facts, recent history, summaries, digest and recalled interactions
    */
-  getHydratedContext() {
+  getHydratedContext({ recalled = [] } = {}) {
     return {
+      pinnedFacts: this.facts,
       recentHistory: this.interactions,
-      contextSummaries: [...this.summaries].reverse() // Newest first
+      contextSummaries: [...this.summaries].reverse(), // Newest first
+      longTermDigest: this.getLongTermDigest(), // Oldest first
+      recalledInteractions: recalled
     };
   }
 
+  /**
+   * Get the memory as chat messages for the model
+   * Pinned facts, the long-term digest, summaries and recalled interactions come first as a system note,
+   * followed by the window as user/assistant turns (system interactions such as command output stay
+   * system notes).
+   * @param {string} pendingInput - Message about to be sent as the query; if it is
+   *   already the newest user interaction it is left out so it isn't sent twice
+   * @param {object} options - { recalled: result of recall(), cited by interaction id }
+   * @returns {Array<object>} Chat messages ({ role, content })
+   */
+  toMessages(pendingInput = null, { recalled = [] } = {}) {
+    const messages = [];
+
+    const sections = [];
+    if (this.facts.length > 0) {
+      const facts = this.facts.map(f => `- ${f.text}`).join('\n');
+      sections.push(`Pinned facts (always apply unless the user changes them):\n${facts}`);
+    }
+    const digest = this.getLongTermDigest();
+    if (digest.length > 0) {
+      const notes = digest
+        .map(s => `- [interactions ${s.range.startId}-${s.range.endId}] ${s.text}`)
+        .join('\n');
+      sections.push(`Long-term digest of the session (oldest first):\n${notes}`);
+    }
+    if (this.summaries.length > 0) {
+      const notes = this.summaries
+        .map(s => `- [interactions ${s.range.startId}-${s.range.endId}] ${s.text}`)
+        .join('\n');
+      sections.push(`Summary of the earlier conversation (oldest first):\n${notes}`);
+    }
+    if (recalled.length > 0) {
+      const notes = [...recalled]
+        .sort((a, b) => a.id - b.id)
+        .map(r => `- [#${r.id} ${r.role}, ${r.ts.slice(0, 10)}] ${r.text}`)
+        .join('\n');
+      sections.push(`Earlier interactions relevant to this request (cite them by id, e.g. [#${recalled[0].id}]):\n${notes}`);
+    }
+    if (sections.length > 0) {
+      messages.push({ role: 'system', content: sections.join('\n\n') });
+    }
+
+    let interactions = this.interactions;
+    const newest = interactions[interactions.length - 1];
+    if (pendingInput !== null && newest?.role === 'user' && newest.text === pendingInput) {
+      interactions = interactions.slice(0, -1);
+    }
+
+    const roles = { user: 'user', ai: 'assistant', system: 'system' };
+    for (const interaction of interactions) {
+      messages.push({ role: roles[interaction.role] || 'user', content: interaction.text });
+    }
+
+    return messages;
+  }
+
+  /**
+   * Search everything the session remembers: the window, the archive of older
+   * interactions, summaries, the long-term digest and pinned facts
+   * Entries are ranked with BM25.
+   * @param {string} query - Free-text query
+   * @param {object} options - { limit } (default 5)
+   * @returns {Array<object>} Matches ({ type: interaction | summary | digest | fact, id | range, role, text, score }), best first
+   */
+  search(query, { limit = 5 } = {}) {
+    const oldestInWindow = this.interactions[0]?.id ?? Infinity;
+    const candidates = [
+      ...this.archive.filter(a => a.id < oldestInWindow).map(a => ({ type: 'interaction', id: a.id, role: a.role, text: a.text, ts: a.ts })),
+      ...this.interactions.map(i => ({ type: 'interaction', id: i.id, role: i.role, text: i.text, ts: i.ts })),
+      ...this.summaries.map(s => ({ type: 'summary', range: s.range, text: s.text, ts: s.ts })),
+      ...this.getLongTermDigest().map(s => ({ type: 'digest', level: s.level, range: s.range, text: s.text, ts: s.ts })),
+      ...this.facts.map(f => ({ type: 'fact', id: f.id, text: f.text, ts: f.ts }))
+    ];
+
+    const index = new Bm25Index();
+    candidates.forEach((entry, position) => index.add(position, entry.text));
+
+    return index.search(query, { limit })
+      .map(hit => ({ ...candidates[hit.id], score: hit.score }));
+  }
+
   /**
    * Get a human-readable representation of the current memory state
    * @returns {string} Formatted memory status
@@ -108,32 +1110,115 @@ export class MemoryManager {
       totalInteractions: this.globalCounter,
       currentWindowSize: this.interactions.length,
       summariesCount: this.summaries.length,
+      windowMode: this.config.tokenBudget ? 'tokens' : 'count',
+      windowTokens: this.getWindowTokens(),
+      tokenBudget: this.config.tokenBudget,
+      summaryTokens: [...this.summaries, ...this.getLongTermDigest()].reduce((total, s) => total + estimateTokens(s.text), 0),
+      digestLevels: this.epochs.map(epochs => epochs.length),
+      pinnedFacts: this.facts.length,
+      proposedFacts: this.proposedFacts.length,
+      archivedInteractions: this.archive.length,
+      redactedValues: this.redactor.count,
+      parent: this.parent,
+      branches: this.branches.length,
       oldestInteractionId: this.interactions[0]?.id,
-      newestInteractionId: this.interactions[this.interactions.length - 1]?.id
+      newestInteractionId: this.interactions[this.interactions.length - 1]?.id,
+      usage: usageTracker.getSessionUsage(this.sessionId)
     };
   }
 
   /**
    * Export memory state for persistence
+   * Includes the redactor's key and placeholder mapping, so it is for the
+   * session store only; use exportSession() for anything handed to a client.
+   * The session's token and cost totals are saved too, so spend budgets
+   * survive a restart.
    * @returns {object} Serializable memory state
    */
   export() {
     return {
+      sessionId: this.sessionId,
       interactions: this.interactions,
       summaries: this.summaries,
+      epochs: this.epochs,
+      facts: this.facts,
+      factCounter: this.factCounter,
+      proposedFacts: this.proposedFacts,
+      proposalCounter: this.proposalCounter,
+      archive: this.archive,
+      redactions: this.redactor.export(),
+      usage: usageTracker.getSessionUsage(this.sessionId),
+      parent: this.parent,
+      branches: this.branches,
       globalCounter: this.globalCounter,
       config: this.config
     };
   }
 
+  /**
+   * Export the session for a client (download, transcript, importSession elsewhere)
+   * Same as export() without the redaction key and mapping, which stay
+   * server-side, and the saved spend.
+   * @returns {object} Serializable session state
+   */
+  exportSession() {
+    const { redactions, usage, ...state } = this.export();
+    return state;
+  }
+
   /**
    * Import memory state from persistence
+   * Only the settings in PERSISTED_CONFIG_KEYS are restored from `state.config`,
+   * and only when well-formed; redaction is never switched off by a saved state.
    * @param {object} state - Previously exported state
    */
   import(state) {
+    this.sessionId = state.sessionId || this.sessionId;
     this.interactions = state.interactions || [];
     this.summaries = state.summaries || [];
+    this.epochs = state.epochs || [];
+    this.facts = state.facts || [];
+    this.factCounter = state.factCounter || 0;
+    this.proposedFacts = state.proposedFacts || [];
+    this.proposalCounter = state.proposalCounter || 0;
+    this.archive = state.archive || [];
+    this.parent = state.parent || null;
+    this.branches = state.branches || [];
+    this._recallIndex = null;
+    this._vectors.clear();
     this.globalCounter = state.globalCounter || 0;
-    this.config = { ...this.config, ...state.config };
+    this.config = { ...this.config, ...pickPersistedConfig(state.config) };
+    this.redactor = new Redactor({ extraPatterns: this.config.redactPatterns, state: state.redactions });
+    usageTracker.restoreSession(this.sessionId, state.usage);
   }
 }
+
+/**
+ * The well-formed, restorable settings from a persisted config
+ * @param {object} config - Saved config
+ * @returns {object} Settings safe to apply
+ */
+function pickPersistedConfig(config) {
+  const picked = {};
+  if (!config || typeof config !== 'object') return picked;
+
+  const isCount = value => Number.isInteger(value) && value > 0;
+  for (const key of PERSISTED_CONFIG_KEYS) {
+    const value = config[key];
+    if (key === 'recallEmbeddings') {
+      if (typeof value === 'boolean') picked[key] = value;
+    } else if (key === 'roleTokenCaps') {
+      if (value && typeof value === 'object') {
+        const caps = Object.entries(value).filter(([role, cap]) => role in DEFAULT_ROLE_TOKEN_CAPS && isCount(cap));
+        picked[key] = { ...DEFAULT_ROLE_TOKEN_CAPS, ...Object.fromEntries(caps) };
+      }
+    } else if (isCount(value) || (value === null && NULLABLE_CONFIG_KEYS.has(key))) {
+      picked[key] = value;
+    }
+  }
+  return picked;
+}
+
+function normalizeFact(text) {
+  return typeof text === 'string' ? text.trim().replace(/\s+/g, ' ') : '';
+}
@@ -0,0 +1,223 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+/**
+ * Agent Registry - The specialized agents the schema router can pick
+ *
+ * Agents are plugins: every .js module in agents/ (and in the directories
+ * listed in LUMEN_AGENTS_DIR, separated like PATH) whose default export is
+ *
+ *   {
+ *     name: 'security',                     // routing key and schema name
+ *     description: 'For security audits',   // shown to the intent classifier
+ *     schema: { type: 'object', ... },      // response schema
+ *     instructions: 'ACTIVE AGENT: ...',    // appended to the dispatcher prompt
+ *     keywords: ['security audit'],         // quick-match phrases (optional)
+ *     model: 'gpt-4.1',                     // preferred model (optional, replaces the caller's configured model)
+ *     order: 60,                            // keyword precedence and listing order (optional, default 100)
+ *     handleResult: async (response, { userInput, memory }) => response  // post-process the response (optional)
+ *   }
+ *
+ * A plugin named like an already registered agent replaces it, so internal
+ * agents can also override the built-in ones. A `default` agent is required.
+ */
+export const AGENTS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'agents');
+
+const DEFAULT_ORDER = 100;
+
+/**
+ * Thrown when a client asks for an agent that is not registered
+ */
+export class UnknownAgentError extends Error {
+  /**
+   * @param {string} name - Requested agent
+   * @param {Array<string>} available - Registered agents
+   */
+  constructor(name, available) {
+    super(`Unknown agent "${name}" (available: ${available.join(', ')})`);
+    this.name = 'UnknownAgentError';
+    this.status = 400;
+    this.code = 'UNKNOWN_AGENT';
+    this.agent = name;
+    this.available = available;
+  }
+}
+
+export class AgentRegistry {
+  constructor(agents = []) {
+    this.agents = new Map();
+    agents.forEach(agent => this.register(agent));
+  }
+
+  /**
+   * Register (or replace) an agent
+   * @param {object} agent - Agent plugin (see above)
+   * @returns {AgentRegistry} this, for chaining
+   */
+  register(agent) {
+    if (!agent?.name || !/^[a-zA-Z][a-zA-Z0-9_-]{0,63}$/.test(agent.name)) {
+      throw new Error(`Invalid agent name "${agent?.name}" (a letter, then letters, digits, _ and -)`);
+    }
+    if (agent.schema?.type !== 'object') {
+      throw new Error(`Agent ${agent.name} needs an object schema`);
+    }
+    if (typeof agent.description !== 'string' || typeof agent.instructions !== 'string') {
+      throw new Error(`Agent ${agent.name} needs a description and instructions`);
+    }
+    if (agent.handleResult && typeof agent.handleResult !== 'function') {
+      throw new Error(`Agent ${agent.name}: handleResult must be a function`);
+    }
+
+    this.agents.set(agent.name, {
+      keywords: [],
+      model: null,
+      order: DEFAULT_ORDER,
+      handleResult: null,
+      ...agent
+    });
+    return this;
+  }
+
+  unregister(name) {
+    return this.agents.delete(name);
+  }
+
+  has(name) {
+    return this.agents.has(name);
+  }
+
+  get(name) {
+    return this.agents.get(name);
+  }
+
+  /**
+   * Registered agents in routing order (by `order`, then name)
+   * @returns {Array<object>}
+   */
+  list() {
+    return [...this.agents.values()].sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+  }
+
+  names() {
+    return this.list().map(agent => agent.name);
+  }
+
+  /**
+   * Get an agent a client asked for by name
+   * @param {string} name - Agent name
+   * @returns {object} Agent
+   * @throws {UnknownAgentError} When no such agent is registered
+   */
+  resolve(name) {
+    if (typeof name !== 'string' || !this.has(name)) {
+      throw new UnknownAgentError(name, this.names());
+    }
+    return this.get(name);
+  }
+
+  /**
+   * Find the first agent (in routing order) with a keyword contained in the input
+   * @param {string} input - User request
+   * @returns {object|null} Agent
+   */
+  matchKeywords(input) {
+    return this.findKeyword(input)?.agent || null;
+  }
+
+  /**
+   * Like matchKeywords(), also reporting which keyword matched
+   * @param {string} input - User request
+   * @returns {object|null} { agent, keyword }
+   */
+  findKeyword(input) {
+    const lowerInput = input.toLowerCase();
+    for (const agent of this.list()) {
+      const keyword = agent.keywords.find(word => lowerInput.includes(word.toLowerCase()));
+      if (keyword) return { agent, keyword };
+    }
+    return null;
+  }
+}
+
+/**
+ * Directories searched for agent plugins: agents/, then LUMEN_AGENTS_DIR
+ * @returns {Array<string>}
+ */
+export function getAgentDirs() {
+  const extra = (process.env.LUMEN_AGENTS_DIR || '').split(path.delimiter).filter(Boolean);
+  return [AGENTS_DIR, ...extra.map(dir => path.resolve(dir))];
+}
+
+/**
+ * Import the agent plugins in some directories
+ * Modules that fail to load are skipped with a warning.
+ * @param {Array<string>} dirs - Directories to search, in order
+ * @returns {Promise<Array<object>>} Plugins with a `source` path, in directory and file name order
+ */
+export async function discoverAgents(dirs = getAgentDirs()) {
+  const agents = [];
+  for (const dir of dirs) {
+    let files;
+    try {
+      files = (await fs.readdir(dir)).filter(file => /\.m?js$/.test(file)).sort();
+    } catch (error) {
+      console.warn(`⚠️  [Agents] Cannot read agent directory ${dir}: ${error.message}`);
+      continue;
+    }
+
+    for (const file of files) {
+      const source = path.join(dir, file);
+      try {
+        const module = await import(pathToFileURL(source).href);
+        if (!module.default) {
+          throw new Error('no default export');
+        }
+        agents.push({ ...module.default, source });
+      } catch (error) {
+        console.warn(`⚠️  [Agents] Skipping ${source}: ${error.message}`);
+      }
+    }
+  }
+  return agents;
+}
+
+/**
+ * Build a registry from discovered plugins
+ * Invalid plugins are skipped with a warning.
+ * @param {Array<object>} agents - Plugins from discoverAgents()
+ * @returns {AgentRegistry}
+ */
+export function createAgentRegistry(agents) {
+  const registry = new AgentRegistry();
+  for (const agent of agents) {
+    try {
+      if (registry.has(agent.name)) {
+        console.log(`🧩 [Agents] ${agent.name} from ${agent.source} replaces ${registry.get(agent.name).source}`);
+      }
+      registry.register(agent);
+    } catch (error) {
+      console.warn(`⚠️  [Agents] Skipping ${agent.source}: ${error.message}`);
+    }
+  }
+
+  if (!registry.has('default')) {
+    throw new Error(`No "default" agent registered (searched ${getAgentDirs().join(', ')})`);
+  }
+  return registry;
+}
+
+let loading = null;
+
+/**
+ * Get the process-wide agent registry, discovering the plugins on first use
+ * @param {object} options - { reload: discover again (e.g. after changing LUMEN_AGENTS_DIR) }
+ * @returns {Promise<AgentRegistry>}
+ */
+export function loadAgentRegistry({ reload = false } = {}) {
+  if (!loading || reload) {
+    loading = discoverAgents().then(createAgentRegistry);
+    loading.catch(() => { loading = null; });
+  }
+  return loading;
+}
@@ -3,7 +3,7 @@
  * Centralized settings for analytics engine
  */
 
-module.exports = {
+export default {
   // Redis connection settings
   redis: {
     host: process.env.REDIS_HOST || 'localhost',
@@ -3,12 +3,12 @@
  * Integrates with AnalyticsProvider for non-blocking event logging
  */
 
-const { getAnalyticsProvider } = require('./analyticsProvider');
+import { getAnalyticsProvider } from './analyticsProvider.js';
 
 /**
  * Middleware for tracking chat endpoint performance and agent selection
  */
-function chatAnalyticsMiddleware() {
+export function chatAnalyticsMiddleware() {
   const analytics = getAnalyticsProvider();
   
   return async (req, res, next) => {
@@ -28,11 +28,13 @@ function chatAnalyticsMiddleware() {
         // Log latency
         analytics.logLatency('/api/chat', latency, responseData.selectedAgent || 'unknown');
         
-        // Log agent usage if available
+        // Log agent usage if available (the router's decision is in routing)
         if (responseData.selectedAgent) {
           analytics.logAgentUsage(responseData.selectedAgent, {
             sessionId: req.body?.sessionId,
-            messageType: responseData.type
+            messageType: responseData.type,
+            routingPath: responseData.routing?.path,
+            confidence: responseData.routing?.confidence
           });
         }
         
@@ -71,7 +73,7 @@ function chatAnalyticsMiddleware() {
 /**
  * Middleware for tracking War Room reviews
  */
-function warRoomAnalyticsMiddleware() {
+export function warRoomAnalyticsMiddleware() {
   const analytics = getAnalyticsProvider();
   
   return async (req, res, next) => {
@@ -114,7 +116,7 @@ function warRoomAnalyticsMiddleware() {
 /**
  * Middleware for tracking session operations
  */
-function sessionAnalyticsMiddleware(action) {
+export function sessionAnalyticsMiddleware(action) {
   const analytics = getAnalyticsProvider();
   
   return async (req, res, next) => {
@@ -135,7 +137,7 @@ function sessionAnalyticsMiddleware(action) {
 /**
  * Global error tracking middleware
  */
-function errorAnalyticsMiddleware() {
+export function errorAnalyticsMiddleware() {
   const analytics = getAnalyticsProvider();
   
   return (err, req, res, next) => {
@@ -151,7 +153,7 @@ function errorAnalyticsMiddleware() {
  * WebSocket connection analytics wrapper
  * Usage: Wrap WebSocket event handlers
  */
-class WebSocketAnalytics {
+export class WebSocketAnalytics {
   constructor() {
     this.analytics = getAnalyticsProvider();
     this.connections = new Map();
@@ -219,7 +221,7 @@ class WebSocketAnalytics {
  * Express middleware wrapper for analytics initialization
  * Attaches analytics instance to request object
  */
-function initAnalyticsMiddleware() {
+export function initAnalyticsMiddleware() {
   const analytics = getAnalyticsProvider();
   
   return (req, res, next) => {
@@ -232,7 +234,7 @@ function initAnalyticsMiddleware() {
  * Request timing middleware
  * Tracks overall API request latency
  */
-function timingMiddleware() {
+export function timingMiddleware() {
   const analytics = getAnalyticsProvider();
   
   return (req, res, next) => {
@@ -249,13 +251,3 @@ function timingMiddleware() {
     next();
   };
 }
-
-module.exports = {
-  chatAnalyticsMiddleware,
-  warRoomAnalyticsMiddleware,
-  sessionAnalyticsMiddleware,
-  errorAnalyticsMiddleware,
-  initAnalyticsMiddleware,
-  timingMiddleware,
-  WebSocketAnalytics
-};
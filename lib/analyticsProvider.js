@@ -4,11 +4,16 @@
  * Uses Redis for real-time metrics and batch exports for historical data
  */
 
-const Redis = require('ioredis');
+import Redis from 'ioredis';
+import { usageTracker } from './usageTracker.js';
+import { getDefaultResponseCache } from './responseCache.js';
 
-class AnalyticsProvider {
+export class AnalyticsProvider {
+  /**
+   * @param {object} options - Redis connection options, or `redis`: an existing client
+   */
   constructor(options = {}) {
-    this.redis = new Redis({
+    this.redis = options.redis || new Redis({
       host: options.redisHost || process.env.REDIS_HOST || 'localhost',
       port: options.redisPort || process.env.REDIS_PORT || 6379,
       password: options.redisPassword || process.env.REDIS_PASSWORD || undefined,
@@ -38,7 +43,9 @@ class AnalyticsProvider {
       websockets: 'lumen:stats:websockets',
       errors: 'lumen:stats:errors',
       sessions: 'lumen:stats:sessions',
-      commands: 'lumen:stats:commands'
+      commands: 'lumen:stats:commands',
+      llmUsage: 'lumen:stats:llm_usage',
+      cache: 'lumen:stats:cache'
     };
 
     // Retention policy: Keep last 1000 latency samples
@@ -227,6 +234,64 @@ class AnalyticsProvider {
     }
   }
 
+  /**
+   * Log token usage and cost of an LLM call
+   * @param {object} entry - Usage entry recorded by UsageTracker
+   * @param {string} entry.model - Model that served the call
+   * @param {string} entry.caller - Caller tag (router, summary, warRoom:analyzer, ...)
+   * @param {number} entry.promptTokens - Prompt tokens
+   * @param {number} entry.completionTokens - Completion tokens
+   * @param {number} entry.costUsd - Cost in USD
+   */
+  async logTokenUsage(entry) {
+    try {
+      await this.redis.hincrby(this.keys.llmUsage, 'calls', 1);
+      await this.redis.hincrby(this.keys.llmUsage, 'prompt_tokens', entry.promptTokens);
+      await this.redis.hincrby(this.keys.llmUsage, 'completion_tokens', entry.completionTokens);
+      await this.redis.hincrbyfloat(this.keys.llmUsage, 'cost_usd', entry.costUsd);
+
+      // Breakdowns by caller and model
+      await this.redis.hincrby(`${this.keys.llmUsage}:tokens_by_caller`, entry.caller, entry.promptTokens + entry.completionTokens);
+      await this.redis.hincrbyfloat(`${this.keys.llmUsage}:cost_by_caller`, entry.caller, entry.costUsd);
+      await this.redis.hincrby(`${this.keys.llmUsage}:tokens_by_model`, entry.model, entry.promptTokens + entry.completionTokens);
+      await this.redis.hincrbyfloat(`${this.keys.llmUsage}:cost_by_model`, entry.model, entry.costUsd);
+    } catch (error) {
+      this._handleError('logTokenUsage', error);
+    }
+  }
+
+  /**
+   * Forward every call recorded by a UsageTracker to logTokenUsage
+   * @param {UsageTracker} tracker - Tracker to subscribe to
+   * @returns {Function} Unsubscribe function
+   */
+  trackUsage(tracker) {
+    return tracker.onRecord(entry => this.logTokenUsage(entry));
+  }
+
+  /**
+   * Log a response cache lookup
+   * @param {object} entry - { event: 'hit' | 'miss', caller, schemaName, model }
+   */
+  async logCacheEvent(entry) {
+    try {
+      const field = entry.event === 'hit' ? 'hits' : 'misses';
+      await this.redis.hincrby(this.keys.cache, field, 1);
+      await this.redis.hincrby(`${this.keys.cache}:${field}_by_caller`, entry.caller, 1);
+    } catch (error) {
+      this._handleError('logCacheEvent', error);
+    }
+  }
+
+  /**
+   * Forward every hit/miss of a ResponseCache to logCacheEvent
+   * @param {ResponseCache} cache - Cache to subscribe to
+   * @returns {Function} Unsubscribe function
+   */
+  trackCache(cache) {
+    return cache.onEvent(entry => this.logCacheEvent(entry));
+  }
+
   /**
    * Log error occurrence
    * @param {string} errorType - Type/category of error
@@ -290,7 +355,11 @@ class AnalyticsProvider {
         errorStats,
         sessionStats,
         commandStats,
-        latencyList
+        latencyList,
+        llmUsage,
+        costByCaller,
+        costByModel,
+        cacheStats
       ] = await Promise.all([
         this.redis.hgetall(this.keys.agentUsage),
         this.redis.hgetall(this.keys.warRoom),
@@ -300,7 +369,11 @@ class AnalyticsProvider {
         this.redis.hgetall(this.keys.errors),
         this.redis.hgetall(this.keys.sessions),
         this.redis.hgetall(this.keys.commands),
-        this.redis.lrange(this.keys.latency, 0, 99)
+        this.redis.lrange(this.keys.latency, 0, 99),
+        this.redis.hgetall(this.keys.llmUsage),
+        this.redis.hgetall(`${this.keys.llmUsage}:cost_by_caller`),
+        this.redis.hgetall(`${this.keys.llmUsage}:cost_by_model`),
+        this.redis.hgetall(this.keys.cache)
       ]);
 
       // Calculate latency statistics
@@ -339,6 +412,15 @@ class AnalyticsProvider {
         },
         errors: errorStats,
         latency: latencyStats,
+        llmUsage: {
+          ...llmUsage,
+          costByCaller,
+          costByModel
+        },
+        cache: {
+          ...cacheStats,
+          hitRate: this._calculateHitRate(cacheStats)
+        },
         timestamp: Date.now()
       };
     } catch (error) {
@@ -395,6 +477,12 @@ class AnalyticsProvider {
     // Don't throw - analytics should never break the main app
   }
 
+  _calculateHitRate(cacheStats) {
+    const hits = parseInt(cacheStats?.hits || 0);
+    const lookups = hits + parseInt(cacheStats?.misses || 0);
+    return lookups > 0 ? parseFloat((hits / lookups * 100).toFixed(2)) : 0;
+  }
+
   _getMostPopular(usage) {
     const entries = Object.entries(usage || {});
     if (entries.length === 0) return null;
@@ -466,14 +554,18 @@ class AnalyticsProvider {
 // Singleton instance
 let analyticsInstance = null;
 
-function getAnalyticsProvider(options = {}) {
+/**
+ * Get the shared analytics provider, subscribing it to LLM usage and the
+ * response cache on creation
+ * @param {object} options - Redis connection options
+ * @returns {AnalyticsProvider}
+ */
+export function getAnalyticsProvider(options = {}) {
   if (!analyticsInstance) {
     analyticsInstance = new AnalyticsProvider(options);
+    analyticsInstance.trackUsage(usageTracker);
+    const cache = getDefaultResponseCache();
+    if (cache) analyticsInstance.trackCache(cache);
   }
   return analyticsInstance;
 }
-
-module.exports = {
-  AnalyticsProvider,
-  getAnalyticsProvider
-};
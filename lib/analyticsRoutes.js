@@ -3,8 +3,8 @@
  * Exposes real-time metrics and dashboard data
  */
 
-const express = require('express');
-const { getAnalyticsProvider } = require('./analyticsProvider');
+import express from 'express';
+import { getAnalyticsProvider } from './analyticsProvider.js';
 
 const router = express.Router();
 const analytics = getAnalyticsProvider();
@@ -361,4 +361,4 @@ function formatDuration(ms) {
   }
 }
 
-module.exports = router;
+export default router;
@@ -1,7 +1,15 @@
 /**
- * Audit Logger - Logs command executions for security and debugging
+ * Audit Logger - Logs command executions and memory changes for security and debugging
  * Simple implementation that logs to console and could be extended to write to files
+ * Entries are redacted (see lib/redactor.js) so logs never hold secrets from command output.
+ * Session events are redacted with the session's own redactor, so their placeholders match
+ * the ones in that session's memory; everything else uses the process-wide redactor.
  */
+import { getDefaultRedactor, isRedactionEnabled } from './redactor.js';
+
+function redactEntry(entry, redactor = getDefaultRedactor()) {
+  return isRedactionEnabled() ? redactor.redactValue(entry) : entry;
+}
 
 /**
  * Logs a command execution event
@@ -15,10 +23,10 @@
  */
 export async function logCommand(event) {
   const timestamp = new Date().toISOString();
-  const logEntry = {
+  const logEntry = redactEntry({
     timestamp,
     ...event
-  };
+  });
   
   // For now, just log to console with structured format
   // In production, this could write to a file, database, or external logging service
@@ -26,3 +34,23 @@ export async function logCommand(event) {
   
   return logEntry;
 }
+
+/**
+ * Logs a state-changing event that isn't a command (e.g. a memory rewind)
+ * @param {object} event - The event
+ * @param {string} event.type - Event type, e.g. 'memory.rewind'
+ * @param {string} event.sessionId - Session the event belongs to
+ * @param {object} options - Logging options
+ * @param {Redactor} options.redactor - The session's redactor (defaults to the process-wide one)
+ * @returns {Promise<object>} The logged entry
+ */
+export async function logEvent(event, { redactor } = {}) {
+  const logEntry = redactEntry({
+    timestamp: new Date().toISOString(),
+    ...event
+  }, redactor);
+
+  console.log('\n📋 [Audit Log]', JSON.stringify(logEntry, null, 2));
+
+  return logEntry;
+}
@@ -0,0 +1,151 @@
+import { usageTracker } from './usageTracker.js';
+
+/**
+ * Budget Manager - Per-session, per-API-key and daily spend ceilings
+ *
+ * Limits are expressed in tokens and/or USD and checked before every LLM
+ * call. Once a scope has reached its limit, further calls are refused with
+ * a BudgetExceededError until the limit is raised (or the day rolls over).
+ *
+ * Environment configuration (all optional, unset = unlimited):
+ *   LUMEN_BUDGET_SESSION_TOKENS, LUMEN_BUDGET_SESSION_USD
+ *   LUMEN_BUDGET_KEY_TOKENS,     LUMEN_BUDGET_KEY_USD
+ *   LUMEN_BUDGET_DAILY_TOKENS,   LUMEN_BUDGET_DAILY_USD
+ */
+
+/**
+ * Thrown when a call would exceed a configured budget
+ */
+export class BudgetExceededError extends Error {
+  /**
+   * @param {object} details - Exceeded budget
+   * @param {string} details.scope - session | apiKey | daily
+   * @param {string} details.id - Session id, API key or day the budget applies to
+   * @param {string} details.unit - tokens | usd
+   * @param {number} details.limit - Configured limit
+   * @param {number} details.spent - Amount already spent
+   */
+  constructor({ scope, id, unit, limit, spent }) {
+    const amount = unit === 'usd' ? `$${spent.toFixed(4)} of $${limit}` : `${spent} of ${limit} tokens`;
+    super(`${scope} budget exceeded: ${amount} used`);
+    this.name = 'BudgetExceededError';
+    this.status = 402;
+    this.code = 'BUDGET_EXCEEDED';
+    this.scope = scope;
+    this.id = scope === 'apiKey' ? maskKey(id) : id;
+    this.unit = unit;
+    this.limit = limit;
+    this.spent = spent;
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      scope: this.scope,
+      id: this.id,
+      unit: this.unit,
+      limit: this.limit,
+      spent: this.spent
+    };
+  }
+}
+
+function maskKey(key) {
+  return key.length > 8 ? `${key.slice(0, 4)}…${key.slice(-4)}` : '****';
+}
+
+function envNumber(name) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : null;
+}
+
+export class BudgetManager {
+  /**
+   * @param {object} limits - { session, apiKey, daily }, each { tokens, usd } (null = unlimited);
+   *   read from the environment on first use when omitted
+   * @param {UsageTracker} tracker - Usage source (defaults to the process-wide tracker)
+   */
+  constructor(limits = null, tracker = usageTracker) {
+    this.limits = limits;
+    this.tracker = tracker;
+  }
+
+  /**
+   * Get the active limits
+   * @returns {object} { session, apiKey, daily }
+   */
+  getLimits() {
+    if (!this.limits) {
+      this.limits = BudgetManager.fromEnv();
+    }
+    return this.limits;
+  }
+
+  /**
+   * Read limits from LUMEN_BUDGET_* environment variables
+   * @returns {object} Limits
+   */
+  static fromEnv() {
+    return {
+      session: { tokens: envNumber('LUMEN_BUDGET_SESSION_TOKENS'), usd: envNumber('LUMEN_BUDGET_SESSION_USD') },
+      apiKey: { tokens: envNumber('LUMEN_BUDGET_KEY_TOKENS'), usd: envNumber('LUMEN_BUDGET_KEY_USD') },
+      daily: { tokens: envNumber('LUMEN_BUDGET_DAILY_TOKENS'), usd: envNumber('LUMEN_BUDGET_DAILY_USD') }
+    };
+  }
+
+  /**
+   * Change the limits for a scope
+   * @param {string} scope - session | apiKey | daily
+   * @param {object} limit - { tokens, usd } (null = unlimited)
+   */
+  setLimit(scope, limit) {
+    this.getLimits()[scope] = { tokens: null, usd: null, ...limit };
+  }
+
+  /**
+   * Evaluate every applicable budget
+   * @param {object} target - What the call is attributed to
+   * @param {string} target.sessionId - Session identifier
+   * @param {string} target.apiKey - Client API key (defaults to the key the session is bound to)
+   * @returns {object} { ok, exceeded: [BudgetExceededError] }
+   */
+  check({ sessionId = 'global', apiKey = this.tracker.getSessionKey(sessionId) } = {}) {
+    const day = new Date().toISOString().slice(0, 10);
+    const scopes = [
+      { scope: 'session', id: sessionId, usage: this.tracker.getSessionUsage(sessionId) },
+      { scope: 'daily', id: day, usage: this.tracker.getDailyUsage(day) }
+    ];
+    if (apiKey) {
+      scopes.push({ scope: 'apiKey', id: apiKey, usage: this.tracker.getKeyUsage(apiKey) });
+    }
+
+    const exceeded = [];
+    for (const { scope, id, usage } of scopes) {
+      const limit = this.getLimits()[scope] || {};
+      if (limit.tokens != null && usage.totalTokens >= limit.tokens) {
+        exceeded.push(new BudgetExceededError({ scope, id, unit: 'tokens', limit: limit.tokens, spent: usage.totalTokens }));
+      }
+      if (limit.usd != null && usage.costUsd >= limit.usd) {
+        exceeded.push(new BudgetExceededError({ scope, id, unit: 'usd', limit: limit.usd, spent: usage.costUsd }));
+      }
+    }
+
+    return { ok: exceeded.length === 0, exceeded };
+  }
+
+  /**
+   * Throw if any applicable budget has been used up
+   * @param {object} target - { sessionId, apiKey }
+   * @throws {BudgetExceededError} First exceeded budget
+   */
+  assertWithinBudget(target) {
+    const { ok, exceeded } = this.check(target);
+    if (!ok) {
+      throw exceeded[0];
+    }
+  }
+}
+
+// Process-wide budget manager used by queryOpenAI
+export const budgetManager = new BudgetManager();
@@ -0,0 +1,136 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+
+/**
+ * LLM Cassette - Record-and-replay of model calls for deterministic tests
+ *
+ * Each call is keyed by a content hash of (prompt, schema name, model,
+ * temperature). Timestamps embedded in hydrated memory are normalized
+ * before hashing so that re-running a script replays the same entries.
+ *
+ * Modes:
+ * - record: always call the provider and (over)write the entry
+ * - replay: serve recorded entries, call the provider and record on a miss
+ * - strict: serve recorded entries, throw CassetteMissError on a miss
+ */
+const MODES = ['record', 'replay', 'strict'];
+const ISO_TIMESTAMP = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z/g;
+
+/**
+ * Thrown in strict mode when a call has no recorded response
+ */
+export class CassetteMissError extends Error {
+  constructor(key, request, cassettePath) {
+    super(`No recorded LLM response for ${request.schemaName} (${key.slice(0, 12)}) in ${cassettePath}`);
+    this.name = 'CassetteMissError';
+    this.key = key;
+    this.request = request;
+    this.cassettePath = cassettePath;
+  }
+}
+
+export class Cassette {
+  /**
+   * @param {string} filePath - Cassette file location
+   * @param {string} mode - record | replay | strict
+   */
+  constructor(filePath, mode = 'replay') {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown cassette mode: ${mode} (expected ${MODES.join(', ')})`);
+    }
+    this.filePath = filePath;
+    this.mode = mode;
+    this.entries = {};
+    this.stats = { hits: 0, misses: 0, recorded: 0 };
+
+    if (fs.existsSync(filePath)) {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      this.entries = data.entries || {};
+    }
+  }
+
+  /**
+   * Compute the content hash for a request
+   * @param {object} request - { prompt, schemaName, model, temperature }
+   * @returns {string} Hex digest
+   */
+  static keyFor(request) {
+    const normalized = {
+      prompt: request.prompt.replace(ISO_TIMESTAMP, '<timestamp>'),
+      schemaName: request.schemaName,
+      model: request.model,
+      temperature: request.temperature
+    };
+    return createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+  }
+
+  /**
+   * Look up a recorded response
+   * @param {object} request - { prompt, schemaName, model, temperature }
+   * @returns {object|undefined} Recorded JSON response, if any
+   * @throws {CassetteMissError} In strict mode when nothing was recorded
+   */
+  lookup(request) {
+    if (this.mode === 'record') return undefined;
+
+    const key = Cassette.keyFor(request);
+    const entry = this.entries[key];
+    if (entry) {
+      this.stats.hits++;
+      return entry.response;
+    }
+
+    this.stats.misses++;
+    if (this.mode === 'strict') {
+      throw new CassetteMissError(key, request, this.filePath);
+    }
+    return undefined;
+  }
+
+  /**
+   * Record a response and flush the cassette to disk
+   * @param {object} request - { prompt, schemaName, model, temperature }
+   * @param {object} response - Parsed JSON response
+   */
+  record(request, response) {
+    const key = Cassette.keyFor(request);
+    this.entries[key] = {
+      request: { ...request, prompt: request.prompt.replace(ISO_TIMESTAMP, '<timestamp>') },
+      response,
+      recordedAt: new Date().toISOString()
+    };
+    this.stats.recorded++;
+    this.save();
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({ version: 1, entries: this.entries }, null, 2));
+  }
+}
+
+let envCassette = null;
+
+/**
+ * Resolve the cassette for a call
+ * Uses the per-call cassette if given, otherwise LUMEN_CASSETTE_MODE and
+ * LUMEN_CASSETTE_PATH (defaults to cassettes/<script name>.json).
+ * @param {Cassette|false|null} cassette - Per-call cassette, or false to disable
+ * @returns {Cassette|null} Active cassette
+ */
+export function resolveCassette(cassette = null) {
+  if (cassette === false) return null;
+  if (cassette) return cassette;
+
+  const mode = process.env.LUMEN_CASSETTE_MODE;
+  if (!mode || mode === 'off') return null;
+
+  if (!envCassette) {
+    const scriptName = path.basename(process.argv[1] || 'lumen', '.js');
+    const filePath = process.env.LUMEN_CASSETTE_PATH || path.join('cassettes', `${scriptName}.json`);
+    envCassette = new Cassette(filePath, mode);
+    console.log(`📼 [Cassette] ${mode} mode: ${filePath}`);
+  }
+  return envCassette;
+}
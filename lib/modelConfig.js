@@ -0,0 +1,168 @@
+/**
+ * Model Config - Which model serves each caller, and what to fall back to
+ *
+ * Callers are the usage tags passed to queryOpenAI (router, summary,
+ * warRoom:analyzer, agent:test, ...). A caller's model is looked up by its
+ * full tag, then by the part before the colon (e.g. `warRoom` covers both
+ * war room agents), then `default`, then OPENAI_DEFAULT_MODEL.
+ *
+ * Fallback chains are tried in order when a model keeps failing (rate
+ * limits or server errors after retries, connection errors), rejects the
+ * prompt as too long, refuses, or can't produce a schema-valid response.
+ *
+ * Environment configuration (optional):
+ *   LUMEN_MODELS='{"router": "gpt-4.1-nano", "warRoom:analyzer": "gpt-4.1", "summary": "gpt-4o-mini"}'
+ *   LUMEN_MODEL_FALLBACKS='gpt-4o,gpt-4.1-mini'                      # same chain for every caller
+ *   LUMEN_MODEL_FALLBACKS='{"default": ["gpt-4o"], "router": []}'    # or per caller
+ */
+
+/**
+ * Thrown when the model declines to answer (structured-output refusal)
+ */
+export class ModelRefusalError extends Error {
+  /**
+   * @param {string} model - Model that refused
+   * @param {string} refusal - Refusal message returned by the model
+   */
+  constructor(model, refusal) {
+    super(`Model ${model} refused: ${refusal}`);
+    this.name = 'ModelRefusalError';
+    this.model = model;
+    this.refusal = refusal;
+  }
+}
+
+/**
+ * Thrown when a provider's stream ends without its final chunk (the
+ * connection was cut), so it is retried like any other dropped connection
+ */
+export class IncompleteStreamError extends Error {
+  /**
+   * @param {string} provider - Provider whose stream ended early
+   * @param {string} model - Model that was streaming
+   */
+  constructor(provider, model) {
+    super(`Stream from ${provider} (${model}) ended before its final chunk`);
+    this.name = 'IncompleteStreamError';
+    this.model = model;
+  }
+}
+
+let overrides = { models: {}, fallbacks: null };
+
+/**
+ * Override the environment configuration (takes precedence over LUMEN_MODELS / LUMEN_MODEL_FALLBACKS)
+ * @param {object} config - { models: { caller: model }, fallbacks: [model] | { caller: [model] } }
+ */
+export function setModelConfig({ models = {}, fallbacks = null } = {}) {
+  overrides = { models, fallbacks };
+}
+
+const warnedEnv = new Set();
+
+/**
+ * Parse a JSON environment variable, warning once and ignoring it when malformed
+ * @param {string} name - Variable name
+ * @returns {*} Parsed value, or null when unset or not valid JSON
+ */
+export function parseEnvJson(name) {
+  const raw = process.env[name];
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    if (!warnedEnv.has(`${name}=${raw}`)) {
+      warnedEnv.add(`${name}=${raw}`);
+      console.warn(`⚠️  [Model Config] Ignoring ${name}: not valid JSON`);
+    }
+    return null;
+  }
+}
+
+function lookup(table, caller) {
+  if (!table) return undefined;
+  const group = caller.split(':')[0];
+  return table[caller] ?? table[group] ?? table.default;
+}
+
+/**
+ * Get the model configured for a caller
+ * @param {string} caller - Caller tag
+ * @returns {string} Model name
+ */
+export function getModelForCaller(caller = 'unknown') {
+  return lookup(overrides.models, caller)
+    || lookup(parseEnvJson('LUMEN_MODELS'), caller)
+    || process.env.OPENAI_DEFAULT_MODEL
+    || 'gpt-4o-mini';
+}
+
+/**
+ * Get the fallback models for a caller
+ * @param {string} caller - Caller tag
+ * @returns {Array<string>} Models to try after the primary, in order
+ */
+export function getFallbacksForCaller(caller = 'unknown') {
+  let fallbacks = overrides.fallbacks;
+  if (!fallbacks) {
+    const raw = process.env.LUMEN_MODEL_FALLBACKS?.trim();
+    if (!raw) return [];
+    fallbacks = raw.startsWith('{') ? parseEnvJson('LUMEN_MODEL_FALLBACKS') : raw.split(',');
+  }
+
+  const chain = Array.isArray(fallbacks) ? fallbacks : lookup(fallbacks, caller);
+  return (chain || []).map(model => model.trim()).filter(Boolean);
+}
+
+/**
+ * Resolve the ordered list of models to try for a call
+ * @param {string} caller - Caller tag
+ * @param {string} model - Explicitly requested model (replaces the configured primary)
+ * @returns {Array<string>} Unique models, primary first
+ */
+export function resolveModelChain(caller, model = null) {
+  const primary = model || getModelForCaller(caller);
+  return [...new Set([primary, ...getFallbacksForCaller(caller)])];
+}
+
+/**
+ * Whether an error means the prompt doesn't fit the model's context window
+ */
+export function isContextLengthError(error) {
+  return error?.code === 'context_length_exceeded'
+    || /context length|context window|maximum context|too many tokens/i.test(error?.message || '');
+}
+
+/**
+ * Error codes (and SDK error names) of transient network failures
+ */
+const NETWORK_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT']);
+const NETWORK_ERROR_NAMES = new Set(['APIConnectionError', 'APIConnectionTimeoutError', 'FetchError', 'IncompleteStreamError']);
+
+/**
+ * Whether an error without an HTTP status is a connection failure or timeout
+ * (checked on the error and its cause, as fetch wraps socket errors)
+ * @param {Error} error - Error from the call
+ * @returns {boolean}
+ */
+export function isNetworkError(error) {
+  return [error, error?.cause].some(e => NETWORK_ERROR_CODES.has(e?.code) || NETWORK_ERROR_NAMES.has(e?.name));
+}
+
+/**
+ * Whether a failed call should be retried on the next model in the chain
+ * Budget, authentication and other client errors are not model-specific,
+ * so they are rethrown as-is, as are errors without a status that aren't
+ * known network failures (programming errors, aborts).
+ * @param {Error} error - Error from the call
+ * @returns {boolean}
+ */
+export function shouldFallback(error) {
+  if (error?.name === 'ModelRefusalError' || error?.name === 'SchemaValidationError') return true;
+  if (isContextLengthError(error)) return true;
+  if (error?.name === 'BudgetExceededError' || error?.name === 'CassetteMissError') return false;
+
+  const status = error?.status;
+  if (status === undefined) return isNetworkError(error);
+  return status === 429 || status >= 500 || status === 404; // 404: model not available
+}
@@ -1,135 +1,589 @@
-import OpenAI from 'openai';
 import dotenv from 'dotenv';
 import { baseAgentExtendedResponseSchema } from '../schemas/baseAgent.js';
+import { getProvider } from './providers/index.js';
+import { resolveCassette } from './llmCassette.js';
+import { resolveResponseCache } from './responseCache.js';
+import { validateAgainstSchema, formatValidationErrors, SchemaValidationError } from './schemaValidator.js';
+import { usageTracker } from './usageTracker.js';
+import { budgetManager, BudgetExceededError } from './budgetManager.js';
+import { resolveModelChain, shouldFallback, isContextLengthError, isNetworkError, ModelRefusalError, IncompleteStreamError } from './modelConfig.js';
 
 dotenv.config();
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Call metadata (model used, fallbacks taken) for returned response objects
+const responseMetadata = new WeakMap();
 
 /**
- * Wrapper for OpenAI Chat Completions with JSON schema response format
- * Includes retry logic for rate limits and transient errors
+ * Wrapper for Chat Completions with JSON schema response format
+ * Routes through the selected LLM provider (openai, local, scripted, ...)
+ * Includes retry logic for rate limits and transient errors, and validates
+ * every response locally against the schema (with a repair retry on failure)
  * @param {string} query - The user query/prompt
  * @param {object} options - Optional configuration
  * @param {object} options.context - Additional context object to include in the prompt
+ * @param {string} options.system - System prompt sent ahead of the conversation
+ * @param {Array<object>} options.messages - Prior conversation turns ({ role, content }), e.g. memory.toMessages()
  * @param {object} options.schema - JSON schema for structured output (defaults to baseAgentResponseSchema)
- * @param {string} options.model - Model to use (defaults to OPENAI_DEFAULT_MODEL from .env)
+ * @param {string} options.model - Model to use (defaults to the caller's model, see modelConfig.js)
  * @param {number} options.temperature - Temperature setting (defaults to OPENAI_DEFAULT_TEMPERATURE from .env)
  * @param {number} options.maxRetries - Maximum retry attempts for rate limits (default 3)
+ * @param {number} options.maxRepairAttempts - Re-prompts with validation errors before giving up (default 1)
+ * @param {string|object} options.provider - Provider name or instance (defaults to LUMEN_LLM_PROVIDER, then 'openai')
+ * @param {string} options.schemaName - Name of the schema, used to key cassette recordings (default 'agent_response')
+ * @param {Cassette|false} options.cassette - Cassette to record/replay with (defaults to LUMEN_CASSETTE_MODE), false to disable
+ * @param {ResponseCache|boolean} options.cache - Response cache: true for the LUMEN_CACHE cache, an instance, or false (default) to bypass
+ * @param {number} options.cacheTtl - TTL in seconds for the cached response (defaults to the cache's TTL)
+ * @param {string} options.caller - Caller tag for usage accounting (router, summary, warRoom:analyzer, ...)
+ * @param {string} options.sessionId - Session the usage is attributed to
+ * @param {Function} options.onDelta - Stream the response, calling onDelta({ delta, text }) per chunk, and
+ *   onDelta({ type: 'reset', delta: '', text: '', reason }) when the text streamed so far is discarded
  * @returns {Promise<object>} Parsed JSON response matching the schema
+ * @throws {SchemaValidationError} When the response still fails validation after repair attempts
+ * @throws {BudgetExceededError} When the session, API key or daily budget has been used up
  */
 export async function queryOpenAI(query, options = {}) {
+  if (options.onDelta) {
+    const { onDelta, ...streamOptions } = options;
+    for await (const event of streamOpenAI(query, streamOptions)) {
+      if (event.type === 'final') return event.result;
+      await onDelta(event);
+    }
+  }
+
   const {
     context = null,
+    system = null,
+    messages: history = [],
     schema = baseAgentExtendedResponseSchema,
-    model = process.env.OPENAI_DEFAULT_MODEL || 'gpt-4o-mini',
+    model = null,
     temperature = parseFloat(process.env.OPENAI_DEFAULT_TEMPERATURE) || 1.0,
-    maxRetries = 3
+    maxRetries = 3,
+    maxRepairAttempts = 1,
+    provider = null,
+    schemaName = 'agent_response',
+    cassette = null,
+    cache = null,
+    cacheTtl = undefined,
+    caller = 'unknown',
+    sessionId = 'global'
   } = options;
 
-  // Build the prompt with optional context
-  let promptContent = query;
-  if (context) {
-    promptContent = `Context: ${JSON.stringify(context, null, 2)}\n\nQuery: ${query}`;
+  const llm = getProvider(provider);
+  const messages = buildMessages(query, context, { system, history });
+  const models = resolveModelChain(caller, model);
+
+  // Serve from the cassette when replaying
+  const tape = resolveCassette(cassette);
+  const tapeRequest = { prompt: messagesToPrompt(messages), schemaName, model: models[0], temperature };
+  const recorded = tape?.lookup(tapeRequest);
+  if (recorded !== undefined) {
+    return withMetadata(recorded, { model: models[0], requestedModel: models[0], caller, fallbacks: [], source: 'cassette' });
   }
 
-  let lastError = null;
-  
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    try {
-      const completion = await openai.chat.completions.create({
-        model,
-        temperature,
-        messages: [
-          {
-            role: "user",
-            content: promptContent
+  const responseCache = resolveResponseCache(cache);
+  const cacheRequest = { ...tapeRequest, schema, caller };
+  const cached = await responseCache?.get(cacheRequest);
+  if (cached) {
+    return withMetadata(cached.response, { model: cached.model, requestedModel: models[0], caller, fallbacks: [], source: 'cache' });
+  }
+
+  const { value, fallbacks } = await withModelFallback(models, caller, candidate => completeValidated(llm, {
+    model: candidate,
+    temperature,
+    messages,
+    responseFormat: {
+      type: "json_schema",
+      name: "agent_response",
+      schema
+    }
+  }, { schema, schemaName, maxRetries, maxRepairAttempts, caller, sessionId }));
+
+  tape?.record(tapeRequest, value.result);
+  await responseCache?.set(cacheRequest, value.result, { model: value.model, ttlSeconds: cacheTtl });
+  return withMetadata(value.result, { model: value.model, requestedModel: models[0], caller, fallbacks, source: llm.name });
+}
+
+/**
+ * Streaming variant of queryOpenAI
+ * Yields { type: 'delta', delta, text } as JSON arrives (text is everything
+ * received so far - see partialJson.js to read fields out of it), then a
+ * single { type: 'final', result } with the validated response. Accepts the
+ * same options as queryOpenAI. Providers without streaming support emit
+ * the whole response as one delta.
+ *
+ * Rate limits, 5xx errors and dropped connections are retried like
+ * queryOpenAI's (a stream that ends without its final chunk counts as
+ * dropped), up to maxRetries, and a failed
+ * model falls back to the next one in the chain. When either happens after
+ * deltas went out, { type: 'reset', delta: '', text: '', reason: 'retry' |
+ * 'fallback' } is yielded first: consumers drop what they displayed, and
+ * the retried stream (or the final result) replaces it.
+ * @param {string} query - The user query/prompt
+ * @param {object} options - Same options as queryOpenAI
+ */
+export async function* streamOpenAI(query, options = {}) {
+  const {
+    context = null,
+    system = null,
+    messages: history = [],
+    schema = baseAgentExtendedResponseSchema,
+    model = null,
+    temperature = parseFloat(process.env.OPENAI_DEFAULT_TEMPERATURE) || 1.0,
+    maxRetries = 3,
+    maxRepairAttempts = 1,
+    provider = null,
+    schemaName = 'agent_response',
+    cassette = null,
+    cache = null,
+    cacheTtl = undefined,
+    caller = 'unknown',
+    sessionId = 'global'
+  } = options;
+
+  const llm = getProvider(provider);
+  const messages = buildMessages(query, context, { system, history });
+  const [primary, ...fallbackModels] = resolveModelChain(caller, model);
+
+  const tape = resolveCassette(cassette);
+  const tapeRequest = { prompt: messagesToPrompt(messages), schemaName, model: primary, temperature };
+  const recorded = tape?.lookup(tapeRequest);
+  if (recorded !== undefined) {
+    const text = JSON.stringify(recorded);
+    yield { type: 'delta', delta: text, text };
+    yield { type: 'final', result: withMetadata(recorded, { model: primary, requestedModel: primary, caller, fallbacks: [], source: 'cassette' }) };
+    return;
+  }
+
+  const responseCache = resolveResponseCache(cache);
+  const cacheRequest = { ...tapeRequest, schema, caller };
+  const cached = await responseCache?.get(cacheRequest);
+  if (cached) {
+    const text = JSON.stringify(cached.response);
+    yield { type: 'delta', delta: text, text };
+    yield { type: 'final', result: withMetadata(cached.response, { model: cached.model, requestedModel: primary, caller, fallbacks: [], source: 'cache' }) };
+    return;
+  }
+
+  const request = {
+    model: primary,
+    temperature,
+    messages,
+    responseFormat: {
+      type: "json_schema",
+      name: "agent_response",
+      schema
+    }
+  };
+  const validation = { schema, schemaName, maxRetries, maxRepairAttempts, caller, sessionId };
+
+  budgetManager.assertWithinBudget({ sessionId });
+
+  let outcome;
+  let fallbacks = [];
+  let text = '';
+  try {
+    let completion;
+    if (llm.stream) {
+      for (let attempt = 0; !completion; attempt++) {
+        try {
+          for await (const chunk of llm.stream(request)) {
+            if (chunk.done) {
+              completion = { content: text, model: chunk.model, usage: chunk.usage };
+            } else {
+              text += chunk.delta;
+              yield { type: 'delta', delta: chunk.delta, text };
+            }
           }
-        ],
-        response_format: {
-          type: "json_schema",
-          json_schema: {
-            name: "agent_response",
-            strict: true,
-            schema
+          if (!completion) throw new IncompleteStreamError(llm.name, request.model);
+        } catch (error) {
+          const delayMs = retryDelay(llm, error, attempt, maxRetries);
+          if (delayMs === null) throw error;
+          if (text) {
+            text = '';
+            yield { type: 'reset', delta: '', text, reason: 'retry' };
           }
+          await new Promise(resolve => setTimeout(resolve, delayMs));
         }
-      });
-
-      // Parse and return the JSON response
-      const responseContent = completion.choices[0].message.content;
-      return JSON.parse(responseContent);
-    } catch (error) {
-      lastError = error;
-      
-      // Check if error is retryable (429 rate limit or 5xx server errors)
-      const isRateLimitError = error.status === 429;
-      const isServerError = error.status >= 500 && error.status < 600;
-      const shouldRetry = (isRateLimitError || isServerError) && attempt < maxRetries;
-      
-      if (shouldRetry) {
-        // Exponential backoff: 1s, 2s, 4s
-        const delayMs = Math.pow(2, attempt) * 1000;
-        console.warn(`OpenAI API Error (attempt ${attempt + 1}/${maxRetries + 1}): ${error.message}`);
-        console.warn(`  Retrying in ${delayMs}ms...`);
-        await new Promise(resolve => setTimeout(resolve, delayMs));
-        continue;
       }
-      
-      // Non-retryable error or max retries exceeded
-      console.error('OpenAI API Error:', error.message);
-      throw error;
+    } else {
+      completion = await completeWithRetry(llm, request, maxRetries);
+      text = completion.content;
+      yield { type: 'delta', delta: text, text };
     }
+
+    outcome = await completeValidated(llm, request, validation, completion);
+  } catch (error) {
+    if (fallbackModels.length === 0 || !shouldFallback(error)) throw error;
+
+    // Fallback models answer without streaming; the final event carries their result
+    warnFallback(caller, primary, fallbackModels[0], error);
+    if (text) yield { type: 'reset', delta: '', text: '', reason: 'fallback' };
+    const fallback = await withModelFallback(fallbackModels, caller, candidate => completeValidated(llm, { ...request, model: candidate }, validation));
+    outcome = fallback.value;
+    fallbacks = [{ model: primary, error: describeFailure(error) }, ...fallback.fallbacks];
   }
-  
-  // Should never reach here, but just in case
-  throw lastError;
+
+  tape?.record(tapeRequest, outcome.result);
+  await responseCache?.set(cacheRequest, outcome.result, { model: outcome.model, ttlSeconds: cacheTtl });
+  yield {
+    type: 'final',
+    result: withMetadata(outcome.result, { model: outcome.model, requestedModel: primary, caller, fallbacks, source: llm.name })
+  };
 }
 
 /**
- * Simple wrapper for OpenAI with json_object mode (no strict schema)
+ * Simple wrapper with json_object mode (no strict schema)
  * @param {string} query - The user query/prompt (should mention JSON in the prompt)
  * @param {object} options - Optional configuration
  * @param {object} options.context - Additional context object to include in the prompt
- * @param {string} options.model - Model to use (defaults to OPENAI_DEFAULT_MODEL from .env)
+ * @param {string} options.system - System prompt sent ahead of the conversation
+ * @param {Array<object>} options.messages - Prior conversation turns ({ role, content })
+ * @param {object} options.schema - Optional JSON schema to validate the response against locally
+ * @param {string} options.model - Model to use (defaults to the caller's model, see modelConfig.js)
  * @param {number} options.temperature - Temperature setting (defaults to OPENAI_DEFAULT_TEMPERATURE from .env)
+ * @param {number} options.maxRepairAttempts - Re-prompts with validation errors before giving up (default 1)
+ * @param {string|object} options.provider - Provider name or instance (defaults to LUMEN_LLM_PROVIDER, then 'openai')
+ * @param {Cassette|false} options.cassette - Cassette to record/replay with (defaults to LUMEN_CASSETTE_MODE), false to disable
+ * @param {ResponseCache|boolean} options.cache - Response cache (see queryOpenAI)
+ * @param {number} options.cacheTtl - TTL in seconds for the cached response
+ * @param {string} options.caller - Caller tag for usage accounting
+ * @param {string} options.sessionId - Session the usage is attributed to
  * @returns {Promise<object>} Parsed JSON response
+ * @throws {SchemaValidationError} When the response is not valid JSON (or fails the optional schema)
  */
 export async function queryOpenAIJsonMode(query, options = {}) {
   const {
     context = null,
-    model = process.env.OPENAI_DEFAULT_MODEL || 'gpt-4o-mini',
+    system = null,
+    messages: history = [],
+    schema = null,
+    model = null,
     temperature = parseFloat(process.env.OPENAI_DEFAULT_TEMPERATURE) || 1.0,
+    maxRepairAttempts = 1,
+    provider = null,
+    cassette = null,
+    cache = null,
+    cacheTtl = undefined,
+    caller = 'unknown',
+    sessionId = 'global'
   } = options;
 
-  // Build the prompt with optional context
+  const llm = getProvider(provider);
+  const messages = buildMessages(query, context, { system, history });
+  const models = resolveModelChain(caller, model);
+
+  const tape = resolveCassette(cassette);
+  const tapeRequest = { prompt: messagesToPrompt(messages), schemaName: 'json_object', model: models[0], temperature };
+  const recorded = tape?.lookup(tapeRequest);
+  if (recorded !== undefined) {
+    return withMetadata(recorded, { model: models[0], requestedModel: models[0], caller, fallbacks: [], source: 'cassette' });
+  }
+
+  const responseCache = resolveResponseCache(cache);
+  const cacheRequest = { ...tapeRequest, schema, caller };
+  const cached = await responseCache?.get(cacheRequest);
+  if (cached) {
+    return withMetadata(cached.response, { model: cached.model, requestedModel: models[0], caller, fallbacks: [], source: 'cache' });
+  }
+
+  const { value, fallbacks } = await withModelFallback(models, caller, candidate => completeValidated(llm, {
+    model: candidate,
+    temperature,
+    messages,
+    responseFormat: { type: "json_object" }
+  }, { schema, schemaName: 'json_object', maxRetries: 0, maxRepairAttempts, caller, sessionId }));
+
+  tape?.record(tapeRequest, value.result);
+  await responseCache?.set(cacheRequest, value.result, { model: value.model, ttlSeconds: cacheTtl });
+  return withMetadata(value.result, { model: value.model, requestedModel: models[0], caller, fallbacks, source: llm.name });
+}
+
+/**
+ * Run one tool-calling turn of a conversation
+ * The model either answers in plain text or asks for one or more tools to be
+ * called; the caller runs them and appends the results as `tool` messages
+ * before calling again (see toolDispatcher.js).
+ * @param {Array<object>} messages - Chat messages, including assistant tool calls and tool results
+ * @param {object} options - Optional configuration
+ * @param {Array<object>} options.tools - Tool definitions ({ name, description, parameters })
+ * @param {string} options.model - Model to use (defaults to the caller's model, see modelConfig.js)
+ * @param {number} options.temperature - Temperature setting (defaults to OPENAI_DEFAULT_TEMPERATURE from .env)
+ * @param {number} options.maxRetries - Maximum retry attempts for rate limits (default 3)
+ * @param {string|object} options.provider - Provider name or instance (defaults to LUMEN_LLM_PROVIDER, then 'openai')
+ * @param {string} options.caller - Caller tag for usage accounting
+ * @param {string} options.sessionId - Session the usage is attributed to
+ * @returns {Promise<object>} { content, toolCalls: [{ id, name, arguments }], model, fallbacks }
+ * @throws {BudgetExceededError} When the session, API key or daily budget has been used up
+ */
+export async function queryOpenAIWithTools(messages, options = {}) {
+  const {
+    tools = [],
+    model = null,
+    temperature = parseFloat(process.env.OPENAI_DEFAULT_TEMPERATURE) || 1.0,
+    maxRetries = 3,
+    provider = null,
+    caller = 'tools',
+    sessionId = 'global'
+  } = options;
+
+  const llm = getProvider(provider);
+  const models = resolveModelChain(caller, model);
+
+  const { value: completion, fallbacks } = await withModelFallback(models, caller, async candidate => {
+    budgetManager.assertWithinBudget({ sessionId });
+    const result = await completeWithRetry(llm, { model: candidate, temperature, messages, tools }, maxRetries);
+    usageTracker.record({ model: result.model, usage: result.usage, caller, sessionId });
+    return result;
+  });
+
+  return {
+    content: completion.content,
+    toolCalls: completion.toolCalls || [],
+    model: completion.model,
+    fallbacks
+  };
+}
+
+/**
+ * Embed texts through the provider (used for semantic recall)
+ * @param {Array<string>} texts - Texts to embed
+ * @param {object} options - Optional configuration
+ * @param {string} options.model - Embedding model (defaults to LUMEN_EMBEDDING_MODEL, then text-embedding-3-small)
+ * @param {number} options.maxRetries - Maximum retry attempts for rate limits (default 3)
+ * @param {string|object} options.provider - Provider name or instance (defaults to LUMEN_LLM_PROVIDER, then 'openai')
+ * @param {string} options.caller - Caller tag for usage accounting (default 'embeddings')
+ * @param {string} options.sessionId - Session the usage is attributed to
+ * @returns {Promise<Array<Array<number>>>} One vector per text
+ * @throws {Error} When the provider doesn't support embeddings
+ * @throws {BudgetExceededError} When the session, API key or daily budget has been used up
+ */
+export async function embedTexts(texts, options = {}) {
+  const {
+    model = process.env.LUMEN_EMBEDDING_MODEL || 'text-embedding-3-small',
+    maxRetries = 3,
+    provider = null,
+    caller = 'embeddings',
+    sessionId = 'global'
+  } = options;
+
+  const llm = getProvider(provider);
+  if (typeof llm.embed !== 'function') {
+    throw new Error(`Provider ${llm.name} does not support embeddings`);
+  }
+  if (texts.length === 0) return [];
+
+  budgetManager.assertWithinBudget({ sessionId });
+  const result = await callWithRetry(llm, () => llm.embed(texts, { model }), maxRetries);
+  usageTracker.record({ model: result.model, usage: result.usage, caller, sessionId });
+  return result.vectors;
+}
+
+/**
+ * Run a completion, parse it and validate it against the schema.
+ * Invalid responses are sent back to the model together with the
+ * validation errors so it can repair them.
+ * @param {object} llm - Provider instance
+ * @param {object} request - Provider-neutral completion request
+ * @param {object} validation - { schema, schemaName, maxRetries, maxRepairAttempts, caller, sessionId }
+ * @param {object} initialCompletion - Already-received first completion (e.g. from a stream)
+ * @returns {Promise<object>} { result, model } - parsed, schema-conforming response and the model that produced it
+ * @throws {ModelRefusalError} When the model refuses to answer
+ */
+async function completeValidated(llm, request, { schema, schemaName, maxRetries, maxRepairAttempts, caller, sessionId }, initialCompletion = null) {
+  let messages = request.messages;
+
+  for (let repair = 0; ; repair++) {
+    let completion = repair === 0 ? initialCompletion : null;
+    if (!completion) {
+      budgetManager.assertWithinBudget({ sessionId });
+      completion = await completeWithRetry(llm, { ...request, messages }, maxRetries);
+    }
+    usageTracker.record({ model: completion.model, usage: completion.usage, caller, sessionId });
+
+    if (completion.refusal) {
+      throw new ModelRefusalError(completion.model, completion.refusal);
+    }
+
+    let result;
+    let errors;
+    try {
+      result = JSON.parse(completion.content);
+      errors = schema ? validateAgainstSchema(result, schema) : [];
+    } catch (parseError) {
+      result = completion.content;
+      errors = [{ path: '', message: `invalid JSON (${parseError.message})` }];
+    }
+
+    if (errors.length === 0) {
+      return { result, model: completion.model || request.model };
+    }
+
+    if (repair >= maxRepairAttempts) {
+      throw new SchemaValidationError(schemaName, errors, result);
+    }
+
+    console.warn(`⚠️  [Schema Validation] ${schemaName} response invalid, requesting repair (${repair + 1}/${maxRepairAttempts})`);
+    console.warn(`   ${formatValidationErrors(errors, 5)}`);
+
+    messages = [
+      ...messages,
+      { role: "assistant", content: completion.content },
+      {
+        role: "user",
+        content: `Your previous response did not match the required JSON schema:\n${errors.map(e => `- ${e.path || '(root)'}: ${e.message}`).join('\n')}\n\nReturn the complete corrected JSON object only.`
+      }
+    ];
+  }
+}
+
+/**
+ * Try each model of a fallback chain in turn
+ * Moves on when the error is one another model might not hit (see
+ * shouldFallback); anything else, or a failure of the last model, is rethrown.
+ * @param {Array<string>} models - Models in order of preference
+ * @param {string} caller - Caller tag, for logging
+ * @param {Function} attempt - async (model) => value
+ * @returns {Promise<object>} { value, fallbacks: [{ model, error }] } for the models that failed
+ */
+async function withModelFallback(models, caller, attempt) {
+  const fallbacks = [];
+
+  for (let index = 0; ; index++) {
+    try {
+      return { value: await attempt(models[index]), fallbacks };
+    } catch (error) {
+      const next = models[index + 1];
+      if (!next || !shouldFallback(error)) throw error;
+      warnFallback(caller, models[index], next, error);
+      fallbacks.push({ model: models[index], error: describeFailure(error) });
+    }
+  }
+}
+
+function describeFailure(error) {
+  return isContextLengthError(error) ? 'context length exceeded' : error.message;
+}
+
+function warnFallback(caller, model, next, error) {
+  console.warn(`↪️  [Model Fallback] ${caller}: ${model} failed (${describeFailure(error)}), trying ${next}`);
+}
+
+/**
+ * Attach call metadata to a response object
+ */
+function withMetadata(result, metadata) {
+  if (result && typeof result === 'object') {
+    responseMetadata.set(result, metadata);
+  }
+  return result;
+}
+
+/**
+ * Get the metadata of a response returned by queryOpenAI, streamOpenAI or queryOpenAIJsonMode
+ * @param {object} result - Response object
+ * @returns {object|null} { model, requestedModel, caller, fallbacks: [{ model, error }], source }
+ */
+export function getResponseMetadata(result) {
+  return (result && typeof result === 'object' && responseMetadata.get(result)) || null;
+}
+
+/**
+ * Run a completion with exponential backoff on rate limits and 5xx errors
+ * @param {object} llm - Provider instance
+ * @param {object} request - Provider-neutral completion request
+ * @param {number} maxRetries - Maximum retry attempts
+ * @returns {Promise<object>} Provider completion ({ content, model })
+ */
+async function completeWithRetry(llm, request, maxRetries) {
+  return callWithRetry(llm, () => llm.complete(request), maxRetries);
+}
+
+/**
+ * Run a provider call with exponential backoff on rate limits and 5xx errors
+ * @param {object} llm - Provider instance (for log messages)
+ * @param {Function} call - async () => provider result
+ * @param {number} maxRetries - Maximum retry attempts
+ * @returns {Promise<object>} Provider result
+ */
+async function callWithRetry(llm, call, maxRetries) {
+  let lastError = null;
+  
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    try {
+      return await call();
+    } catch (error) {
+      lastError = error;
+      const delayMs = retryDelay(llm, error, attempt, maxRetries);
+      if (delayMs === null) throw error;
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+  
+  // Should never reach here, but just in case
+  throw lastError;
+}
+
+/**
+ * Decide whether a failed provider call is retried
+ * Rate limits (429), 5xx errors and dropped connections (see isNetworkError,
+ * which covers streams cut off mid-response) back off exponentially (1s, 2s,
+ * 4s) until maxRetries is reached; anything else is logged and given up on.
+ * @param {object} llm - Provider instance (for log messages)
+ * @param {Error} error - Error from the call
+ * @param {number} attempt - Zero-based attempt that failed
+ * @param {number} maxRetries - Maximum retry attempts
+ * @returns {number|null} Delay in ms before the next attempt, or null to rethrow
+ */
+function retryDelay(llm, error, attempt, maxRetries) {
+  const isRateLimitError = error.status === 429;
+  const isServerError = error.status >= 500 && error.status < 600;
+  const isConnectionError = error.status === undefined && isNetworkError(error);
+
+  if (!(isRateLimitError || isServerError || isConnectionError) || attempt >= maxRetries) {
+    console.error(`LLM API Error [${llm.name}]:`, error.message);
+    return null;
+  }
+
+  const delayMs = Math.pow(2, attempt) * 1000;
+  console.warn(`LLM API Error [${llm.name}] (attempt ${attempt + 1}/${maxRetries + 1}): ${error.message}`);
+  console.warn(`  Retrying in ${delayMs}ms...`);
+  return delayMs;
+}
+
+/**
+ * Build the chat messages for a query
+ * Order: system prompt, prior conversation turns, then the query as the
+ * final user message (prefixed with the context object, if one is given)
+ * @param {string} query - The user query/prompt
+ * @param {object} context - Additional context object
+ * @param {object} conversation - { system, history }
+ * @returns {Array<object>} Chat messages
+ */
+function buildMessages(query, context, { system = null, history = [] } = {}) {
   let promptContent = query;
   if (context) {
     promptContent = `Context: ${JSON.stringify(context, null, 2)}\n\nQuery: ${query}`;
   }
 
-  try {
-    const completion = await openai.chat.completions.create({
-      model,
-      temperature,
-      messages: [
-        {
-          role: "user",
-          content: promptContent
-        }
-      ],
-      response_format: { type: "json_object" }
-    });
+  return [
+    ...(system ? [{ role: "system", content: system }] : []),
+    ...history,
+    {
+      role: "user",
+      content: promptContent
+    }
+  ];
+}
 
-    // Parse and return the JSON response
-    const responseContent = completion.choices[0].message.content;
-    return JSON.parse(responseContent);
-  } catch (error) {
-    console.error('OpenAI API Error:', error.message);
-    throw error;
-  }
+/**
+ * Flatten chat messages into a single prompt string for cassette keys
+ * @param {Array<object>} messages - Chat messages
+ * @returns {string} Prompt text
+ */
+function messagesToPrompt(messages) {
+  return messages.map(m => `[${m.role}] ${m.content}`).join('\n');
 }
 
-export default { queryOpenAI, queryOpenAIJsonMode };
\ No newline at end of file
+export { SchemaValidationError, BudgetExceededError, ModelRefusalError, IncompleteStreamError };
+
+export default { queryOpenAI, streamOpenAI, queryOpenAIJsonMode, queryOpenAIWithTools, embedTexts };
@@ -0,0 +1,61 @@
+/**
+ * Partial JSON - Read string fields out of an incomplete JSON document
+ *
+ * While a structured response streams in, the JSON is not parseable until
+ * the last brace arrives. These helpers pull the (possibly unterminated)
+ * value of a top-level string field so it can be shown as it materializes.
+ */
+
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+/**
+ * Extract the current value of a string field from partial JSON
+ * @param {string} text - JSON received so far
+ * @param {string} field - Property name
+ * @returns {string|null} Decoded value so far, or null if the field hasn't started
+ */
+export function extractPartialField(text, field) {
+  const match = new RegExp(`"${field}"\\s*:\\s*"`).exec(text);
+  if (!match) return null;
+
+  let value = '';
+  for (let i = match.index + match[0].length; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') break;
+    if (char !== '\\') {
+      value += char;
+      continue;
+    }
+
+    // Escape sequence - stop if it is cut off mid-way
+    const next = text[i + 1];
+    if (next === undefined) break;
+    if (next === 'u') {
+      const hex = text.slice(i + 2, i + 6);
+      if (hex.length < 4) break;
+      value += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+    } else {
+      value += ESCAPES[next] ?? next;
+      i += 1;
+    }
+  }
+  return value;
+}
+
+/**
+ * Extract several string fields at once
+ * @param {string} text - JSON received so far
+ * @param {Array<string>} fields - Property names
+ * @returns {object} Map of field → value (fields that haven't started are omitted)
+ */
+export function extractPartialFields(text, fields) {
+  const values = {};
+  for (const field of fields) {
+    const value = extractPartialField(text, field);
+    if (value !== null) {
+      values[field] = value;
+    }
+  }
+  return values;
+}
@@ -0,0 +1,69 @@
+import { OpenAIProvider } from './openaiProvider.js';
+import { LocalProvider } from './localProvider.js';
+import { ScriptedProvider } from './scriptedProvider.js';
+
+/**
+ * Provider Registry - Resolves which LLM backend handles a request
+ *
+ * A provider is any object with `name` and `async complete(request)`
+ * returning `{ content, model, usage }`, where usage holds promptTokens,
+ * completionTokens and totalTokens. Providers may also implement
+ * `async *stream(request)` yielding `{ delta }` chunks and a final
+ * `{ done: true, model, usage }`. Requests carrying `tools` may be answered
+ * with `toolCalls: [{ id, name, arguments }]` instead of content (arguments
+ * as JSON text). Providers that support embeddings implement
+ * `async embed(texts, { model })` returning `{ vectors, model, usage }`.
+ * Built-in providers are created on first
+ * use; custom ones can be registered under a new name.
+ *
+ * Selection order: explicit per-call provider → LUMEN_LLM_PROVIDER → 'openai'
+ */
+const factories = {
+  openai: () => new OpenAIProvider(),
+  local: () => new LocalProvider(),
+  scripted: () => process.env.LUMEN_SCRIPTED_RESPONSES
+    ? ScriptedProvider.fromFile(process.env.LUMEN_SCRIPTED_RESPONSES)
+    : new ScriptedProvider()
+};
+
+const instances = new Map();
+
+/**
+ * Register a provider instance (or replace a built-in one)
+ * @param {string} name - Provider name used for selection
+ * @param {object} provider - Provider implementing complete()
+ */
+export function registerProvider(name, provider) {
+  instances.set(name, provider);
+}
+
+/**
+ * Resolve a provider by name or pass an instance through
+ * @param {string|object} provider - Provider name or instance (optional)
+ * @returns {object} Provider instance
+ */
+export function getProvider(provider = null) {
+  if (provider && typeof provider === 'object') {
+    return provider;
+  }
+
+  const name = provider || process.env.LUMEN_LLM_PROVIDER || 'openai';
+  if (!instances.has(name)) {
+    const factory = factories[name];
+    if (!factory) {
+      throw new Error(`Unknown LLM provider: ${name}`);
+    }
+    instances.set(name, factory());
+  }
+  return instances.get(name);
+}
+
+/**
+ * List provider names that can be selected
+ * @returns {Array<string>} Provider names
+ */
+export function listProviders() {
+  return [...new Set([...Object.keys(factories), ...instances.keys()])];
+}
+
+export { OpenAIProvider, LocalProvider, ScriptedProvider };
@@ -0,0 +1,50 @@
+import { OpenAIProvider } from './openaiProvider.js';
+
+/**
+ * Local Provider - Adapter for OpenAI-compatible local endpoints
+ * (llama.cpp server, Ollama, LM Studio, vLLM, ...)
+ *
+ * Many local servers only understand `json_object` output, so the schema
+ * mode is configurable. In `json_object` mode the schema is appended to the
+ * system instructions instead of being enforced server-side.
+ */
+export class LocalProvider extends OpenAIProvider {
+  /**
+   * @param {object} options - Provider configuration
+   * @param {string} options.baseURL - Endpoint base URL (defaults to LUMEN_LOCAL_BASE_URL)
+   * @param {string} options.apiKey - API key if the server requires one
+   * @param {string} options.model - Model override (defaults to LUMEN_LOCAL_MODEL)
+   * @param {string} options.schemaMode - 'json_schema' or 'json_object' (defaults to LUMEN_LOCAL_SCHEMA_MODE)
+   */
+  constructor(options = {}) {
+    super({
+      name: 'local',
+      baseURL: options.baseURL || process.env.LUMEN_LOCAL_BASE_URL || 'http://localhost:11434/v1',
+      apiKey: options.apiKey || process.env.LUMEN_LOCAL_API_KEY || 'local'
+    });
+    this.model = options.model || process.env.LUMEN_LOCAL_MODEL || null;
+    this.schemaMode = options.schemaMode || process.env.LUMEN_LOCAL_SCHEMA_MODE || 'json_schema';
+  }
+
+  buildParams(request) {
+    let { messages, responseFormat } = request;
+
+    if (this.schemaMode === 'json_object' && responseFormat?.type === 'json_schema') {
+      messages = [
+        {
+          role: 'system',
+          content: `Respond only with a JSON object matching this JSON schema:\n${JSON.stringify(responseFormat.schema)}`
+        },
+        ...messages
+      ];
+      responseFormat = { type: 'json_object' };
+    }
+
+    return super.buildParams({
+      ...request,
+      model: this.model || request.model,
+      messages,
+      responseFormat
+    });
+  }
+}
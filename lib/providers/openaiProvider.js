@@ -0,0 +1,158 @@
+import OpenAI from 'openai';
+
+/**
+ * OpenAI Provider - Adapter for the hosted OpenAI Chat Completions API
+ *
+ * The client is created lazily on first use so that importing the wrapper
+ * never requires an API key (offline providers don't need one).
+ */
+export class OpenAIProvider {
+  /**
+   * @param {object} options - Provider configuration
+   * @param {string} options.apiKey - API key (defaults to OPENAI_API_KEY)
+   * @param {string} options.baseURL - Optional API base URL override
+   * @param {string} options.name - Provider name reported in logs
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'openai';
+    this.options = options;
+    this.client = null;
+  }
+
+  /**
+   * Get (or create) the underlying OpenAI client
+   * @returns {OpenAI} Configured client
+   */
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: this.options.apiKey || process.env.OPENAI_API_KEY,
+        ...(this.options.baseURL ? { baseURL: this.options.baseURL } : {})
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * Map a provider-neutral response format to the Chat Completions format
+   * @param {object} responseFormat - { type: 'json_schema', name, schema } or { type: 'json_object' }
+   * @returns {object} OpenAI response_format value
+   */
+  toResponseFormat(responseFormat) {
+    if (responseFormat.type === 'json_schema') {
+      return {
+        type: 'json_schema',
+        json_schema: {
+          name: responseFormat.name,
+          strict: true,
+          schema: responseFormat.schema
+        }
+      };
+    }
+    return { type: 'json_object' };
+  }
+
+  /**
+   * Build Chat Completions parameters from a provider-neutral request
+   * @param {object} request - Completion request
+   * @returns {object} Parameters for chat.completions.create
+   */
+  buildParams(request) {
+    const params = {
+      model: request.model,
+      temperature: request.temperature,
+      messages: request.messages
+    };
+    if (request.responseFormat) {
+      params.response_format = this.toResponseFormat(request.responseFormat);
+    }
+    if (request.tools?.length > 0) {
+      params.tools = request.tools.map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }
+      }));
+    }
+    return params;
+  }
+
+  /**
+   * Run a single chat completion
+   * @param {object} request - Provider-neutral completion request
+   * @param {string} request.model - Model name
+   * @param {number} request.temperature - Temperature setting
+   * @param {Array<object>} request.messages - Chat messages
+   * @param {object} request.responseFormat - Structured output format (optional when tools are given)
+   * @param {Array<object>} request.tools - Callable tools ({ name, description, parameters })
+   * @returns {Promise<object>} { content, toolCalls, refusal, model, usage }
+   */
+  async complete(request) {
+    const completion = await this.getClient().chat.completions.create(this.buildParams(request));
+    const message = completion.choices[0].message;
+
+    return {
+      content: message.content,
+      toolCalls: (message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: call.function.arguments
+      })),
+      refusal: message.refusal || null,
+      model: completion.model || request.model,
+      usage: normalizeUsage(completion.usage)
+    };
+  }
+
+  /**
+   * Embed texts with the Embeddings API
+   * @param {Array<string>} texts - Texts to embed
+   * @param {object} options - { model }
+   * @returns {Promise<object>} { vectors, model, usage }
+   */
+  async embed(texts, { model }) {
+    const response = await this.getClient().embeddings.create({ model, input: texts });
+    return {
+      vectors: response.data.sort((a, b) => a.index - b.index).map(item => item.embedding),
+      model: response.model || model,
+      usage: normalizeUsage(response.usage)
+    };
+  }
+
+  /**
+   * Stream a chat completion
+   * Yields { delta } for each content chunk, then { done: true, model, usage }
+   * @param {object} request - Provider-neutral completion request
+   */
+  async *stream(request) {
+    const stream = await this.getClient().chat.completions.create({
+      ...this.buildParams(request),
+      stream: true,
+      stream_options: { include_usage: true }
+    });
+
+    let model = request.model;
+    let usage = null;
+    for await (const chunk of stream) {
+      if (chunk.model) model = chunk.model;
+      if (chunk.usage) usage = normalizeUsage(chunk.usage);
+
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        yield { delta };
+      }
+    }
+
+    yield { done: true, model, usage: usage || normalizeUsage(null) };
+  }
+}
+
+function normalizeUsage(usage) {
+  return {
+    promptTokens: usage?.prompt_tokens || 0,
+    completionTokens: usage?.completion_tokens || 0,
+    totalTokens: usage?.total_tokens || 0
+  };
+}
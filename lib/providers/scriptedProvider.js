@@ -0,0 +1,178 @@
+import fs from 'fs';
+import { estimateTokens } from '../tokenCounter.js';
+
+const EMBEDDING_DIMENSIONS = 64;
+
+/**
+ * Scripted Provider - Deterministic, offline stand-in for a real model
+ *
+ * Responses are served, in order, from a queue; when the queue is empty a
+ * handler function (if given) is asked, and finally a minimal instance of
+ * the requested schema is synthesized. Every request is kept in `calls` so
+ * tests can assert on what the model would have been sent. Token usage is
+ * estimated from message length.
+ *
+ * When a request carries tools, a response of the form
+ * `{ toolCalls: [{ name, arguments }] }` is returned as tool calls instead
+ * of content.
+ *
+ * Embeddings are hashed bags of words, so texts sharing terms are similar
+ * and recall can be exercised offline.
+ */
+export class ScriptedProvider {
+  /**
+   * @param {object} options - Provider configuration
+   * @param {Array<object|string>} options.responses - Queued responses (objects are JSON-encoded)
+   * @param {Function} options.handler - (request) => object|string, used when the queue is empty
+   * @param {boolean} options.synthesize - Build a schema-conforming stub when nothing else answers (default true)
+   * @param {number} options.chunkSize - Characters per chunk when streaming (default 16)
+   */
+  constructor(options = {}) {
+    this.name = 'scripted';
+    this.responses = [...(options.responses || [])];
+    this.handler = options.handler || null;
+    this.synthesize = options.synthesize !== false;
+    this.chunkSize = options.chunkSize || 16;
+    this.calls = [];
+  }
+
+  /**
+   * Create a scripted provider from a JSON file holding an array of responses
+   * @param {string} filePath - Path to the responses file
+   * @returns {ScriptedProvider} Provider serving those responses
+   */
+  static fromFile(filePath) {
+    const responses = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return new ScriptedProvider({ responses });
+  }
+
+  /**
+   * Queue more responses
+   * @param {...(object|string)} responses - Responses to append
+   */
+  enqueue(...responses) {
+    this.responses.push(...responses);
+  }
+
+  async complete(request) {
+    const content = await this._respond(request);
+    const toolCalls = request.tools?.length > 0 ? parseToolCalls(content, this.calls.length) : [];
+
+    return {
+      content: toolCalls.length > 0 ? null : content,
+      toolCalls,
+      model: request.model,
+      usage: this._usage(request, content)
+    };
+  }
+
+  /**
+   * Embed texts as normalized hashed term counts
+   * @param {Array<string>} texts - Texts to embed
+   * @param {object} options - { model }
+   * @returns {Promise<object>} { vectors, model, usage }
+   */
+  async embed(texts, { model } = {}) {
+    const vectors = texts.map(text => {
+      const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+      for (const term of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+        let hash = 0;
+        for (const char of term) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+        vector[hash % EMBEDDING_DIMENSIONS] += 1;
+      }
+      const norm = Math.sqrt(vector.reduce((total, v) => total + v * v, 0)) || 1;
+      return vector.map(v => v / norm);
+    });
+    const promptTokens = estimateTokens(texts.join('\n'));
+    return { vectors, model, usage: { promptTokens, completionTokens: 0, totalTokens: promptTokens } };
+  }
+
+  /**
+   * Stream the scripted response in fixed-size chunks
+   * Yields { delta } for each chunk, then { done: true, model, usage }
+   * @param {object} request - Provider-neutral completion request
+   */
+  async *stream(request) {
+    const content = await this._respond(request);
+    for (let i = 0; i < content.length; i += this.chunkSize) {
+      yield { delta: content.slice(i, i + this.chunkSize) };
+    }
+    yield { done: true, model: request.model, usage: this._usage(request, content) };
+  }
+
+  async _respond(request) {
+    this.calls.push(request);
+
+    let response;
+    if (this.responses.length > 0) {
+      response = this.responses.shift();
+    } else if (this.handler) {
+      response = await this.handler(request);
+    } else if (this.synthesize && request.responseFormat?.type === 'json_schema') {
+      response = synthesizeFromSchema(request.responseFormat.schema);
+    } else {
+      throw new Error('Scripted provider has no response queued for this request');
+    }
+
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
+
+  _usage(request, content) {
+    const promptTokens = estimateTokens(request.messages.map(m => m.content || '').join('\n'));
+    const completionTokens = estimateTokens(content);
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+  }
+}
+
+/**
+ * Read scripted tool calls out of a response
+ * @param {string} content - Scripted response text
+ * @param {number} callNumber - Request counter, used to build stable call ids
+ * @returns {Array<object>} Tool calls ({ id, name, arguments }), empty for plain responses
+ */
+function parseToolCalls(content, callNumber) {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch {
+    return [];
+  }
+  if (!Array.isArray(parsed?.toolCalls)) return [];
+
+  return parsed.toolCalls.map((call, index) => ({
+    id: call.id || `call_${callNumber}_${index}`,
+    name: call.name,
+    arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {})
+  }));
+}
+
+/**
+ * Build the smallest value that satisfies a (strict-mode) JSON schema
+ * @param {object} schema - JSON schema
+ * @returns {*} Value conforming to the schema
+ */
+export function synthesizeFromSchema(schema) {
+  if (schema.enum) return schema.enum[0];
+
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+  switch (type) {
+    case 'object': {
+      const value = {};
+      for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+        value[key] = synthesizeFromSchema(propSchema);
+      }
+      return value;
+    }
+    case 'array':
+      return [];
+    case 'string':
+      return '';
+    case 'number':
+    case 'integer':
+      return 0;
+    case 'boolean':
+      return false;
+    default:
+      return null;
+  }
+}
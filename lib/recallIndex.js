@@ -0,0 +1,133 @@
+/**
+ * Recall Index - Local BM25 retrieval over archived interactions
+ *
+ * Small in-process inverted index used by MemoryManager to find earlier
+ * interactions relevant to the current request ("what was that port we used
+ * last week"). Numbers, paths and identifiers are kept as terms, common
+ * English words are dropped. Optional embedding similarity is blended in by
+ * MemoryManager.recall(); this module only does the lexical part.
+ */
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'did', 'do', 'does', 'for', 'from',
+  'had', 'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on',
+  'or', 'our', 'so', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'this', 'those', 'to',
+  'us', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'would',
+  'you', 'your'
+]);
+
+/**
+ * Split text into index terms
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Lowercased terms, stopwords removed
+ */
+export function tokenize(text = '') {
+  return (text.toLowerCase().match(/[a-z0-9_][a-z0-9_.\-/]*[a-z0-9_]|[a-z0-9]/g) || [])
+    .filter(term => !STOPWORDS.has(term));
+}
+
+/**
+ * Cosine similarity of two vectors (0 when either is empty)
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+export class Bm25Index {
+  /**
+   * @param {object} options - Ranking parameters
+   * @param {number} options.k1 - Term frequency saturation (default 1.2)
+   * @param {number} options.b - Length normalization (default 0.75)
+   */
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.docs = new Map();
+    this.docFrequency = new Map();
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+
+  has(id) {
+    return this.docs.has(id);
+  }
+
+  /**
+   * Index a document (re-adding an id replaces it)
+   * @param {string|number} id - Document id
+   * @param {string} text - Document text
+   */
+  add(id, text) {
+    this.remove(id);
+
+    const terms = tokenize(text);
+    const termFrequency = new Map();
+    for (const term of terms) {
+      termFrequency.set(term, (termFrequency.get(term) || 0) + 1);
+    }
+    for (const term of termFrequency.keys()) {
+      this.docFrequency.set(term, (this.docFrequency.get(term) || 0) + 1);
+    }
+
+    this.docs.set(id, { termFrequency, length: terms.length });
+    this.totalLength += terms.length;
+  }
+
+  remove(id) {
+    const doc = this.docs.get(id);
+    if (!doc) return;
+
+    for (const term of doc.termFrequency.keys()) {
+      const count = this.docFrequency.get(term) - 1;
+      if (count > 0) {
+        this.docFrequency.set(term, count);
+      } else {
+        this.docFrequency.delete(term);
+      }
+    }
+    this.totalLength -= doc.length;
+    this.docs.delete(id);
+  }
+
+  /**
+   * Rank documents against a query
+   * @param {string} query - Free-text query
+   * @param {object} options - { limit (default 5), filter: (id) => boolean }
+   * @returns {Array<object>} { id, score } with score > 0, best first
+   */
+  search(query, { limit = 5, filter = null } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0 || this.docs.size === 0) return [];
+
+    const avgLength = this.totalLength / this.docs.size || 1;
+    const results = [];
+
+    for (const [id, doc] of this.docs) {
+      if (filter && !filter(id)) continue;
+
+      let score = 0;
+      for (const term of terms) {
+        const tf = doc.termFrequency.get(term);
+        if (!tf) continue;
+        const df = this.docFrequency.get(term);
+        const idf = Math.log(1 + (this.docs.size - df + 0.5) / (df + 0.5));
+        score += idf * (tf * (this.k1 + 1)) / (tf + this.k1 * (1 - this.b + this.b * doc.length / avgLength));
+      }
+      if (score > 0) {
+        results.push({ id, score });
+      }
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+}
@@ -0,0 +1,223 @@
+import { createHmac, randomBytes } from 'crypto';
+
+/**
+ * Redactor - Replace secrets and PII with stable placeholders
+ *
+ * Command output, pasted files and user messages can carry API keys, tokens
+ * from `env`, private keys or email addresses. Everything entering memory,
+ * summaries, prompts or the audit log goes through a Redactor first.
+ *
+ * Placeholders are stable: the same value always maps to the same
+ * placeholder ([SECRET_1], [EMAIL_2], ...) so the agent can still reason
+ * about "SECRET_1". The mapping is keyed by an HMAC of each value under a
+ * random per-redactor key, so it can be persisted with the session without
+ * storing the secrets. The key is persisted too, which is why the mapping
+ * stays server-side: it is never part of a session export.
+ *
+ * Extra patterns (LUMEN_REDACT_PATTERNS, JSON array):
+ *   '["corp-[a-z0-9]+\\.internal", {"name": "employee-id", "pattern": "EMP-\\d{6}", "kind": "PII"}]'
+ * LUMEN_REDACTION=off disables redaction entirely.
+ */
+
+/**
+ * Built-in patterns. When a pattern has a `secret` named group only that
+ * part is replaced (e.g. the value of API_KEY=..., keeping the name).
+ */
+export const DEFAULT_PATTERNS = [
+  // A BEGIN line without its END (output cut off mid-key) is redacted to the end of the text
+  { name: 'private-key', kind: 'PRIVATE_KEY', regex: /-----BEGIN [A-Z0-9 ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z0-9 ]*PRIVATE KEY-----|$)/g },
+  { name: 'jwt', kind: 'SECRET', regex: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+  { name: 'openai-key', kind: 'SECRET', regex: /\bsk-[A-Za-z0-9_-]{20,}/g },
+  { name: 'github-token', kind: 'SECRET', regex: /\b(?:gh[pousr]_[A-Za-z0-9]{30,}|github_pat_[A-Za-z0-9_]{30,})/g },
+  { name: 'aws-access-key', kind: 'SECRET', regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { name: 'slack-token', kind: 'SECRET', regex: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g },
+  { name: 'stripe-key', kind: 'SECRET', regex: /\b[rsp]k_(?:live|test)_[A-Za-z0-9]{16,}/g },
+  { name: 'google-api-key', kind: 'SECRET', regex: /\bAIza[0-9A-Za-z_-]{35}/g },
+  { name: 'bearer-token', kind: 'SECRET', regex: /\bBearer\s+(?<secret>[A-Za-z0-9._~+/-]{16,}=*)/g },
+  { name: 'url-password', kind: 'SECRET', regex: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:(?<secret>[^\s@/]+)@/gi },
+  // Env-style assignments: API_KEY=..., DB_PASSWORD: ... (MAX_TOKENS and friends are not secrets)
+  { name: 'secret-assignment', kind: 'SECRET', regex: /\b[A-Z0-9_]*(?:SECRET|TOKEN(?!S)|PASSWORD|PASSWD|API_?KEY|ACCESS_?KEY|PRIVATE_?KEY|CREDENTIALS?)[A-Z0-9_]*["']?\s*[=:]\s*["']?(?<secret>[^\s"',;]{4,})/g },
+  { name: 'secret-phrase', kind: 'SECRET', regex: /\b(?:password|passwd|passphrase|client[_-]?secret|api[_-]?key|access[_-]?token|auth[_-]?token)["']?\s*(?:[=:]|\bis\b)\s*["']?(?<secret>[^\s"',;]{4,})/gi },
+  { name: 'email', kind: 'EMAIL', regex: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g }
+];
+
+const PLACEHOLDER = /^\[[A-Z][A-Z0-9_]*_\d+\]$/;
+
+/**
+ * Normalize user-supplied patterns into serializable specs
+ * @param {Array<string|RegExp|object>} patterns - Regex sources, RegExps or { name, pattern, flags, kind }
+ * @returns {Array<object>} { name, pattern, flags, kind }
+ */
+export function normalizePatterns(patterns = []) {
+  return patterns.map((spec, i) => {
+    if (typeof spec === 'string') {
+      return { name: `custom-${i + 1}`, pattern: spec, flags: 'g', kind: 'SECRET' };
+    }
+    if (spec instanceof RegExp) {
+      return { name: `custom-${i + 1}`, pattern: spec.source, flags: spec.flags, kind: 'SECRET' };
+    }
+    return { name: spec.name || `custom-${i + 1}`, pattern: spec.pattern, flags: spec.flags || 'g', kind: spec.kind || 'SECRET' };
+  });
+}
+
+/**
+ * Read the extra patterns configured in LUMEN_REDACT_PATTERNS
+ * @returns {Array<object>} Normalized pattern specs
+ */
+export function loadPatternsFromEnv() {
+  const raw = process.env.LUMEN_REDACT_PATTERNS;
+  if (!raw) return [];
+  try {
+    return normalizePatterns(JSON.parse(raw));
+  } catch {
+    console.warn('⚠️  [Redactor] Ignoring LUMEN_REDACT_PATTERNS: not a valid JSON array');
+    return [];
+  }
+}
+
+/**
+ * Whether redaction is enabled (LUMEN_REDACTION=off disables it)
+ */
+export function isRedactionEnabled() {
+  return process.env.LUMEN_REDACTION !== 'off';
+}
+
+function compile(spec) {
+  try {
+    const flags = spec.flags.includes('g') ? spec.flags : `${spec.flags}g`;
+    return { name: spec.name, kind: spec.kind.toUpperCase(), regex: new RegExp(spec.pattern, flags) };
+  } catch (error) {
+    console.warn(`⚠️  [Redactor] Ignoring pattern ${spec.name}: ${error.message}`);
+    return null;
+  }
+}
+
+export class Redactor {
+  /**
+   * @param {object} options - Redactor configuration
+   * @param {Array<object>} options.patterns - Base patterns (default DEFAULT_PATTERNS)
+   * @param {Array<string|RegExp|object>} options.extraPatterns - Additional patterns, applied before the base ones
+   * @param {object} options.state - Key and placeholder mapping from export()
+   */
+  constructor({ patterns = DEFAULT_PATTERNS, extraPatterns = [], state = null } = {}) {
+    const extra = normalizePatterns(extraPatterns).map(compile).filter(Boolean);
+    this.patterns = [...extra, ...patterns];
+    this.import(state);
+  }
+
+  /**
+   * Number of distinct values redacted so far
+   */
+  get count() {
+    return Object.keys(this.placeholders).length;
+  }
+
+  /**
+   * Redact a text
+   * @param {string} text - Text that may contain secrets
+   * @returns {string} Text with secrets replaced by placeholders
+   */
+  redact(text) {
+    if (typeof text !== 'string' || !text) return text;
+
+    let result = text;
+    for (const { kind, regex } of this.patterns) {
+      regex.lastIndex = 0;
+      result = result.replace(regex, (match, ...args) => {
+        const groups = typeof args[args.length - 1] === 'object' ? args[args.length - 1] : null;
+        const secret = groups?.secret ?? match;
+        if (!secret || PLACEHOLDER.test(secret)) return match;
+
+        const placeholder = this.placeholderFor(kind, secret);
+        if (secret === match) return placeholder;
+        const at = match.lastIndexOf(secret);
+        return match.slice(0, at) + placeholder + match.slice(at + secret.length);
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Redact every string inside a value (objects and arrays are copied)
+   * @param {*} value - Value to redact
+   * @returns {*} Redacted copy
+   */
+  redactValue(value) {
+    if (typeof value === 'string') return this.redact(value);
+    if (Array.isArray(value)) return value.map(item => this.redactValue(item));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.redactValue(item)]));
+    }
+    return value;
+  }
+
+  /**
+   * Get the stable placeholder for a value
+   * @param {string} kind - Placeholder kind (SECRET, EMAIL, PRIVATE_KEY, ...)
+   * @param {string} value - The redacted value
+   * @returns {string} e.g. [SECRET_3]
+   */
+  placeholderFor(kind, value) {
+    const key = `${kind}:${createHmac('sha256', this.key).update(value).digest('hex').slice(0, 32)}`;
+    if (!this.placeholders[key]) {
+      this.counters[kind] = (this.counters[kind] || 0) + 1;
+      this.placeholders[key] = `[${kind}_${this.counters[kind]}]`;
+    }
+    return this.placeholders[key];
+  }
+
+  /**
+   * Count placeholders that already appear in a text (e.g. an imported
+   * transcript), so new values are numbered past them instead of reusing them
+   * @param {string} text - Text that may contain placeholders
+   */
+  reservePlaceholders(text) {
+    if (typeof text !== 'string') return;
+    for (const [, kind, number] of text.matchAll(/\[([A-Z][A-Z0-9_]*)_(\d+)\]/g)) {
+      this.counters[kind] = Math.max(this.counters[kind] || 0, Number(number));
+    }
+  }
+
+  /**
+   * Export the key and placeholder mapping (value HMACs only) for server-side persistence
+   * @returns {object} { key, counters, placeholders }
+   */
+  export() {
+    return { key: this.key, counters: { ...this.counters }, placeholders: { ...this.placeholders } };
+  }
+
+  /**
+   * Restore a mapping from export(). A state without a key (saved before
+   * keys existed) keeps its counters, so numbering continues past the
+   * placeholders already in the text, but its entries are dropped under a
+   * fresh random key since they can't be matched any more.
+   * @param {object|null} state - Result of export()
+   */
+  import(state) {
+    const keyed = typeof state?.key === 'string' && /^[0-9a-f]{64}$/.test(state.key);
+    this.key = keyed ? state.key : randomBytes(32).toString('hex');
+    this.counters = { ...(state?.counters || {}) };
+    this.placeholders = keyed ? { ...(state.placeholders || {}) } : {};
+  }
+}
+
+let defaultRedactor;
+
+// The process-wide mapping grows with every distinct value logged; past this it starts over
+const DEFAULT_REDACTOR_MAX_PLACEHOLDERS = 10000;
+
+/**
+ * The process-wide redactor (used for audit logs outside a session), configured
+ * from the environment. Its placeholder mapping is reset once it holds
+ * DEFAULT_REDACTOR_MAX_PLACEHOLDERS values, so a long-running server doesn't
+ * accumulate one entry per secret it ever logged.
+ * @returns {Redactor}
+ */
+export function getDefaultRedactor() {
+  if (!defaultRedactor) {
+    defaultRedactor = new Redactor({ extraPatterns: loadPatternsFromEnv() });
+  } else if (defaultRedactor.count >= DEFAULT_REDACTOR_MAX_PLACEHOLDERS) {
+    defaultRedactor.import(null);
+  }
+  return defaultRedactor;
+}
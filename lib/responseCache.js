@@ -0,0 +1,304 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+
+/**
+ * Response Cache - Reuse responses of idempotent LLM calls
+ *
+ * Entries are keyed by a hash of (model, schema, schema name, temperature,
+ * normalized prompt) and expire after a TTL. Caching is opt-in per call
+ * (`cache: true` uses the configured cache, a ResponseCache instance uses
+ * that one, `false` bypasses); intent classification and War Room reviews
+ * opt in.
+ *
+ * Backends (LUMEN_CACHE):
+ * - memory: in-process Map
+ * - file:   JSON file at LUMEN_CACHE_PATH (default .lumen-cache/responses.json)
+ * - redis:  ioredis, using REDIS_HOST / REDIS_PORT / REDIS_PASSWORD
+ *
+ * LUMEN_CACHE_TTL sets the default TTL in seconds (default 3600).
+ */
+const ISO_TIMESTAMP = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z/g;
+
+export class MemoryCacheStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    // Copies, so callers can't mutate what later hits receive
+    return structuredClone(entry.value);
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.set(key, { value: structuredClone(value), expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Memory store persisted to a JSON file after every write
+ */
+export class FileCacheStore extends MemoryCacheStore {
+  /**
+   * @param {string} filePath - Cache file location
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+
+    if (fs.existsSync(filePath)) {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      this.entries = new Map(Object.entries(data.entries || {}));
+    }
+  }
+
+  async set(key, value, ttlSeconds) {
+    await super.set(key, value, ttlSeconds);
+    this.save();
+  }
+
+  async delete(key) {
+    await super.delete(key);
+    this.save();
+  }
+
+  async clear() {
+    await super.clear();
+    this.save();
+  }
+
+  save() {
+    const now = Date.now();
+    const live = [...this.entries].filter(([, entry]) => !entry.expiresAt || entry.expiresAt > now);
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({ version: 1, entries: Object.fromEntries(live) }, null, 2));
+  }
+}
+
+/**
+ * Redis store - entries expire through Redis TTLs
+ */
+export class RedisCacheStore {
+  /**
+   * @param {object} options - { client } to reuse an ioredis client, or connection settings
+   * @param {string} options.prefix - Key prefix (default 'lumen:cache:')
+   */
+  constructor(options = {}) {
+    this.prefix = options.prefix || 'lumen:cache:';
+    this.options = options;
+    this.client = options.client || null;
+  }
+
+  async getClient() {
+    if (!this.client) {
+      const { default: Redis } = await import('ioredis');
+      this.client = new Redis({
+        host: this.options.host || process.env.REDIS_HOST || 'localhost',
+        port: this.options.port || process.env.REDIS_PORT || 6379,
+        password: this.options.password || process.env.REDIS_PASSWORD || undefined,
+        maxRetriesPerRequest: 1
+      });
+      this.client.on('error', (err) => {
+        console.error('❌ Response cache Redis Error:', err.message);
+      });
+    }
+    return this.client;
+  }
+
+  async get(key) {
+    const raw = await (await this.getClient()).get(this.prefix + key);
+    return raw ? JSON.parse(raw) : undefined;
+  }
+
+  async set(key, value, ttlSeconds) {
+    const client = await this.getClient();
+    if (ttlSeconds) {
+      await client.set(this.prefix + key, JSON.stringify(value), 'EX', ttlSeconds);
+    } else {
+      await client.set(this.prefix + key, JSON.stringify(value));
+    }
+  }
+
+  async delete(key) {
+    await (await this.getClient()).del(this.prefix + key);
+  }
+
+  async clear() {
+    const client = await this.getClient();
+    const keys = await client.keys(`${this.prefix}*`);
+    if (keys.length > 0) {
+      await client.del(...keys);
+    }
+  }
+}
+
+export class ResponseCache {
+  /**
+   * @param {object} options - Cache configuration
+   * @param {object} options.store - Backend with async get/set/delete/clear (default in-memory)
+   * @param {number} options.ttlSeconds - Default entry lifetime (default 3600, 0 = no expiry)
+   */
+  constructor({ store = new MemoryCacheStore(), ttlSeconds = 3600 } = {}) {
+    this.store = store;
+    this.ttlSeconds = ttlSeconds;
+    this.stats = { hits: 0, misses: 0, writes: 0, errors: 0 };
+    this.listeners = new Set();
+  }
+
+  /**
+   * Compute the cache key for a request
+   * @param {object} request - { prompt, schema, schemaName, model, temperature }
+   * @returns {string} Hex digest
+   */
+  static keyFor(request) {
+    const normalized = {
+      prompt: request.prompt.replace(ISO_TIMESTAMP, '<timestamp>').replace(/\s+/g, ' ').trim(),
+      schema: request.schema ? createHash('sha256').update(JSON.stringify(request.schema)).digest('hex') : null,
+      schemaName: request.schemaName,
+      model: request.model,
+      temperature: request.temperature
+    };
+    return createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+  }
+
+  /**
+   * Look up a cached response
+   * Backend failures are reported as misses so the call goes through.
+   * @param {object} request - { prompt, schema, schemaName, model, temperature, caller }
+   * @returns {Promise<object|undefined>} { response, model, cachedAt } if cached
+   */
+  async get(request) {
+    let entry;
+    try {
+      entry = await this.store.get(ResponseCache.keyFor(request));
+    } catch (error) {
+      this.stats.errors++;
+      console.warn(`⚠️  [Response Cache] Lookup failed: ${error.message}`);
+    }
+
+    if (entry) {
+      this.stats.hits++;
+      this._emit('hit', request);
+      return entry;
+    }
+    this.stats.misses++;
+    this._emit('miss', request);
+    return undefined;
+  }
+
+  /**
+   * Store a response
+   * @param {object} request - { prompt, schema, schemaName, model, temperature }
+   * @param {object} response - Parsed JSON response
+   * @param {object} options - { model: model that produced it, ttlSeconds }
+   */
+  async set(request, response, { model = request.model, ttlSeconds = this.ttlSeconds } = {}) {
+    try {
+      await this.store.set(ResponseCache.keyFor(request), { response, model, cachedAt: new Date().toISOString() }, ttlSeconds);
+      this.stats.writes++;
+    } catch (error) {
+      this.stats.errors++;
+      console.warn(`⚠️  [Response Cache] Write failed: ${error.message}`);
+    }
+  }
+
+  async clear() {
+    await this.store.clear();
+  }
+
+  /**
+   * Subscribe to hit/miss events
+   * @param {Function} listener - Called with { event, caller, schemaName, model }
+   * @returns {Function} Unsubscribe function
+   */
+  onEvent(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return { ...this.stats, hitRate: lookups > 0 ? this.stats.hits / lookups : 0 };
+  }
+
+  _emit(event, request) {
+    for (const listener of this.listeners) {
+      try {
+        listener({ event, caller: request.caller || 'unknown', schemaName: request.schemaName, model: request.model });
+      } catch (error) {
+        console.error('Response cache listener failed:', error.message);
+      }
+    }
+  }
+}
+
+/**
+ * Create the cache configured by LUMEN_CACHE (null when unset or 'off')
+ * @returns {ResponseCache|null}
+ */
+export function createResponseCacheFromEnv() {
+  const backend = process.env.LUMEN_CACHE;
+  if (!backend || backend === 'off') return null;
+
+  const ttl = parseInt(process.env.LUMEN_CACHE_TTL, 10);
+  const ttlSeconds = Number.isFinite(ttl) ? ttl : 3600;
+
+  let store;
+  if (backend === 'memory') {
+    store = new MemoryCacheStore();
+  } else if (backend === 'file') {
+    store = new FileCacheStore(process.env.LUMEN_CACHE_PATH || path.join('.lumen-cache', 'responses.json'));
+  } else if (backend === 'redis') {
+    store = new RedisCacheStore();
+  } else {
+    throw new Error(`Unknown LUMEN_CACHE backend: ${backend} (expected memory, file, redis or off)`);
+  }
+
+  console.log(`🗄️  [Response Cache] ${backend} backend, TTL ${ttlSeconds}s`);
+  return new ResponseCache({ store, ttlSeconds });
+}
+
+let defaultCache;
+
+/**
+ * The process-wide cache used by `cache: true` calls (created from the environment on first use)
+ * @returns {ResponseCache|null}
+ */
+export function getDefaultResponseCache() {
+  if (defaultCache === undefined) {
+    defaultCache = createResponseCacheFromEnv();
+  }
+  return defaultCache;
+}
+
+/**
+ * Replace the process-wide cache (null disables it)
+ * @param {ResponseCache|null} cache
+ */
+export function setDefaultResponseCache(cache) {
+  defaultCache = cache;
+}
+
+/**
+ * Resolve the cache for a call
+ * @param {ResponseCache|boolean|null} cache - Instance, true for the default cache, false/null for none
+ * @returns {ResponseCache|null}
+ */
+export function resolveResponseCache(cache = null) {
+  if (cache instanceof ResponseCache) return cache;
+  return cache === true ? getDefaultResponseCache() : null;
+}
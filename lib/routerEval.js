@@ -0,0 +1,179 @@
+import fs from 'fs';
+import { routeIntent } from './schemaRouter.js';
+import { ScriptedProvider } from './providers/index.js';
+
+/**
+ * Router Eval - Measure how well the schema router picks agents
+ *
+ * Runs a labeled dataset through routing only (routeIntent, no agent is
+ * executed) and reports accuracy, a confusion matrix, per-agent precision
+ * and recall, and how the keyword fast path compares with the classifier:
+ * every case is also classified by the model, so a keyword match that
+ * disagrees with the classifier is counted as an override.
+ *
+ * Dataset: JSONL, one case per line
+ *   {"prompt": "update the document file with the new API", "expected": "fileOp"}
+ * An optional "classifier" field scripts the classifier's answer for that
+ * case in scripted mode (see createScriptedClassifier).
+ */
+
+/**
+ * Read a JSONL dataset
+ * @param {string} filePath - Dataset location
+ * @returns {Array<object>} Cases ({ prompt, expected, classifier? })
+ */
+export function loadRouterDataset(filePath) {
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+    .filter(({ line }) => line && !line.startsWith('//'))
+    .map(({ line, number }) => {
+      let item;
+      try {
+        item = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${filePath}:${number}: ${error.message}`);
+      }
+      if (typeof item.prompt !== 'string' || typeof item.expected !== 'string') {
+        throw new Error(`${filePath}:${number}: a case needs a prompt and an expected agent`);
+      }
+      return item;
+    });
+}
+
+/**
+ * A scripted provider that answers classification requests from the dataset
+ * Each case is classified as its "classifier" field, or as its label when
+ * there is none - so with an unannotated dataset the report measures the
+ * keyword fast path against the labels, fully offline.
+ * @param {Array<object>} cases - Dataset cases
+ * @returns {ScriptedProvider}
+ */
+export function createScriptedClassifier(cases) {
+  const answers = new Map(cases.map(item => [item.prompt, item.classifier || item.expected]));
+  return new ScriptedProvider({
+    handler: request => {
+      const content = request.messages.map(m => m.content || '').join('\n');
+      const prompt = content.match(/User Request: "([\s\S]*?)"\n/)?.[1];
+      if (!answers.has(prompt)) {
+        throw new Error(`No scripted classification for ${JSON.stringify(prompt)}`);
+      }
+      return { recommendedAgent: answers.get(prompt), reasoning: 'scripted', confidence: 'high' };
+    }
+  });
+}
+
+/**
+ * Route every case and score the results
+ * @param {Array<object>} cases - Dataset cases
+ * @param {object} options - { agents: registry, provider: classifier provider, onCase: called with each result }
+ * @returns {Promise<object>} Report (see formatRouterReport)
+ */
+export async function evaluateRouter(cases, { agents, provider = null, onCase = null } = {}) {
+  const results = [];
+  for (const item of cases) {
+    const route = await routeIntent(item.prompt, { agents, provider, alwaysClassify: true, cache: false, sessionId: 'router-eval', lowConfidence: 'proceed' });
+    const result = {
+      prompt: item.prompt,
+      expected: item.expected,
+      predicted: route.agent.name,
+      method: route.method,
+      keywordAgent: route.keywordAgent,
+      classifierAgent: route.classification?.recommendedAgent || null,
+      error: route.error,
+      correct: route.agent.name === item.expected
+    };
+    results.push(result);
+    if (onCase) onCase(result);
+  }
+  return summarize(results);
+}
+
+function summarize(results) {
+  const labels = [...new Set(results.flatMap(r => [r.expected, r.predicted]))].sort();
+  const confusion = Object.fromEntries(labels.map(expected => [expected, Object.fromEntries(labels.map(predicted => [predicted, 0]))]));
+  for (const r of results) confusion[r.expected][r.predicted]++;
+
+  const perAgent = {};
+  for (const label of labels) {
+    const truePositives = confusion[label][label];
+    const predicted = labels.reduce((total, expected) => total + confusion[expected][label], 0);
+    const support = labels.reduce((total, p) => total + confusion[label][p], 0);
+    const precision = predicted ? truePositives / predicted : null;
+    const recall = support ? truePositives / support : null;
+    const f1 = precision && recall ? (2 * precision * recall) / (precision + recall) : 0;
+    perAgent[label] = { precision, recall, f1, support };
+  }
+
+  const keywordHits = results.filter(r => r.keywordAgent);
+  const compared = keywordHits.filter(r => r.classifierAgent);
+  const overrides = compared.filter(r => r.keywordAgent !== r.classifierAgent);
+  const classified = results.filter(r => r.classifierAgent);
+
+  return {
+    total: results.length,
+    correct: results.filter(r => r.correct).length,
+    accuracy: results.length ? results.filter(r => r.correct).length / results.length : 0,
+    labels,
+    confusion,
+    perAgent,
+    keyword: {
+      matched: keywordHits.length,
+      correct: keywordHits.filter(r => r.correct).length,
+      agreedWithClassifier: compared.length - overrides.length,
+      overrodeClassifier: overrides.length,
+      // Overrides where the keyword was right vs where the classifier would have been
+      overridesCorrect: overrides.filter(r => r.keywordAgent === r.expected).length,
+      overridesWrong: overrides.filter(r => r.classifierAgent === r.expected).length
+    },
+    classifier: {
+      classified: classified.length,
+      correct: classified.filter(r => r.classifierAgent === r.expected).length,
+      failed: results.filter(r => r.error).length
+    },
+    results
+  };
+}
+
+/**
+ * Format a report for the terminal
+ * @param {object} report - Result of evaluateRouter()
+ * @returns {string}
+ */
+export function formatRouterReport(report) {
+  const percent = value => value === null ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`;
+  const width = Math.max(8, ...report.labels.map(label => label.length)) + 2;
+  const cell = text => String(text).padStart(width);
+  const { keyword, classifier } = report;
+  const lines = [];
+
+  lines.push(`Accuracy: ${report.correct}/${report.total} (${percent(report.accuracy).trim()})`, '');
+
+  lines.push('Confusion matrix (rows: expected, columns: predicted)');
+  lines.push(cell('') + report.labels.map(cell).join(''));
+  for (const expected of report.labels) {
+    lines.push(cell(expected) + report.labels.map(predicted => cell(report.confusion[expected][predicted])).join(''));
+  }
+
+  lines.push('', `${cell('agent')}  precision  recall      f1  support`);
+  for (const [label, stats] of Object.entries(report.perAgent)) {
+    lines.push(`${cell(label)}  ${percent(stats.precision).padStart(9)}  ${percent(stats.recall)}  ${percent(stats.f1)}  ${String(stats.support).padStart(7)}`);
+  }
+
+  lines.push('');
+  lines.push(`Keyword fast path: ${keyword.matched} match(es), ${keyword.correct} correct`);
+  lines.push(`  agreed with the classifier: ${keyword.agreedWithClassifier}`);
+  lines.push(`  overrode the classifier:    ${keyword.overrodeClassifier} (keyword right: ${keyword.overridesCorrect}, classifier right: ${keyword.overridesWrong})`);
+  lines.push(`Classifier: ${classifier.correct}/${classifier.classified} correct${classifier.failed ? `, ${classifier.failed} failed` : ''}`);
+
+  const misses = report.results.filter(r => !r.correct);
+  if (misses.length > 0) {
+    lines.push('', 'Misrouted:');
+    for (const r of misses) {
+      const via = r.method === 'keyword' ? `keyword, classifier said ${r.classifierAgent ?? '-'}` : r.method;
+      lines.push(`  [${r.expected} → ${r.predicted}, ${via}] ${r.prompt}`);
+    }
+  }
+
+  return lines.join('\n');
+}
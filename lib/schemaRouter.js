@@ -1,82 +1,256 @@
-import { queryOpenAI } from './openaiWrapper.js';
-import { baseAgentExtendedResponseSchema } from '../schemas/baseAgent.js';
-import { projectScaffolderAgentSchema } from '../schemas/projectScaffolderAgent.js';
-import { fileOperationAgentSchema } from '../schemas/fileOperationAgent.js';
-import { codeAnalyzerAgentSchema } from '../schemas/codeAnalyzerAgent.js';
-import { testingAgentSchema } from '../schemas/testingAgent.js';
-import { docGeneratorAgentSchema } from '../schemas/docGeneratorAgent.js';
-
-/**
- * Schema Registry - Maps intent types to specialized agent schemas
- */
-const SCHEMA_REGISTRY = {
-  scaffold: projectScaffolderAgentSchema,
-  fileOp: fileOperationAgentSchema,
-  analyze: codeAnalyzerAgentSchema,
-  test: testingAgentSchema,
-  docs: docGeneratorAgentSchema,
-  default: baseAgentExtendedResponseSchema
-};
+import { queryOpenAI, BudgetExceededError } from './openaiWrapper.js';
+import { loadAgentRegistry } from './agentRegistry.js';
+import { buildAgentSystemPrompt, ROUTER_PROMPT } from './prompts.js';
 
 /**
  * Intent Classification Schema
  * Used to determine which specialized agent to use
+ * @param {Array<string>} agentNames - Registered agents
+ * @returns {object} JSON schema
  */
-const intentClassificationSchema = {
-  type: "object",
-  properties: {
-    recommendedAgent: { 
-      type: "string", 
-      enum: ["scaffold", "fileOp", "analyze", "test", "docs", "default"],
-      description: "The specialized agent best suited for this task"
-    },
-    reasoning: { 
-      type: "string",
-      description: "Why this agent was selected"
+function buildIntentClassificationSchema(agentNames) {
+  return {
+    type: "object",
+    properties: {
+      recommendedAgent: { 
+        type: "string", 
+        enum: agentNames,
+        description: "The specialized agent best suited for this task"
+      },
+      reasoning: { 
+        type: "string",
+        description: "Why this agent was selected"
+      },
+      confidence: {
+        type: "string",
+        enum: ["high", "medium", "low"],
+        description: "Confidence level in this classification"
+      }
     },
-    confidence: {
-      type: "string",
-      enum: ["high", "medium", "low"],
-      description: "Confidence level in this classification"
-    }
-  },
-  required: ["recommendedAgent", "reasoning", "confidence"],
-  additionalProperties: false
-};
+    required: ["recommendedAgent", "reasoning", "confidence"],
+    additionalProperties: false
+  };
+}
 
 /**
  * Schema Router - Dynamically selects the correct schema for queryOpenAI
  * based on user intent and conversational history.
  * 
  * This acts as a "dispatcher" that routes requests to specialized agents.
+ * The agents, their keywords and the classifier's choices come from the
+ * agent plugins (see lib/agentRegistry.js).
+ * 
+ * The routing decision is returned next to the agent response:
+ *   {
+ *     agent: 'docs',               // agent that answered (null when a clarifying question was asked)
+ *     path: 'classifier',          // 'forced' | 'keyword' | 'classifier' | 'fallback'
+ *     confidence: 'medium',        // classifier confidence (null unless classified)
+ *     reasoning: '...',            // why this agent (classifier reasoning, matched keyword, client choice or failure)
+ *     keyword: null,               // keyword that matched
+ *     recommendedAgent: 'docs',    // classifier recommendation, even when not followed
+ *     action: 'proceed'            // 'proceed' | 'clarify' | 'reroute' (low-confidence handling)
+ *   }
  * 
  * @param {string} userInput - The user's request
  * @param {MemoryManager} memory - Memory context
- * @returns {Promise<object>} Agent response with appropriate schema
+ * @param {object} options - Optional configuration
+ * @param {Function} options.onDelta - Stream the agent response, called with { delta, text } per chunk
+ *   (and { type: 'reset' } when a retry or fallback discards the streamed text)
+ * @param {string} options.lowConfidence - Low-confidence policy (see getLowConfidencePolicy)
+ * @param {string} options.agent - Run this agent, skipping classification
+ * @returns {Promise<object>} { routing, response, proposedFacts } - routing envelope, agent response and newly proposed facts awaiting review
+ * @throws {UnknownAgentError} When options.agent is not registered
+ */
+export async function schemaRouter(userInput, memory, options = {}) {
+  // The request goes to the model with the same placeholders memory stored it under
+  const query = memory.redact(userInput);
+  const agents = await loadAgentRegistry();
+  const { agent, response: agentResponse, routing } = await routeToAgent(query, memory, agents, options);
+
+  // Plugins can post-process their response (e.g. save a report)
+  const response = agent?.handleResult
+    ? (await agent.handleResult(agentResponse, { userInput: query, memory })) ?? agentResponse
+    : agentResponse;
+
+  // Constraints the agent picked up from the user wait for the user to accept them
+  // (model output could otherwise plant permanent instructions)
+  const proposedFacts = Array.isArray(response?.proposedFacts) && response.proposedFacts.length > 0
+    ? await memory.proposeFacts(response.proposedFacts)
+    : [];
+  for (const proposal of proposedFacts) {
+    console.log(`💡 [Memory] Proposed fact #${proposal.id} awaiting review: ${proposal.text}`);
+  }
+
+  return { routing, response, proposedFacts };
+}
+
+async function routeToAgent(userInput, memory, agents, options) {
+  const { onDelta = null, lowConfidence, agent } = options;
+
+  // Older interactions relevant to this request are recalled from the archive, cited by id
+  const recalled = await memory.recall(userInput);
+  if (recalled.length > 0) {
+    console.log(`🔎 [Recall] ${recalled.length} earlier interaction(s): ${recalled.map(r => `#${r.id}`).join(', ')}`);
+  }
+
+  // Conversation so far as chat turns; the current input is sent as the query
+  const history = memory.toMessages(userInput, { recalled });
+  const classificationTurns = 6; // The classifier only needs the recent turns
+  const run = agent => runAgent(agent, userInput, { agents, memory, history, onDelta });
+
+  const route = await routeIntent(userInput, {
+    agents,
+    history: history.slice(-classificationTurns),
+    sessionId: memory.sessionId,
+    lowConfidence,
+    agent
+  });
+  const routing = describeRoute(route);
+
+  // Too unsure to pick an agent: ask instead of answering with a guess
+  if (route.action === 'clarify') {
+    console.log(`❓ [Schema Router] Low confidence in ${route.agent.name}, asking the user to clarify`);
+    return { agent: null, response: buildClarification(route, agents), routing: { ...routing, agent: null } };
+  }
+
+  if (route.method !== 'classifier') {
+    return { ...(await run(route.agent)), routing };
+  }
+
+  try {
+    return { ...(await run(route.agent)), routing };
+  } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      throw error;
+    }
+    console.error('Schema routing failed, falling back to default agent:', error.message);
+    return {
+      ...(await run(agents.get('default'))),
+      routing: { ...routing, agent: 'default', path: 'fallback', reasoning: `${route.agent.name} agent failed: ${error.message}` }
+    };
+  }
+}
+
+/**
+ * The routing envelope for a decision from routeIntent()
+ * @param {object} route - Result of routeIntent()
+ * @returns {object} { agent, path, confidence, reasoning, keyword, recommendedAgent, action }
  */
-export async function schemaRouter(userInput, memory) {
-  const context = memory.getHydratedContext();
-
-  // Keywords that strongly indicate specific agents
-  const keywords = {
-    scaffold: ['initialize', 'scaffold', 'create project', 'setup project', 'new project', 'bootstrap'],
-    fileOp: ['create file', 'write file', 'delete file', 'update file', 'move file', 'rename file'],
-    analyze: ['analyze code', 'review code', 'check quality', 'find bugs', 'code review', 'refactor'],
-    test: ['generate tests', 'write tests', 'create tests', 'test this', 'unit test', 'integration test'],
-    docs: ['document', 'generate docs', 'create documentation', 'explain this code']
+function describeRoute(route) {
+  const { classification } = route;
+  const reasoning = {
+    forced: 'Requested by the client',
+    keyword: `Matched keyword "${route.keyword}"`,
+    classifier: classification?.reasoning,
+    fallback: `Classification failed: ${route.error}`
+  }[route.method];
+
+  return {
+    agent: route.agent.name,
+    path: route.method,
+    confidence: route.method === 'classifier' ? classification.confidence : null,
+    reasoning,
+    keyword: route.keyword,
+    recommendedAgent: classification?.recommendedAgent || null,
+    action: route.action
   };
+}
+
+/**
+ * A base-agent response asking which kind of help the user wants
+ * Shaped like the default agent's responses, so clients show it the same way.
+ * @param {object} route - Low-confidence route from routeIntent()
+ * @param {AgentRegistry} agents - Registered agents
+ * @returns {object} Response with the question in `questions` and `missingContext`
+ */
+function buildClarification(route, agents) {
+  const suggested = route.agent;
+  const others = agents.list().filter(agent => agent.name !== suggested.name && agent.name !== 'default');
+  const question = `Do you want help ${describeAgent(suggested)}, or something else (e.g. ${others.slice(0, 3).map(describeAgent).join('; ')})?`;
+
+  return {
+    choice: 'response',
+    response: `I'm not sure what you're asking for. ${question}`,
+    questionsForUser: true,
+    questions: [question],
+    missingContext: ['Which kind of help the request is for'],
+    code: '',
+    language: '',
+    codeExplanation: '',
+    terminalCommand: '',
+    commandReasoning: '',
+    requiresApproval: false,
+    continue: false,
+    proposedFacts: []
+  };
+}
+
+function describeAgent(agent) {
+  return agent.description.replace(/^For /, 'with ');
+}
+
+/**
+ * What to do when the classifier has low confidence and no keyword matched
+ *   clarify  - ask the user which kind of help they want (default)
+ *   proceed  - run the recommended agent anyway
+ *   <agent>  - route to that agent instead (e.g. "default")
+ * @returns {string} LUMEN_LOW_CONFIDENCE, or 'clarify'
+ */
+export function getLowConfidencePolicy() {
+  return process.env.LUMEN_LOW_CONFIDENCE || 'clarify';
+}
+
+/**
+ * Decide which agent handles a request, without running it
+ * Keywords win when one matches (no classifier call); otherwise the model
+ * classifies the request, falling back to the default agent if that fails.
+ * A low-confidence classification is handled by the low-confidence policy,
+ * and an agent the client asked for is used as is.
+ * @param {string} userInput - The user's request
+ * @param {object} options - Routing options
+ * @param {AgentRegistry} options.agents - Registered agents (default the discovered ones)
+ * @param {Array<object>} options.history - Recent chat turns for the classifier
+ * @param {string} options.sessionId - Session for usage accounting
+ * @param {boolean} options.alwaysClassify - Ask the classifier even when a keyword matched (for evaluation)
+ * @param {boolean} options.cache - Serve repeated classifications from the response cache (default true)
+ * @param {string|object} options.provider - Provider name or instance
+ * @param {string} options.lowConfidence - 'clarify', 'proceed' or an agent name (default getLowConfidencePolicy())
+ * @param {string} options.agent - Agent chosen by the client (validated against the registry)
+ * @returns {Promise<object>} { agent, method: 'forced' | 'keyword' | 'classifier' | 'fallback', action: 'proceed' | 'clarify' | 'reroute', keyword, keywordAgent, classification, error }
+ */
+export async function routeIntent(userInput, options = {}) {
+  const {
+    history = [],
+    sessionId,
+    alwaysClassify = false,
+    cache = true,
+    provider = null,
+    lowConfidence = getLowConfidencePolicy()
+  } = options;
+  const agents = options.agents || await loadAgentRegistry();
+
+  // The client picked the agent: no keyword matching or classification
+  if (options.agent !== undefined && options.agent !== null) {
+    const forced = agents.resolve(options.agent);
+    console.log(`🎯 [Schema Router] Forced: ${forced.name} agent (requested by the client)`);
+    return { agent: forced, method: 'forced', action: 'proceed', keyword: null, keywordAgent: null, classification: null, error: null };
+  }
 
   // Quick keyword-based routing for obvious cases
-  const lowerInput = userInput.toLowerCase();
-  for (const [agentType, words] of Object.entries(keywords)) {
-    if (words.some(word => lowerInput.includes(word))) {
-      console.log(`🎯 [Schema Router] Quick match: ${agentType} agent (keyword detected)`);
-      return await queryOpenAI(userInput, {
-        context,
-        schema: SCHEMA_REGISTRY[agentType],
-        temperature: 0.6
-      });
-    }
+  const match = agents.findKeyword(userInput);
+  const matched = match?.agent || null;
+  const route = {
+    agent: matched,
+    method: 'keyword',
+    action: 'proceed',
+    keyword: match?.keyword || null,
+    keywordAgent: matched?.name || null,
+    classification: null,
+    error: null
+  };
+  if (matched) {
+    console.log(`🎯 [Schema Router] Quick match: ${matched.name} agent (keyword "${match.keyword}")`);
+    if (!alwaysClassify) return route;
   }
 
   // If no obvious match, use AI to classify intent
@@ -87,59 +261,83 @@ export async function schemaRouter(userInput, memory) {
 User Request: "${userInput}"
 
 Available Agents:
-- scaffold: For initializing new projects with templates, dependencies, and directory structures
-- fileOp: For file CRUD operations (create, read, update, delete)
-- analyze: For code quality review, bug detection, and refactoring suggestions
-- test: For generating unit tests, integration tests, and test data
-- docs: For creating documentation from code
-- default: For general conversation, questions, or tasks that don't fit other categories`,
+${agents.list().map(agent => `- ${agent.name}: ${agent.description}`).join('\n')}`,
       { 
-        context, 
-        schema: intentClassificationSchema,
+        system: ROUTER_PROMPT,
+        messages: history,
+        schema: buildIntentClassificationSchema(agents.names()),
+        schemaName: 'intentClassification',
+        caller: 'router',
+        cache,
+        provider,
+        sessionId,
         temperature: 0.3
       }
     );
 
     console.log(`🎯 [Schema Router] AI classification: ${classification.recommendedAgent} (${classification.confidence} confidence)`);
     console.log(`   Reasoning: ${classification.reasoning}`);
+    route.classification = classification;
 
-    const selectedSchema = SCHEMA_REGISTRY[classification.recommendedAgent] || SCHEMA_REGISTRY.default;
-
-    return await queryOpenAI(userInput, {
-      context,
-      schema: selectedSchema,
-      temperature: 0.6
-    });
-
+    if (!matched) {
+      route.agent = agents.get(classification.recommendedAgent) || agents.get('default');
+      route.method = 'classifier';
+      if (classification.confidence === 'low') {
+        applyLowConfidencePolicy(route, lowConfidence, agents);
+      }
+    }
   } catch (error) {
-    console.error('Schema routing failed, falling back to default agent:', error.message);
-    return await queryOpenAI(userInput, {
-      context,
-      schema: SCHEMA_REGISTRY.default,
-      temperature: 0.6
-    });
+    if (error instanceof BudgetExceededError) {
+      throw error;
+    }
+    route.error = error.message;
+    if (!matched) {
+      console.error('Schema routing failed, falling back to default agent:', error.message);
+      route.agent = agents.get('default');
+      route.method = 'fallback';
+    }
   }
+  return route;
+}
+
+function applyLowConfidencePolicy(route, policy, agents) {
+  if (policy === 'proceed') return;
+  if (policy !== 'clarify' && agents.has(policy)) {
+    console.log(`🎯 [Schema Router] Low confidence, routing to ${policy} instead of ${route.agent.name}`);
+    route.agent = agents.get(policy);
+    route.action = 'reroute';
+    return;
+  }
+  if (policy !== 'clarify') {
+    console.warn(`⚠️  [Schema Router] Unknown low-confidence policy "${policy}", asking to clarify`);
+  }
+  route.action = 'clarify';
 }
 
 /**
- * Get information about available schemas
- * @returns {object} Schema registry info
+ * Query an agent with its schema, instructions and preferred model
+ * @returns {Promise<object>} { agent, response }
  */
-export function getAvailableSchemas() {
-  return Object.keys(SCHEMA_REGISTRY).map(key => ({
-    name: key,
-    description: getSchemaDescription(key)
-  }));
+async function runAgent(agent, userInput, { agents, memory, history, onDelta }) {
+  const response = await queryOpenAI(userInput, {
+    system: buildAgentSystemPrompt(agent, agents.list()),
+    messages: history,
+    schema: agent.schema,
+    schemaName: agent.name,
+    caller: `agent:${agent.name}`,
+    model: agent.model,
+    sessionId: memory.sessionId,
+    temperature: 0.6,
+    onDelta
+  });
+  return { agent, response };
 }
 
-function getSchemaDescription(key) {
-  const descriptions = {
-    scaffold: 'Initialize new projects with templates and structure',
-    fileOp: 'Perform file operations with safety checks',
-    analyze: 'Analyze code quality and detect issues',
-    test: 'Generate automated tests',
-    docs: 'Create comprehensive documentation',
-    default: 'General conversation and task handling'
-  };
-  return descriptions[key] || 'Unknown';
+/**
+ * Get information about available schemas
+ * @returns {Promise<Array<object>>} Registered agents in routing order ({ name, description, keywords, model, schema })
+ */
+export async function getAvailableSchemas() {
+  const agents = await loadAgentRegistry();
+  return agents.list().map(({ name, description, keywords, model, schema }) => ({ name, description, keywords, model, schema }));
 }
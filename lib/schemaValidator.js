@@ -0,0 +1,144 @@
+/**
+ * Schema Validator - Local JSON Schema validation for structured LLM output
+ *
+ * Covers the subset of JSON Schema used by the agent schemas (strict
+ * structured-output style): type, enum, properties, required,
+ * additionalProperties, items, anyOf, minimum/maximum and minItems/maxItems.
+ * Errors carry field paths such as `codeQuality.issuesFound[2]`.
+ */
+
+/**
+ * Thrown when a model response does not conform to its schema
+ */
+export class SchemaValidationError extends Error {
+  /**
+   * @param {string} schemaName - Name of the schema that was violated
+   * @param {Array<object>} errors - Validation errors ({ path, message })
+   * @param {*} response - The offending response (parsed, or raw text if unparseable)
+   */
+  constructor(schemaName, errors, response) {
+    super(`Response does not match schema "${schemaName}": ${formatValidationErrors(errors, 3)}`);
+    this.name = 'SchemaValidationError';
+    this.schemaName = schemaName;
+    this.errors = errors;
+    this.response = response;
+  }
+}
+
+/**
+ * Validate a value against a JSON schema
+ * @param {*} value - Value to validate
+ * @param {object} schema - JSON schema
+ * @returns {Array<object>} Validation errors ({ path, message }), empty when valid
+ */
+export function validateAgainstSchema(value, schema) {
+  const errors = [];
+  validateNode(value, schema, '', errors);
+  return errors;
+}
+
+/**
+ * Format validation errors as a bullet list
+ * @param {Array<object>} errors - Validation errors
+ * @param {number} limit - Maximum number of errors to include
+ * @returns {string} Human-readable error list
+ */
+export function formatValidationErrors(errors, limit = errors.length) {
+  const lines = errors.slice(0, limit).map(e => `${e.path || '(root)'}: ${e.message}`);
+  if (errors.length > limit) {
+    lines.push(`…and ${errors.length - limit} more`);
+  }
+  return lines.join('; ');
+}
+
+function validateNode(value, schema, path, errors) {
+  if (!schema || typeof schema !== 'object') return;
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(option => validateAgainstSchema(value, option).length === 0);
+    if (!matches) {
+      errors.push({ path, message: 'does not match any allowed schema (anyOf)' });
+    }
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `expected ${types.join(' or ')}, got ${describeType(value)}` });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateNode(item, schema.items, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({ path: joinPath(path, key), message: 'is required' });
+      }
+    }
+
+    for (const [key, propValue] of Object.entries(value)) {
+      if (properties[key]) {
+        validateNode(propValue, properties[key], joinPath(path, key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: joinPath(path, key), message: 'is not allowed (additionalProperties: false)' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateNode(propValue, schema.additionalProperties, joinPath(path, key), errors);
+      }
+    }
+  }
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'object': return isPlainObject(value);
+    case 'array': return Array.isArray(value);
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'null': return value === null;
+    default: return true;
+  }
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
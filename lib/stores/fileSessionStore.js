@@ -0,0 +1,58 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * File session store - one JSON file per session
+ *
+ * Files are written to a temporary name and renamed into place, so a crash
+ * mid-write leaves the previous state intact.
+ */
+export class FileSessionStore {
+  /**
+   * @param {object} options - Store configuration
+   * @param {string} options.directory - Where session files live (defaults to LUMEN_SESSION_DIR, then .lumen-sessions)
+   */
+  constructor(options = {}) {
+    this.name = 'file';
+    this.directory = options.directory || process.env.LUMEN_SESSION_DIR || '.lumen-sessions';
+  }
+
+  _filePath(sessionId) {
+    // Session ids come from clients; keep them to a safe file name
+    const safeId = encodeURIComponent(sessionId);
+    return path.join(this.directory, `${safeId}.json`);
+  }
+
+  async load(sessionId) {
+    try {
+      return JSON.parse(await fs.readFile(this._filePath(sessionId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async save(sessionId, state) {
+    const filePath = this._filePath(sessionId);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(state, null, 2));
+    await fs.rename(tempPath, filePath);
+  }
+
+  async delete(sessionId) {
+    await fs.rm(this._filePath(sessionId), { force: true });
+  }
+
+  async list() {
+    try {
+      const files = await fs.readdir(this.directory);
+      return files
+        .filter(file => file.endsWith('.json'))
+        .map(file => decodeURIComponent(file.slice(0, -'.json'.length)));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+}
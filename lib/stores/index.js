@@ -0,0 +1,38 @@
+import { MemorySessionStore } from './memorySessionStore.js';
+import { FileSessionStore } from './fileSessionStore.js';
+import { SqliteSessionStore } from './sqliteSessionStore.js';
+import { RedisSessionStore } from './redisSessionStore.js';
+
+/**
+ * Session Stores - Where MemoryManager state is persisted
+ *
+ * A store is any object with:
+ *   async load(sessionId)        → exported state, or null if unknown
+ *   async save(sessionId, state) → persist MemoryManager.export()
+ *   async delete(sessionId)
+ *   async list()                 → session ids
+ *
+ * Selection: LUMEN_SESSION_STORE = file (default) | sqlite | redis | memory
+ */
+const STORES = {
+  memory: MemorySessionStore,
+  file: FileSessionStore,
+  sqlite: SqliteSessionStore,
+  redis: RedisSessionStore
+};
+
+/**
+ * Create a session store
+ * @param {string} type - memory | file | sqlite | redis (defaults to LUMEN_SESSION_STORE, then 'file')
+ * @param {object} options - Passed to the store constructor
+ * @returns {object} Session store
+ */
+export function createSessionStore(type = process.env.LUMEN_SESSION_STORE || 'file', options = {}) {
+  const Store = STORES[type];
+  if (!Store) {
+    throw new Error(`Unknown session store: ${type} (expected ${Object.keys(STORES).join(', ')})`);
+  }
+  return new Store(options);
+}
+
+export { MemorySessionStore, FileSessionStore, SqliteSessionStore, RedisSessionStore };
@@ -0,0 +1,27 @@
+/**
+ * In-memory session store - nothing survives a restart
+ * Useful for tests and as the reference implementation of the store interface.
+ */
+export class MemorySessionStore {
+  constructor() {
+    this.name = 'memory';
+    this.sessions = new Map();
+  }
+
+  async load(sessionId) {
+    const state = this.sessions.get(sessionId);
+    return state ? structuredClone(state) : null;
+  }
+
+  async save(sessionId, state) {
+    this.sessions.set(sessionId, structuredClone(state));
+  }
+
+  async delete(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  async list() {
+    return [...this.sessions.keys()];
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * Redis session store - one key per session, optionally expiring
+ */
+export class RedisSessionStore {
+  /**
+   * @param {object} options - Store configuration
+   * @param {object} options.client - Existing ioredis client to reuse
+   * @param {string} options.prefix - Key prefix (default 'lumen:session:')
+   * @param {number} options.ttlSeconds - Expire idle sessions (defaults to LUMEN_SESSION_TTL, unset = never)
+   */
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.options = options;
+    this.client = options.client || null;
+    this.prefix = options.prefix || 'lumen:session:';
+    this.ttlSeconds = options.ttlSeconds ?? (parseInt(process.env.LUMEN_SESSION_TTL, 10) || null);
+  }
+
+  async getClient() {
+    if (!this.client) {
+      const { default: Redis } = await import('ioredis');
+      this.client = new Redis({
+        host: this.options.host || process.env.REDIS_HOST || 'localhost',
+        port: this.options.port || process.env.REDIS_PORT || 6379,
+        password: this.options.password || process.env.REDIS_PASSWORD || undefined,
+        maxRetriesPerRequest: 3
+      });
+      this.client.on('error', (err) => {
+        console.error('❌ Session store Redis Error:', err.message);
+      });
+    }
+    return this.client;
+  }
+
+  async load(sessionId) {
+    const raw = await (await this.getClient()).get(this.prefix + sessionId);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async save(sessionId, state) {
+    const client = await this.getClient();
+    if (this.ttlSeconds) {
+      await client.set(this.prefix + sessionId, JSON.stringify(state), 'EX', this.ttlSeconds);
+    } else {
+      await client.set(this.prefix + sessionId, JSON.stringify(state));
+    }
+  }
+
+  async delete(sessionId) {
+    await (await this.getClient()).del(this.prefix + sessionId);
+  }
+
+  async list() {
+    const keys = await (await this.getClient()).keys(`${this.prefix}*`);
+    return keys.map(key => key.slice(this.prefix.length));
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * SQLite session store - all sessions in one database file
+ *
+ * Uses the built-in `node:sqlite` module (Node 22.5+) and falls back to the
+ * `better-sqlite3` package when it is installed. The driver is loaded on
+ * first use.
+ */
+export class SqliteSessionStore {
+  /**
+   * @param {object} options - Store configuration
+   * @param {string} options.filename - Database file (defaults to LUMEN_SESSION_DB, then .lumen-sessions/sessions.db)
+   */
+  constructor(options = {}) {
+    this.name = 'sqlite';
+    this.filename = options.filename || process.env.LUMEN_SESSION_DB || '.lumen-sessions/sessions.db';
+    this.db = null;
+  }
+
+  async getDb() {
+    if (this.db) return this.db;
+
+    const { mkdirSync } = await import('fs');
+    const { dirname } = await import('path');
+    mkdirSync(dirname(this.filename), { recursive: true });
+
+    try {
+      const { DatabaseSync } = await import('node:sqlite');
+      this.db = new DatabaseSync(this.filename);
+    } catch {
+      try {
+        const { default: Database } = await import('better-sqlite3');
+        this.db = new Database(this.filename);
+      } catch {
+        throw new Error('SQLite session store needs Node 22.5+ (node:sqlite) or the better-sqlite3 package');
+      }
+    }
+
+    this.db.exec(`CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      state TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )`);
+    return this.db;
+  }
+
+  async load(sessionId) {
+    const db = await this.getDb();
+    const row = db.prepare('SELECT state FROM sessions WHERE id = ?').get(sessionId);
+    return row ? JSON.parse(row.state) : null;
+  }
+
+  async save(sessionId, state) {
+    const db = await this.getDb();
+    db.prepare(`INSERT INTO sessions (id, state, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET state = excluded.state, updated_at = excluded.updated_at`)
+      .run(sessionId, JSON.stringify(state), new Date().toISOString());
+  }
+
+  async delete(sessionId) {
+    const db = await this.getDb();
+    db.prepare('DELETE FROM sessions WHERE id = ?').run(sessionId);
+  }
+
+  async list() {
+    const db = await this.getDb();
+    return db.prepare('SELECT id FROM sessions ORDER BY updated_at DESC').all().map(row => row.id);
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * Token Counter - Cheap token estimates for budgeting
+ *
+ * Uses the ~4 characters per token rule of thumb for English text and code;
+ * good enough for sizing the memory window without loading a tokenizer.
+ */
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimate the token count of a text
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text = '') {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Shorten a text to roughly maxTokens, keeping its head and tail
+ * (the start of a long stdout says what ran, the end usually says how it went)
+ * @param {string} text - Text to shorten
+ * @param {number} maxTokens - Token budget for the result
+ * @returns {object} { text, truncated, originalTokens }
+ */
+export function truncateToTokens(text = '', maxTokens) {
+  const originalTokens = estimateTokens(text);
+  if (!maxTokens || originalTokens <= maxTokens) {
+    return { text, truncated: false, originalTokens };
+  }
+
+  const keepChars = maxTokens * CHARS_PER_TOKEN;
+  const headChars = Math.ceil(keepChars / 2);
+  const tailChars = keepChars - headChars;
+  const omittedTokens = originalTokens - maxTokens;
+
+  return {
+    text: `${text.slice(0, headChars)}\n…[${omittedTokens} tokens truncated]…\n${text.slice(text.length - tailChars)}`,
+    truncated: true,
+    originalTokens
+  };
+}
@@ -0,0 +1,106 @@
+import { queryOpenAIWithTools } from './openaiWrapper.js';
+import { createDefaultToolRegistry } from './tools/index.js';
+
+/**
+ * Tool Dispatcher - Native tool-calling mode
+ *
+ * Instead of emulating actions with the `choice` enum (one action per turn,
+ * re-prompted with `continue`), the model is given the registered tools and
+ * may call several of them per turn. Each result goes back as a `tool`
+ * message in the same conversation until the model answers in plain text.
+ */
+
+const TOOL_SYSTEM_PROMPT = `You are the Lumen Dispatcher, an autonomous engineering assistant.
+Use the available tools to inspect files, run commands, review code and recall earlier context.
+You may call several tools in one turn; their results are returned to you before you continue.
+Mark destructive commands with requiresApproval. Review non-trivial code with war_room_review before writing it.
+When the task is complete (or you need input from the user), reply in plain text with a concise summary.`;
+
+const MAX_TOOL_RESULT_CHARS = 8000;
+
+/**
+ * Run one user turn in tool-calling mode
+ * @param {string} userInput - The user's message
+ * @param {MemoryManager} memory - Session memory (sent as prior turns, tool results are recorded in it)
+ * @param {object} options - Optional configuration
+ * @param {ToolRegistry} options.registry - Tools to offer (defaults to the built-in tools)
+ * @param {number} options.maxRounds - Maximum tool-calling rounds before a final answer is forced (default 8)
+ * @param {boolean} options.autoApprove - Run side effects without asking (default false)
+ * @param {Function} options.approve - async (description) => boolean approval gate used when autoApprove is off
+ * @param {string} options.cwd - Working directory for terminal and file tools
+ * @param {Function} options.onToolCall - Called with { id, name, arguments } before each tool runs
+ * @param {Function} options.onToolResult - Called with ({ id, name, arguments }, result) after each tool runs
+ * @param {string|object} options.provider - Provider name or instance
+ * @param {string} options.model - Model override
+ * @returns {Promise<object>} { response, toolCalls: [{ name, arguments, result }], rounds }
+ */
+export async function runToolConversation(userInput, memory, options = {}) {
+  const {
+    registry = createDefaultToolRegistry(),
+    maxRounds = 8,
+    autoApprove = false,
+    approve = null,
+    cwd = process.cwd(),
+    onToolCall = null,
+    onToolResult = null,
+    provider = null,
+    model
+  } = options;
+
+  const context = { memory, autoApprove, approve, cwd };
+  const request = memory.redact(userInput);
+  const messages = [
+    { role: 'system', content: TOOL_SYSTEM_PROMPT },
+    ...memory.toMessages(request),
+    { role: 'user', content: request }
+  ];
+  const toolLog = [];
+
+  for (let round = 1; ; round++) {
+    // On the last round no tools are offered, forcing a plain-text answer
+    const tools = round <= maxRounds ? registry.definitions() : [];
+    const turn = await queryOpenAIWithTools(messages, {
+      tools,
+      provider,
+      model,
+      caller: 'dispatcher',
+      sessionId: memory.sessionId
+    });
+
+    if (turn.toolCalls.length === 0) {
+      return { response: turn.content || '', toolCalls: toolLog, rounds: round };
+    }
+
+    messages.push({
+      role: 'assistant',
+      content: turn.content,
+      tool_calls: turn.toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: call.arguments }
+      }))
+    });
+
+    // Run sequentially: approvals are interactive and later calls may depend on earlier ones
+    for (const call of turn.toolCalls) {
+      if (onToolCall) await onToolCall(call);
+      const result = await registry.invoke(call.name, call.arguments, context);
+      if (onToolResult) await onToolResult(call, result);
+
+      toolLog.push({ name: call.name, arguments: call.arguments, result });
+      messages.push({
+        role: 'tool',
+        tool_call_id: call.id,
+        // Tool output (file contents, env) is redacted before it reaches the model
+        content: memory.redact(truncateResult(JSON.stringify(result)))
+      });
+      await memory.addInteraction('system', `Tool ${call.name} → ${result?.status || 'done'}: ${truncateResult(JSON.stringify(result), 500)}`);
+    }
+  }
+}
+
+function truncateResult(text = '', limit = MAX_TOOL_RESULT_CHARS) {
+  return text.length > limit ? `${text.slice(0, limit)}…` : text;
+}
+
+export { TOOL_SYSTEM_PROMPT };
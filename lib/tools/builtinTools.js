@@ -0,0 +1,170 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { executeAgentCommand } from '../terminalExecutor.js';
+import { runWarRoom } from '../workflows/warRoom.js';
+import { logCommand } from '../auditLogger.js';
+
+/**
+ * Built-in tools for tool-calling mode
+ *
+ * Every handler receives the dispatcher context:
+ * - memory: MemoryManager of the session
+ * - autoApprove: run side effects without asking
+ * - approve(description): async yes/no gate used when autoApprove is off
+ * - cwd: working directory (file paths may not escape it)
+ */
+
+const MAX_FILE_CHARS = 20000;
+const MAX_OUTPUT_CHARS = 4000;
+
+/**
+ * Ask for approval unless the context auto-approves
+ * Without an approve() hook (e.g. over HTTP) the action is refused.
+ */
+async function isApproved(context, description) {
+  if (context.autoApprove) return true;
+  if (typeof context.approve !== 'function') return false;
+  return context.approve(description);
+}
+
+function truncate(text = '', limit = MAX_OUTPUT_CHARS) {
+  return text.length > limit ? `${text.slice(0, limit)}\n…[truncated ${text.length - limit} chars]` : text;
+}
+
+export const terminalTool = {
+  name: 'run_terminal_command',
+  description: 'Run a shell command in the project directory and return its output. Destructive commands (rm, mv, overwrites) must set requiresApproval.',
+  parameters: {
+    type: 'object',
+    properties: {
+      command: { type: 'string', description: 'The shell command to run' },
+      reasoning: { type: 'string', description: 'Why this command is needed' },
+      requiresApproval: { type: 'boolean', description: 'True for destructive or system-modifying commands' }
+    },
+    required: ['command', 'reasoning', 'requiresApproval'],
+    additionalProperties: false
+  },
+  async handler({ command, reasoning, requiresApproval }, context) {
+    if ((requiresApproval || !context.autoApprove) && !(await isApproved(context, `Run command: ${command}`))) {
+      return { status: 'approval_required', command, message: 'Command not executed: approval required' };
+    }
+
+    // Approval has been settled above; the executor still blocks dangerous patterns
+    const result = await executeAgentCommand(
+      { command, reasoning, requiresApproval: false },
+      { autoApprove: true, dryRun: false, cwd: context.cwd || process.cwd(), timeout: 30000 }
+    );
+
+    return {
+      status: result.status,
+      command,
+      stdout: truncate(result.stdout),
+      stderr: truncate(result.stderr),
+      message: result.message
+    };
+  }
+};
+
+export const fileOperationTool = {
+  name: 'file_operation',
+  description: 'Read, list, create, update or delete a file inside the project directory.',
+  parameters: {
+    type: 'object',
+    properties: {
+      operation: { type: 'string', enum: ['read', 'list', 'create', 'update', 'delete'] },
+      path: { type: 'string', description: 'File or directory path, relative to the project directory' },
+      content: { type: 'string', description: 'File content for create and update' }
+    },
+    required: ['operation', 'path'],
+    additionalProperties: false
+  },
+  async handler({ operation, path: filePath, content }, context) {
+    const root = path.resolve(context.cwd || process.cwd());
+    const target = path.resolve(root, filePath);
+    if (target !== root && !target.startsWith(root + path.sep)) {
+      return { status: 'blocked', message: `Path "${filePath}" is outside the project directory` };
+    }
+
+    if (operation === 'read') {
+      const text = await fs.readFile(target, 'utf8');
+      return { status: 'success', path: filePath, content: truncate(text, MAX_FILE_CHARS) };
+    }
+
+    if (operation === 'list') {
+      const entries = await fs.readdir(target, { withFileTypes: true });
+      return {
+        status: 'success',
+        path: filePath,
+        entries: entries.map(e => (e.isDirectory() ? `${e.name}/` : e.name))
+      };
+    }
+
+    if ((operation === 'create' || operation === 'update') && content === undefined) {
+      return { status: 'error', message: `content is required for ${operation}` };
+    }
+
+    if (!(await isApproved(context, `${operation} file: ${filePath}`))) {
+      return { status: 'approval_required', message: `File ${operation} not performed: approval required` };
+    }
+
+    if (operation === 'create') {
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, content, { flag: 'wx' });
+    } else if (operation === 'update') {
+      await fs.writeFile(target, content);
+    } else {
+      await fs.unlink(target);
+    }
+
+    await logCommand({ status: 'success', command: `file_operation ${operation} ${filePath}`, reasoning: 'Tool call' });
+    return { status: 'success', operation, path: filePath };
+  }
+};
+
+export const warRoomTool = {
+  name: 'war_room_review',
+  description: 'Run a multi-agent War Room review (code analysis plus test planning) of proposed code before applying it.',
+  parameters: {
+    type: 'object',
+    properties: {
+      proposal: { type: 'string', description: 'What the change is meant to do' },
+      code: { type: 'string', description: 'The code to review' },
+      context: { type: 'string', description: 'Relevant system context' }
+    },
+    required: ['proposal', 'code'],
+    additionalProperties: false
+  },
+  async handler({ proposal, code, context: systemContext = '' }, context) {
+    const result = await runWarRoom(proposal, code, systemContext, { sessionId: context.memory?.sessionId });
+    return {
+      verdict: result.verdict,
+      qualityScore: result.qualityScore,
+      criticalIssues: result.criticalIssues,
+      recommendations: result.analysis.recommendations,
+      summary: result.summary
+    };
+  }
+};
+
+export const memorySearchTool = {
+  name: 'search_memory',
+  description: 'Search this session\'s full conversation history (including interactions no longer in context), summaries and pinned facts for earlier details (file names, ports, decisions, outputs).',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'What to look for' },
+      limit: { type: 'integer', minimum: 1, maximum: 20, description: 'Maximum matches (default 5)' }
+    },
+    required: ['query'],
+    additionalProperties: false
+  },
+  async handler({ query, limit = 5 }, context) {
+    if (!context.memory) {
+      return { status: 'error', message: 'No session memory available' };
+    }
+    const matches = context.memory.search(query, { limit });
+    return { status: 'success', matches: matches.map(m => ({ ...m, text: truncate(m.text, 1000) })) };
+  }
+};
+
+export const BUILTIN_TOOLS = [terminalTool, fileOperationTool, warRoomTool, memorySearchTool];
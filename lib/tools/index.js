@@ -0,0 +1,15 @@
+import { ToolRegistry } from './toolRegistry.js';
+import { BUILTIN_TOOLS } from './builtinTools.js';
+
+/**
+ * Create a registry holding the built-in tools
+ * (run_terminal_command, file_operation, war_room_review, search_memory)
+ * @param {Array<object>} extraTools - Additional tools to register
+ * @returns {ToolRegistry}
+ */
+export function createDefaultToolRegistry(extraTools = []) {
+  return new ToolRegistry([...BUILTIN_TOOLS, ...extraTools]);
+}
+
+export { ToolRegistry };
+export { terminalTool, fileOperationTool, warRoomTool, memorySearchTool, BUILTIN_TOOLS } from './builtinTools.js';
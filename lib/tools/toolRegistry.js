@@ -0,0 +1,97 @@
+import { validateAgainstSchema, formatValidationErrors } from '../schemaValidator.js';
+import { BudgetExceededError } from '../budgetManager.js';
+
+/**
+ * Tool Registry - Named tools the model can call in tool-calling mode
+ *
+ * A tool is { name, description, parameters, handler }:
+ * - parameters: JSON schema for the arguments object
+ * - handler(args, context): async function returning a JSON-serializable result
+ *
+ * Arguments are validated against the schema before the handler runs.
+ * Failures are returned as { status: 'error', message } results rather than
+ * thrown, so the model sees them and can correct itself.
+ */
+export class ToolRegistry {
+  constructor(tools = []) {
+    this.tools = new Map();
+    tools.forEach(tool => this.register(tool));
+  }
+
+  /**
+   * Register (or replace) a tool
+   * @param {object} tool - { name, description, parameters, handler }
+   * @returns {ToolRegistry} this, for chaining
+   */
+  register(tool) {
+    if (!tool?.name || typeof tool.handler !== 'function') {
+      throw new Error('A tool needs a name and a handler function');
+    }
+    if (!/^[a-zA-Z0-9_-]{1,64}$/.test(tool.name)) {
+      throw new Error(`Invalid tool name "${tool.name}" (letters, digits, _ and - only)`);
+    }
+    this.tools.set(tool.name, {
+      description: '',
+      parameters: { type: 'object', properties: {}, additionalProperties: false },
+      ...tool
+    });
+    return this;
+  }
+
+  unregister(name) {
+    return this.tools.delete(name);
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  list() {
+    return [...this.tools.keys()];
+  }
+
+  /**
+   * Tool definitions in the provider-neutral request format
+   * @returns {Array<object>} [{ name, description, parameters }]
+   */
+  definitions() {
+    return [...this.tools.values()].map(({ name, description, parameters }) => ({ name, description, parameters }));
+  }
+
+  /**
+   * Validate the arguments and run a tool
+   * @param {string} name - Tool name
+   * @param {string|object} args - Arguments object, or its JSON text as sent by the model
+   * @param {object} context - Passed through to the handler (memory, autoApprove, approve, cwd, ...)
+   * @returns {Promise<object>} Tool result
+   */
+  async invoke(name, args, context = {}) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      return { status: 'error', message: `Unknown tool "${name}". Available: ${this.list().join(', ')}` };
+    }
+
+    let parsedArgs = args;
+    if (typeof args === 'string') {
+      try {
+        parsedArgs = args.trim() ? JSON.parse(args) : {};
+      } catch (error) {
+        return { status: 'error', message: `Arguments are not valid JSON (${error.message})` };
+      }
+    }
+
+    const errors = validateAgainstSchema(parsedArgs ?? {}, tool.parameters);
+    if (errors.length > 0) {
+      return { status: 'error', message: `Invalid arguments: ${formatValidationErrors(errors)}` };
+    }
+
+    try {
+      return await tool.handler(parsedArgs ?? {}, context);
+    } catch (error) {
+      if (error instanceof BudgetExceededError) {
+        throw error;
+      }
+      return { status: 'error', message: error.message };
+    }
+  }
+}
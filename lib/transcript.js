@@ -0,0 +1,149 @@
+/**
+ * Transcript - Markdown export and import of a session
+ *
+ * Renders exported MemoryManager state as a readable transcript (pinned
+ * facts, long-term digest, rolling summaries, then every archived
+ * interaction) and parses such a transcript back into importable state.
+ * Interaction texts are fenced so they round-trip unchanged.
+ *
+ * # Session transcript: support-1234
+ *
+ * - Exported: 2026-02-06T11:30:00.000Z
+ * - Interactions: 28
+ *
+ * ## Summaries
+ *
+ * - [#1-#6] Set up the repo and the dev server on port 4317
+ *
+ * ## Interactions
+ *
+ * ### #7 user · 2026-02-06T10:15:00.000Z
+ *
+ * ```
+ * Run the tests
+ * ```
+ */
+
+const INTERACTION_HEADER = /^### #(\d+) (\w+) · (\S+)$/;
+const FACT_LINE = /^- \[fact (\d+) · (\w+) · #(\d+)\] (.*)$/;
+const SUMMARY_LINE = /^- \[#(\d+)-#(\d+)(?:, level (\d+))?\] (.*)$/;
+
+/**
+ * Render exported session state as a Markdown transcript
+ * @param {object} state - Result of MemoryManager.exportSession()
+ * @returns {string} Markdown
+ */
+export function toMarkdownTranscript(state) {
+  const oneLine = text => String(text).replace(/\s+/g, ' ').trim();
+  const lines = [
+    `# Session transcript: ${state.sessionId}`,
+    '',
+    `- Exported: ${new Date().toISOString()}`,
+    `- Interactions: ${state.globalCounter || 0}`
+  ];
+  if (state.parent) {
+    lines.push(`- Forked from: ${state.parent.sessionId} at #${state.parent.interactionId}`);
+  }
+
+  if (state.facts?.length > 0) {
+    lines.push('', '## Pinned facts', '');
+    for (const fact of state.facts) {
+      lines.push(`- [fact ${fact.id} · ${fact.source} · #${fact.interactionId ?? 0}] ${oneLine(fact.text)}`);
+    }
+  }
+
+  const digest = (state.epochs || []).flat().sort((a, b) => a.range.startId - b.range.startId);
+  if (digest.length > 0) {
+    lines.push('', '## Long-term digest', '');
+    for (const entry of digest) {
+      lines.push(`- [#${entry.range.startId}-#${entry.range.endId}, level ${entry.level}] ${oneLine(entry.text)}`);
+    }
+  }
+
+  if (state.summaries?.length > 0) {
+    lines.push('', '## Summaries', '');
+    for (const summary of state.summaries) {
+      lines.push(`- [#${summary.range.startId}-#${summary.range.endId}] ${oneLine(summary.text)}`);
+    }
+  }
+
+  lines.push('', '## Interactions');
+  for (const entry of interactionsOf(state)) {
+    // The fence is longer than any backtick run in the text
+    const longestRun = Math.max(0, ...(entry.text.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+    lines.push('', `### #${entry.id} ${entry.role} · ${entry.ts}`, '', fence, entry.text, fence);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Parse a Markdown transcript back into session state for MemoryManager.importSession()
+ * Interactions not covered by a summary or digest entry form the window.
+ * @param {string} markdown - Transcript produced by toMarkdownTranscript()
+ * @returns {object} { archive, interactions, summaries, epochs, facts, factCounter, globalCounter }
+ */
+export function parseMarkdownTranscript(markdown) {
+  if (typeof markdown !== 'string' || !markdown.startsWith('# Session transcript')) {
+    throw new Error('Not a session transcript');
+  }
+
+  const lines = markdown.split('\n');
+  const state = { archive: [], summaries: [], epochs: [], facts: [] };
+  const importedAt = new Date().toISOString();
+  let section = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.startsWith('## ')) {
+      section = line.slice(3).trim();
+      continue;
+    }
+
+    if (section === null && /^- Interactions: \d+$/.test(line)) {
+      state.globalCounter = Number(line.slice('- Interactions: '.length));
+    } else if (section === 'Pinned facts' && FACT_LINE.test(line)) {
+      const [, id, source, interactionId, text] = line.match(FACT_LINE);
+      state.facts.push({ id: Number(id), text, source, interactionId: Number(interactionId), ts: importedAt });
+    } else if ((section === 'Long-term digest' || section === 'Summaries') && SUMMARY_LINE.test(line)) {
+      const [, startId, endId, level, text] = line.match(SUMMARY_LINE);
+      const range = { startId: Number(startId), endId: Number(endId) };
+      if (level) {
+        const epochs = state.epochs[level - 1] || (state.epochs[level - 1] = []);
+        epochs.push({ level: Number(level), range, sources: [range], merged: 1, text, reasoning: '', ts: importedAt });
+      } else {
+        state.summaries.push({ range, text, reasoning: '', ts: importedAt });
+      }
+    } else if (section === 'Interactions' && INTERACTION_HEADER.test(line)) {
+      const [, id, role, ts] = line.match(INTERACTION_HEADER);
+      let start = i + 1;
+      while (start < lines.length && lines[start] === '') start++;
+      const fence = lines[start];
+      const end = lines.indexOf(fence, start + 1);
+      if (!/^`{3,}$/.test(fence || '') || end === -1) {
+        throw new Error(`Interaction #${id} is not fenced`);
+      }
+      state.archive.push({ id: Number(id), role, text: lines.slice(start + 1, end).join('\n'), ts });
+      i = end;
+    }
+  }
+
+  // Missing levels (e.g. only level 2 in the file) stay empty arrays
+  state.epochs = Array.from(state.epochs, level => level || []);
+  const coveredUpTo = Math.max(0, ...[...state.summaries, ...state.epochs.flat()].map(s => s.range.endId));
+  state.interactions = state.archive.filter(entry => entry.id > coveredUpTo).map(entry => ({ ...entry }));
+  state.factCounter = Math.max(0, ...state.facts.map(f => f.id));
+  state.globalCounter = Math.max(state.globalCounter || 0, ...state.archive.map(entry => entry.id));
+  return state;
+}
+
+// Window entries win over their archive copies, which may be truncated to ARCHIVE_ENTRY_TOKENS;
+// the window holds the text the model actually received
+function interactionsOf(state) {
+  const entries = new Map((state.archive || []).map(entry => [entry.id, entry]));
+  for (const interaction of state.interactions || []) {
+    entries.set(interaction.id, interaction);
+  }
+  return [...entries.values()].sort((a, b) => a.id - b.id);
+}
@@ -0,0 +1,246 @@
+import { parseEnvJson, getModelForCaller } from './modelConfig.js';
+
+/**
+ * Usage Tracker - Token and cost accounting across all LLM calls
+ *
+ * Every completion made through queryOpenAI is recorded with the model,
+ * token counts, a caller tag (router, summary, warRoom:analyzer, ...) and
+ * the session it belongs to. Costs are computed from a per-model price
+ * table (USD per 1M tokens), overridable through LUMEN_MODEL_PRICING.
+ * Totals are also kept per client API key (sessions are bound to a key)
+ * and per UTC day, which is what spend budgets are enforced against.
+ * Session totals are saved with the session (see MemoryManager.export()) and
+ * restored when it is loaded; key and daily totals last for the process.
+ */
+
+export const MODEL_PRICING = {
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'gpt-4.1': { input: 2.00, output: 8.00 },
+  'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+  'gpt-4.1-nano': { input: 0.10, output: 0.40 },
+  'o4-mini': { input: 1.10, output: 4.40 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 }
+};
+
+/**
+ * Resolve the price entry for a model
+ * Dated snapshots (gpt-4o-mini-2024-07-18) fall back to their base model;
+ * a missing model is priced as the default model.
+ * @param {string} model - Model name
+ * @returns {object|null} { input, output } in USD per 1M tokens
+ */
+export function getModelPricing(model) {
+  // Calls whose provider reported no model are priced as the default model
+  if (typeof model !== 'string' || !model) model = getModelForCaller('default');
+
+  // A malformed override is ignored (with a warning) rather than failing every call
+  const overrides = parseEnvJson('LUMEN_MODEL_PRICING');
+  const table = { ...MODEL_PRICING, ...(overrides && typeof overrides === 'object' ? overrides : {}) };
+
+  if (table[model]) return table[model];
+
+  const base = Object.keys(table)
+    .filter(name => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return base ? table[base] : null;
+}
+
+/**
+ * Compute the cost of a call
+ * @param {string} model - Model name
+ * @param {object} usage - { promptTokens, completionTokens }
+ * @returns {number} Cost in USD (0 for unpriced models)
+ */
+export function calculateCost(model, usage) {
+  const pricing = getModelPricing(model);
+  if (!pricing) return 0;
+  return (usage.promptTokens * pricing.input + usage.completionTokens * pricing.output) / 1_000_000;
+}
+
+function emptyTotals() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0 };
+}
+
+function sanitizeTotals(totals) {
+  const clean = emptyTotals();
+  for (const field of Object.keys(clean)) {
+    const value = totals?.[field];
+    if (Number.isFinite(value) && value > 0) clean[field] = value;
+  }
+  return clean;
+}
+
+function addTo(totals, entry) {
+  totals.calls++;
+  totals.promptTokens += entry.promptTokens;
+  totals.completionTokens += entry.completionTokens;
+  totals.totalTokens += entry.totalTokens;
+  totals.costUsd += entry.costUsd;
+}
+
+export class UsageTracker {
+  constructor() {
+    this.listeners = [];
+    this.reset();
+  }
+
+  /**
+   * Record the usage of one completion
+   * @param {object} event - Usage event
+   * @param {string} event.model - Model that served the call
+   * @param {object} event.usage - { promptTokens, completionTokens, totalTokens }
+   * @param {string} event.caller - Caller tag (router, summary, warRoom:analyzer, ...)
+   * @param {string} event.sessionId - Session the call belongs to
+   * @returns {object} The recorded entry, including its cost
+   */
+  record({ model, usage, caller = 'unknown', sessionId = 'global' }) {
+    const promptTokens = usage?.promptTokens || 0;
+    const completionTokens = usage?.completionTokens || 0;
+    const entry = {
+      model,
+      caller,
+      sessionId,
+      promptTokens,
+      completionTokens,
+      totalTokens: usage?.totalTokens || promptTokens + completionTokens,
+      costUsd: calculateCost(model, { promptTokens, completionTokens }),
+      priced: getModelPricing(model) !== null,
+      ts: new Date().toISOString()
+    };
+
+    addTo(this.totals, entry);
+    addTo(this._bucket(this.days, entry.ts.slice(0, 10)), entry);
+
+    const apiKey = this.sessionKeys.get(sessionId);
+    if (apiKey) {
+      addTo(this._bucket(this.apiKeys, apiKey), entry);
+    }
+
+    if (!this.sessions.has(sessionId)) {
+      this.sessions.set(sessionId, { ...emptyTotals(), byCaller: {}, byModel: {} });
+    }
+    const session = this.sessions.get(sessionId);
+    addTo(session, entry);
+    addTo(session.byCaller[caller] ||= emptyTotals(), entry);
+    addTo(session.byModel[model] ||= emptyTotals(), entry);
+
+    for (const listener of this.listeners) {
+      try {
+        listener(entry);
+      } catch (error) {
+        console.error('Usage listener error:', error.message);
+      }
+    }
+
+    return entry;
+  }
+
+  /**
+   * Get accumulated usage for a session
+   * @param {string} sessionId - Session identifier
+   * @returns {object} Totals with per-caller and per-model breakdowns
+   */
+  getSessionUsage(sessionId) {
+    const session = this.sessions.get(sessionId);
+    return session
+      ? structuredClone(session)
+      : { ...emptyTotals(), byCaller: {}, byModel: {} };
+  }
+
+  /**
+   * Restore a session's totals saved with the session (after a restart)
+   * Totals already recorded in this process are kept when they are higher,
+   * so reloading a stale copy never lowers a session's spend.
+   * @param {string} sessionId - Session identifier
+   * @param {object} usage - Totals from getSessionUsage()
+   */
+  restoreSession(sessionId, usage) {
+    if (!usage || typeof usage !== 'object') return;
+    const restored = sanitizeTotals(usage);
+    const current = this.sessions.get(sessionId);
+    if (current && current.totalTokens >= restored.totalTokens && current.costUsd >= restored.costUsd) return;
+
+    const breakdown = group => Object.fromEntries(
+      Object.entries(group && typeof group === 'object' ? group : {}).map(([name, totals]) => [name, sanitizeTotals(totals)])
+    );
+    this.sessions.set(sessionId, { ...restored, byCaller: breakdown(usage.byCaller), byModel: breakdown(usage.byModel) });
+  }
+
+  /**
+   * Attribute a session's future usage to a client API key
+   * @param {string} sessionId - Session identifier
+   * @param {string} apiKey - Client API key
+   */
+  bindSession(sessionId, apiKey) {
+    if (apiKey) {
+      this.sessionKeys.set(sessionId, apiKey);
+    }
+  }
+
+  /**
+   * Get the client API key a session is bound to
+   * @param {string} sessionId - Session identifier
+   * @returns {string|undefined} API key
+   */
+  getSessionKey(sessionId) {
+    return this.sessionKeys.get(sessionId);
+  }
+
+  /**
+   * Get accumulated usage for a client API key
+   * @param {string} apiKey - Client API key
+   * @returns {object} Totals
+   */
+  getKeyUsage(apiKey) {
+    return { ...(this.apiKeys.get(apiKey) || emptyTotals()) };
+  }
+
+  /**
+   * Get accumulated usage for a UTC day
+   * @param {string} day - Date as YYYY-MM-DD (defaults to today)
+   * @returns {object} Totals
+   */
+  getDailyUsage(day = new Date().toISOString().slice(0, 10)) {
+    return { ...(this.days.get(day) || emptyTotals()) };
+  }
+
+  /**
+   * Get usage accumulated across all sessions
+   * @returns {object} Totals plus the number of sessions seen
+   */
+  getTotals() {
+    return { ...this.totals, sessions: this.sessions.size };
+  }
+
+  /**
+   * Subscribe to every recorded entry (e.g. to forward to analytics)
+   * @param {Function} listener - (entry) => void
+   * @returns {Function} Unsubscribe function
+   */
+  onRecord(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  reset() {
+    this.totals = emptyTotals();
+    this.sessions = new Map();
+    this.sessionKeys = new Map();
+    this.apiKeys = new Map();
+    this.days = new Map();
+  }
+
+  _bucket(map, key) {
+    if (!map.has(key)) {
+      map.set(key, emptyTotals());
+    }
+    return map.get(key);
+  }
+}
+
+// Process-wide tracker used by queryOpenAI
+export const usageTracker = new UsageTracker();
@@ -0,0 +1,389 @@
+import { queryOpenAI, getResponseMetadata, BudgetExceededError } from '../openaiWrapper.js';
+import { loadAgentRegistry } from '../agentRegistry.js';
+import { schemaRouter } from '../schemaRouter.js';
+import { PLANNER_PROMPT } from '../prompts.js';
+import { truncateToTokens } from '../tokenCounter.js';
+
+/**
+ * Planner - Decompose a request into an ordered pipeline of agent steps
+ *
+ * schemaRouter answers a message with exactly one agent. For requests that
+ * span several ("scaffold an express app, add tests and document it") the
+ * planner asks the model for a typed plan first:
+ *
+ *   {
+ *     id: 'plan-m6b2k1x9',
+ *     request: 'scaffold an express app, add tests and document it',
+ *     goal: 'A tested and documented Express app',
+ *     status: 'pending',   // pending → approved | rejected → running → completed | failed
+ *     steps: [
+ *       { id: 'app', agent: 'scaffold', input: 'Create an Express app ...', dependsOn: [], status: 'pending' },
+ *       { id: 'tests', agent: 'test', input: 'Write tests for the app', dependsOn: ['app'], status: 'pending' },
+ *       { id: 'docs', agent: 'docs', input: 'Document the app', dependsOn: ['app'], status: 'pending' }
+ *     ]
+ *   }
+ *
+ * A plan is reviewed (its steps may be replaced) and approved before
+ * executePlan() runs it. Steps run once their dependencies completed -
+ * together when `parallel` is set - through schemaRouter with the step's
+ * agent forced and the outputs of its dependencies appended to its input.
+ * Terminal commands proposed by a step are returned, not executed.
+ */
+
+const MAX_STEPS = 10;
+const OUTPUT_TOKENS = 800; // Per dependency output passed forward
+
+/**
+ * Thrown when a plan is malformed (unknown agents, missing or circular dependencies)
+ */
+export class PlanValidationError extends Error {
+  /**
+   * @param {Array<string>} problems - What is wrong with the plan
+   */
+  constructor(problems) {
+    super(`Invalid plan: ${problems.join('; ')}`);
+    this.name = 'PlanValidationError';
+    this.status = 400;
+    this.code = 'INVALID_PLAN';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Plan Schema
+ * @param {Array<string>} agentNames - Registered agents
+ * @returns {object} JSON schema
+ */
+export function buildPlanSchema(agentNames) {
+  return {
+    type: "object",
+    properties: {
+      goal: {
+        type: "string",
+        description: "What the finished plan delivers"
+      },
+      steps: {
+        type: "array",
+        description: "Steps in execution order",
+        items: {
+          type: "object",
+          properties: {
+            id: { type: "string", description: "Short unique step id, e.g. \"tests\"" },
+            agent: { type: "string", enum: agentNames, description: "The specialized agent that performs the step" },
+            input: { type: "string", description: "Self-contained request for the agent" },
+            dependsOn: {
+              type: "array",
+              items: { type: "string" },
+              description: "Ids of the steps whose output this step needs"
+            }
+          },
+          required: ["id", "agent", "input", "dependsOn"],
+          additionalProperties: false
+        }
+      },
+      reasoning: {
+        type: "string",
+        description: "Why the request was split this way"
+      }
+    },
+    required: ["goal", "steps", "reasoning"],
+    additionalProperties: false
+  };
+}
+
+/**
+ * Check a plan's steps and order them into stages
+ * @param {object} plan - Plan (or { steps })
+ * @param {AgentRegistry} agents - Registered agents
+ * @returns {Array<Array<object>>} Stages: each stage's steps only depend on earlier stages
+ * @throws {PlanValidationError}
+ */
+export function validatePlan(plan, agents) {
+  const steps = plan?.steps;
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new PlanValidationError(['a plan needs at least one step']);
+  }
+
+  const problems = [];
+  if (steps.length > MAX_STEPS) {
+    problems.push(`${steps.length} steps (at most ${MAX_STEPS})`);
+  }
+  const ids = new Set();
+  for (const [index, step] of steps.entries()) {
+    const label = typeof step?.id === 'string' && step.id ? `step "${step.id}"` : `step ${index + 1}`;
+    if (typeof step?.id !== 'string' || !step.id.trim()) {
+      problems.push(`${label} needs an id`);
+    } else if (ids.has(step.id)) {
+      problems.push(`${label} is defined twice`);
+    }
+    ids.add(step?.id);
+    if (!agents.has(step?.agent)) {
+      problems.push(`${label} uses unknown agent "${step?.agent}"`);
+    }
+    if (typeof step?.input !== 'string' || !step.input.trim()) {
+      problems.push(`${label} needs an input`);
+    }
+    if (!Array.isArray(step?.dependsOn)) {
+      problems.push(`${label}: dependsOn must be an array`);
+    }
+  }
+  for (const step of steps) {
+    for (const dependency of Array.isArray(step?.dependsOn) ? step.dependsOn : []) {
+      if (dependency === step.id) {
+        problems.push(`step "${step.id}" depends on itself`);
+      } else if (!ids.has(dependency)) {
+        problems.push(`step "${step.id}" depends on unknown step "${dependency}"`);
+      }
+    }
+  }
+  if (problems.length > 0) {
+    throw new PlanValidationError(problems);
+  }
+
+  // Stages in dependency order; whatever is left over is part of a cycle
+  const stages = [];
+  const placed = new Set();
+  let remaining = steps;
+  while (remaining.length > 0) {
+    const ready = remaining.filter(step => step.dependsOn.every(dependency => placed.has(dependency)));
+    if (ready.length === 0) {
+      throw new PlanValidationError([`circular dependencies between ${remaining.map(step => `"${step.id}"`).join(', ')}`]);
+    }
+    ready.forEach(step => placed.add(step.id));
+    stages.push(ready);
+    remaining = remaining.filter(step => !placed.has(step.id));
+  }
+  return stages;
+}
+
+/**
+ * Ask the model to decompose a request into a plan
+ * @param {string} request - The user's request
+ * @param {object} options - Planning options
+ * @param {MemoryManager} options.memory - Conversation context (optional); plans are accounted to its session
+ * @param {AgentRegistry} options.agents - Registered agents (default the discovered ones)
+ * @param {string|object} options.provider - Provider name or instance
+ * @returns {Promise<object>} Pending plan (see above)
+ * @throws {PlanValidationError} When the model's plan is malformed
+ */
+export async function createPlan(request, options = {}) {
+  const { memory = null, provider = null } = options;
+  const agents = options.agents || await loadAgentRegistry();
+  const query = memory ? memory.redact(request) : request;
+
+  console.log('\n🗺️  [Planner] Planning...');
+  const result = await queryOpenAI(
+    `Plan this request as steps for the specialized agents.
+
+User Request: "${query}"
+
+Available Agents:
+${agents.list().map(agent => `- ${agent.name}: ${agent.description}`).join('\n')}`,
+    {
+      system: PLANNER_PROMPT,
+      messages: memory ? memory.toMessages(query) : [],
+      schema: buildPlanSchema(agents.names()),
+      schemaName: 'plan',
+      caller: 'planner',
+      provider,
+      sessionId: memory?.sessionId,
+      temperature: 0.3
+    }
+  );
+
+  const plan = {
+    id: `plan-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    sessionId: memory?.sessionId || null,
+    request: query,
+    goal: result.goal,
+    reasoning: result.reasoning,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    steps: normalizeSteps(result.steps)
+  };
+  validatePlan(plan, agents);
+  console.log(`🗺️  [Planner] ${plan.steps.length} step(s): ${plan.steps.map(step => `${step.id} (${step.agent})`).join(', ')}`);
+  return plan;
+}
+
+/**
+ * Approve a pending plan, optionally replacing its steps after review
+ * The plan is claimed (`approving`) before anything is awaited, so a second
+ * approval or a rejection arriving meanwhile fails instead of also running
+ * it; it goes back to `pending` if the steps don't validate.
+ * @param {object} plan - Pending plan
+ * @param {object} options - { steps: revised steps, agents: registered agents }
+ * @returns {Promise<object>} The approved plan
+ * @throws {PlanValidationError} When the revised steps are malformed
+ */
+export async function approvePlan(plan, options = {}) {
+  if (plan.status !== 'pending') {
+    throw new Error(`Plan ${plan.id} is ${plan.status}, not pending`);
+  }
+  plan.status = 'approving';
+  try {
+    const agents = options.agents || await loadAgentRegistry();
+    if (options.steps !== undefined) {
+      if (!Array.isArray(options.steps)) {
+        throw new PlanValidationError(['steps must be an array']);
+      }
+      const revised = normalizeSteps(options.steps);
+      validatePlan({ steps: revised }, agents);
+      plan.steps = revised;
+      plan.revised = true;
+    } else {
+      validatePlan(plan, agents);
+    }
+  } catch (error) {
+    plan.status = 'pending';
+    throw error;
+  }
+  plan.status = 'approved';
+  plan.approvedAt = new Date().toISOString();
+  return plan;
+}
+
+/**
+ * Reject a pending plan
+ * @param {object} plan - Pending plan
+ * @returns {object} The rejected plan
+ */
+export function rejectPlan(plan) {
+  if (plan.status !== 'pending') {
+    throw new Error(`Plan ${plan.id} is ${plan.status}, not pending`);
+  }
+  plan.status = 'rejected';
+  return plan;
+}
+
+/**
+ * Run an approved plan
+ * Each step's result (response, routing, meta) is stored on the step and
+ * recorded in memory; a failed step skips the steps that depend on it.
+ * @param {object} plan - Approved plan
+ * @param {object} options - Execution options
+ * @param {MemoryManager} options.memory - Memory the steps run against
+ * @param {AgentRegistry} options.agents - Registered agents (default the discovered ones)
+ * @param {boolean} options.parallel - Run independent steps together (default true)
+ * @param {Function} options.onEvent - Progress: plan_start, plan_step_start, plan_step_complete, plan_step_failed, plan_step_skipped, plan_complete
+ * @returns {Promise<object>} The plan, `completed` or `failed`
+ */
+export async function executePlan(plan, options = {}) {
+  const { memory, parallel = true, onEvent = () => {} } = options;
+  if (plan.status !== 'approved') {
+    throw new Error(`Plan ${plan.id} is ${plan.status}; approve it before running it`);
+  }
+  const agents = options.agents || await loadAgentRegistry();
+  const stages = validatePlan(plan, agents);
+  const byId = new Map(plan.steps.map(step => [step.id, step]));
+
+  plan.status = 'running';
+  plan.startedAt = new Date().toISOString();
+  onEvent({ type: 'plan_start', planId: plan.id, plan });
+
+  const runStep = async (step) => {
+    const failed = step.dependsOn.filter(dependency => byId.get(dependency).status !== 'completed');
+    if (failed.length > 0) {
+      step.status = 'skipped';
+      step.error = `Depends on ${failed.map(id => `"${id}"`).join(', ')}, which did not complete`;
+      onEvent({ type: 'plan_step_skipped', planId: plan.id, step });
+      return;
+    }
+
+    step.status = 'running';
+    onEvent({ type: 'plan_step_start', planId: plan.id, step });
+    try {
+      const { routing, response } = await schemaRouter(buildStepInput(plan, step, byId), memory, { agent: step.agent });
+      Object.assign(step, { status: 'completed', response, routing, meta: getResponseMetadata(response) });
+      onEvent({ type: 'plan_step_complete', planId: plan.id, step });
+    } catch (error) {
+      Object.assign(step, { status: 'failed', error: error.message });
+      onEvent({ type: 'plan_step_failed', planId: plan.id, step, error: error.message });
+      if (error instanceof BudgetExceededError) {
+        throw error;
+      }
+    }
+  };
+
+  try {
+    for (const stage of stages) {
+      // A budget error stops the plan, but only once every step of the stage has settled
+      let stageError = null;
+      if (parallel) {
+        const settled = await Promise.allSettled(stage.map(runStep));
+        stageError = settled.find(result => result.status === 'rejected')?.reason ?? null;
+      } else {
+        for (const step of stage) {
+          try {
+            await runStep(step);
+          } catch (error) {
+            stageError = error;
+            break;
+          }
+        }
+      }
+
+      // Results enter memory in plan order, whatever order they finished in
+      for (const step of stage.filter(step => step.status === 'completed')) {
+        await memory.addInteraction('ai', `[Plan ${plan.id}, step ${step.id} (${step.agent})] ${describeOutput(step.response, OUTPUT_TOKENS, { brief: true })}`);
+      }
+      if (stageError) throw stageError;
+    }
+  } catch (error) {
+    for (const step of plan.steps.filter(step => step.status === 'pending')) {
+      step.status = 'skipped';
+      step.error = `Plan stopped: ${error.message}`;
+    }
+    plan.status = 'failed';
+    plan.finishedAt = new Date().toISOString();
+    onEvent({ type: 'plan_complete', planId: plan.id, plan });
+    throw error;
+  }
+
+  plan.status = plan.steps.every(step => step.status === 'completed') ? 'completed' : 'failed';
+  plan.finishedAt = new Date().toISOString();
+  console.log(`🗺️  [Planner] Plan ${plan.id} ${plan.status}`);
+  onEvent({ type: 'plan_complete', planId: plan.id, plan });
+  return plan;
+}
+
+function normalizeSteps(steps) {
+  return steps.map(step => ({
+    id: typeof step?.id === 'string' ? step.id.trim() : step?.id,
+    agent: step?.agent,
+    input: step?.input,
+    dependsOn: step?.dependsOn ?? [],
+    status: 'pending'
+  }));
+}
+
+/**
+ * A step's input with the plan's request and its dependencies' outputs
+ */
+function buildStepInput(plan, step, byId) {
+  const index = plan.steps.indexOf(step) + 1;
+  const parts = [
+    step.input,
+    '',
+    `(Step ${index} of ${plan.steps.length} of a plan for: "${plan.request}")`
+  ];
+  if (step.dependsOn.length > 0) {
+    parts.push('', 'Results from earlier steps:');
+    for (const dependency of step.dependsOn) {
+      const source = byId.get(dependency);
+      parts.push(`[${source.id} · ${source.agent}]`, describeOutput(source.response, OUTPUT_TOKENS));
+    }
+  }
+  return parts.join('\n');
+}
+
+/**
+ * An agent response as text for later steps (whole, since schemas differ) or
+ * for memory (the conversational answer when there is one)
+ */
+function describeOutput(response, maxTokens, { brief = false } = {}) {
+  const text = brief && typeof response?.response === 'string' && response.response
+    ? response.response
+    : JSON.stringify(response);
+  return truncateToTokens(text, maxTokens).text;
+}
@@ -1,4 +1,4 @@
-import { queryOpenAI } from '../openaiWrapper.js';
+import { queryOpenAI, getResponseMetadata, BudgetExceededError } from '../openaiWrapper.js';
 import { codeAnalyzerAgentSchema } from '../../schemas/codeAnalyzerAgent.js';
 import { testingAgentSchema } from '../../schemas/testingAgent.js';
 
@@ -11,9 +11,14 @@ import { testingAgentSchema } from '../../schemas/testingAgent.js';
  * @param {string} proposal - The proposed change or feature
  * @param {string} code - The code to be analyzed
  * @param {string} context - Additional context about the system
+ * @param {object} options - Optional configuration
+ * @param {string} options.sessionId - Session the review's token usage is attributed to
+ * @param {boolean} options.cache - Reuse cached reviews of identical submissions (default true, uses LUMEN_CACHE)
  * @returns {Object} War room verdict with analysis and recommendations
  */
-export async function runWarRoom(proposal, code, context = '') {
+export async function runWarRoom(proposal, code, context = '', options = {}) {
+  const { sessionId = 'warRoom', cache = true } = options;
+
   console.log('\n⚔️ ENTERING AGENT WAR ROOM ⚔️');
   console.log('Proposal:', proposal);
   console.log('═══════════════════════════════════════\n');
@@ -43,10 +48,14 @@ Find bugs, security issues, performance problems, and suggest improvements.
 `;
 
     const analysis = await queryOpenAI(analysisPrompt, {
-      schema: codeAnalyzerAgentSchema
+      schema: codeAnalyzerAgentSchema,
+      schemaName: 'codeAnalyzer',
+      caller: 'warRoom:analyzer',
+      sessionId,
+      cache
     });
 
-    const issues = analysis.codeQuality?.issues || [];
+    const issues = collectIssues(analysis);
     const recommendations = analysis.refactoringRecommendations || [];
     const score = analysis.codeQuality?.score || 50;
 
@@ -78,11 +87,15 @@ Generate test cases that would catch potential bugs and verify correct behavior.
 `;
 
     const testPlan = await queryOpenAI(testPrompt, {
-      schema: testingAgentSchema
+      schema: testingAgentSchema,
+      schemaName: 'testing',
+      caller: 'warRoom:validator',
+      sessionId,
+      cache
     });
 
     const tests = testPlan.tests || [];
-    const coverage = testPlan.coverageTarget || 80;
+    const coverage = testPlan.coverage?.targetPercentage || 80;
 
     debateLog.push({
       agent: 'Testing Agent',
@@ -126,30 +139,50 @@ Generate test cases that would catch potential bugs and verify correct behavior.
         coverage: coverage,
         testCases: tests.map(t => ({
           name: t.testName,
-          description: t.testDescription,
-          type: t.testType
+          description: t.description,
+          type: testPlan.testType
         }))
       },
       criticalIssues,
       debateLog,
+      models: {
+        analyzer: getResponseMetadata(analysis)?.model,
+        validator: getResponseMetadata(testPlan)?.model
+      },
+      cached: [analysis, testPlan].every(result => getResponseMetadata(result)?.source === 'cache'),
       summary: generateSummary(isSafe, analysis, testPlan, criticalIssues)
     };
 
   } catch (error) {
     console.error('❌ War Room Error:', error.message);
+    if (error instanceof BudgetExceededError) {
+      throw error;
+    }
     throw new Error(`War Room failed: ${error.message}`);
   }
 }
 
+/**
+ * Normalize code analyzer findings into { description, severity } issues.
+ * codeAnalyzerAgentSchema reports quality issues and potential bugs as
+ * plain strings; potential bugs are treated as high severity.
+ */
+function collectIssues(analysis) {
+  const qualityIssues = (analysis.codeQuality?.issuesFound || [])
+    .map(description => ({ description, severity: 'medium' }));
+  const bugs = (analysis.potentialBugs || [])
+    .map(description => ({ description, severity: 'high' }));
+  return [...bugs, ...qualityIssues];
+}
+
 /**
  * Generate human-readable summary of the war room debate
  */
 function generateSummary(isSafe, analysis, testPlan, criticalIssues) {
   const score = analysis.codeQuality?.score || 0;
-  const issues = analysis.codeQuality?.issues || [];
   const recommendations = analysis.refactoringRecommendations || [];
   const tests = testPlan.tests || [];
-  const coverage = testPlan.coverageTarget || 0;
+  const coverage = testPlan.coverage?.targetPercentage || 0;
 
   const lines = [];
   
@@ -1,10 +1,24 @@
 import { MemoryManager } from './lib/MemoryManager.js';
 import { schemaRouter } from './lib/schemaRouter.js';
 import { executeAgentCommand } from './lib/terminalExecutor.js';
+import { runToolConversation } from './lib/toolDispatcher.js';
+import { budgetManager, BudgetExceededError } from './lib/budgetManager.js';
+import { extractPartialFields } from './lib/partialJson.js';
+import { buildSystemPrompt } from './lib/prompts.js';
+import { loadAgentRegistry } from './lib/agentRegistry.js';
+import { createPlan, approvePlan, rejectPlan, executePlan } from './lib/workflows/planner.js';
+import { createSessionStore } from './lib/stores/index.js';
 import { createInterface } from 'readline';
 
 const rl = createInterface({ input: process.stdin, output: process.stdout });
-const memory = new MemoryManager();
+
+// Sessions persist across runs: `node lumen-core.js --session=<id>` or LUMEN_SESSION_ID (default 'cli')
+const sessionArg = process.argv.find(arg => arg.startsWith('--session='));
+const sessionId = sessionArg ? sessionArg.slice('--session='.length) : (process.env.LUMEN_SESSION_ID || 'cli');
+let memory;
+
+// Native tool-calling mode: `node lumen-core.js --tools` or LUMEN_DISPATCH_MODE=tools
+const toolMode = process.argv.includes('--tools') || process.env.LUMEN_DISPATCH_MODE === 'tools';
 
 /**
  * Lumen Core - The primary execution loop that integrates:
@@ -14,39 +28,294 @@ const memory = new MemoryManager();
  * - Self-correcting feedback loops
  */
 
-const SYSTEM_PROMPT = `You are the Lumen Dispatcher, an advanced autonomous orchestrator.
+/**
+ * Print the response/code fields of a streaming agent response as they
+ * materialize. `printed` holds what has been shown so far so the final
+ * output isn't repeated; a reset event (retry or fallback model) clears it
+ * so the final result is printed in full.
+ */
+function createStreamPrinter() {
+  const printed = { response: '', code: '' };
+  const labels = {
+    response: '\n🤖 Lumen: ',
+    code: `\n💻 Generated Code:\n${"─".repeat(70)}\n`
+  };
+  let active = null;
+
+  return {
+    printed,
+    onDelta({ type, text, reason }) {
+      if (type === 'reset') {
+        if (active) process.stdout.write(`\n↩️  ${reason === 'fallback' ? 'Switching to a fallback model' : 'Retrying'}, discarding the partial response\n`);
+        printed.response = '';
+        printed.code = '';
+        active = null;
+        return;
+      }
+      const fields = extractPartialFields(text, ['response', 'code']);
+      for (const [field, value] of Object.entries(fields)) {
+        if (value.length <= printed[field].length) continue;
+        if (active !== field) {
+          if (active) process.stdout.write('\n');
+          process.stdout.write(labels[field]);
+          active = field;
+        }
+        process.stdout.write(value.slice(printed[field].length));
+        printed[field] = value;
+      }
+    },
+    end() {
+      if (active) process.stdout.write('\n');
+    }
+  };
+}
+
+/**
+ * Handle one user turn in tool-calling mode
+ * The model calls tools (several per turn if needed) and sees their results
+ * in the same conversation, so no `continue` re-prompting is required.
+ */
+async function runToolTurn(userInput, askQuestion) {
+  await memory.addInteraction("user", userInput);
+  console.log("\n🔍 Working...");
+
+  const result = await runToolConversation(userInput, memory, {
+    autoApprove: false,
+    approve: async (description) => {
+      const answer = await askQuestion(`\n⚠️  ${description}\n   Approve? (y/n): `);
+      return answer.trim().toLowerCase().startsWith('y');
+    },
+    onToolCall: (call) => console.log(`\n🛠️  Tool: ${call.name} ${call.arguments}`),
+    onToolResult: (call, toolResult) => console.log(`   → ${toolResult?.status || 'done'}`)
+  });
+
+  console.log(`\n🤖 Lumen: ${result.response}`);
+  await memory.addInteraction("ai", result.response);
+}
+
+/**
+ * Handle the pinned fact commands: facts, pin <fact>, unpin <id>, edit-fact <id> <fact>,
+ * and accept-fact <id> / reject-fact <id> for facts proposed by agents
+ * @returns {Promise<boolean>} Whether the input was a fact command
+ */
+async function handleFactCommand(input) {
+  const [command, ...rest] = input.split(/\s+/);
+  const args = input.slice(command.length).trim();
+
+  switch (command.toLowerCase()) {
+    case 'facts': {
+      const facts = memory.getPinnedFacts();
+      console.log(facts.length > 0 ? "\n📌 Pinned facts:" : "\n📌 No pinned facts. Add one with 'pin <fact>'.");
+      facts.forEach(f => console.log(`   #${f.id} ${f.text}${f.source === 'agent' ? ' (proposed by agent)' : ''}`));
+      const proposed = memory.getProposedFacts();
+      if (proposed.length > 0) {
+        console.log("\n💡 Proposed by agents, awaiting review ('accept-fact <id>' / 'reject-fact <id>'):");
+        proposed.forEach(p => console.log(`   #${p.id} ${p.text}`));
+      }
+      console.log();
+      return true;
+    }
+    case 'pin': {
+      if (!args) return false; // Plain "pin" is just a message
+      try {
+        const fact = await memory.pinFact(args);
+        console.log(`\n📌 Pinned #${fact.id}: ${fact.text}\n`);
+      } catch (error) {
+        console.log(`\n❌ ${error.message}\n`);
+      }
+      return true;
+    }
+    case 'unpin': {
+      if (!/^\d+$/.test(args)) return false;
+      const removed = await memory.unpinFact(args);
+      console.log(removed ? `\n🗑️  Unpinned #${args}\n` : `\n❌ No pinned fact #${args}\n`);
+      return true;
+    }
+    case 'accept-fact': {
+      if (!/^\d+$/.test(args)) return false;
+      try {
+        const fact = await memory.acceptProposedFact(args);
+        console.log(fact ? `\n📌 Pinned #${fact.id}: ${fact.text}\n` : `\n❌ No proposed fact #${args}\n`);
+      } catch (error) {
+        console.log(`\n❌ ${error.message}\n`);
+      }
+      return true;
+    }
+    case 'reject-fact': {
+      if (!/^\d+$/.test(args)) return false;
+      const rejected = await memory.rejectProposedFact(args);
+      console.log(rejected ? `\n🗑️  Discarded proposed fact #${args}\n` : `\n❌ No proposed fact #${args}\n`);
+      return true;
+    }
+    case 'edit-fact': {
+      const id = rest[0];
+      const text = args.slice(id?.length || 0).trim();
+      if (!/^\d+$/.test(id || '') || !text) {
+        console.log("\n❌ Usage: edit-fact <id> <fact>\n");
+        return true;
+      }
+      const fact = await memory.updateFact(id, text);
+      console.log(fact ? `\n📌 Updated #${fact.id}: ${fact.text}\n` : `\n❌ No pinned fact #${id}\n`);
+      return true;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Handle the branching commands: /fork [interactionId] [newSessionId], /rewind [turns], /branches, /compare <sessionId>
+ * They need the slash so messages like "fork it" or "compare X with Y" still reach the agents.
+ * A fork switches the CLI to the new session.
+ * @returns {Promise<boolean>} Whether the input was a branching command
+ */
+async function handleBranchCommand(input, store) {
+  const [command, ...args] = input.split(/\s+/);
+
+  switch (command.toLowerCase()) {
+    case '/fork': {
+      if (args.length > 2 || (args.length === 2 && !/^\d+$/.test(args[0]))) {
+        console.log("\n💡 Usage: /fork [interactionId] [name]\n");
+        return true;
+      }
+      const [atArg, nameArg] = /^\d+$/.test(args[0] || '') ? args : [undefined, args[0]];
+      const newSessionId = nameArg || `${memory.sessionId}-fork-${Date.now().toString(36)}`;
+      try {
+        memory = await memory.fork(newSessionId, { atId: atArg ?? memory.globalCounter, store });
+        console.log(`   Now in session '${newSessionId}' (${memory.globalCounter} interactions). Switch back with --session=${memory.parent.sessionId}\n`);
+      } catch (error) {
+        console.log(`\n❌ ${error.message}\n`);
+      }
+      return true;
+    }
+    case '/rewind': {
+      if (args.length > 1 || (args[0] && !/^\d+$/.test(args[0]))) {
+        console.log("\n💡 Usage: /rewind [turns]\n");
+        return true;
+      }
+      try {
+        const result = await memory.rewindTurns(args[0] ? Number(args[0]) : 1);
+        console.log(`\n⏪ Rewound to interaction ${result.toId}: removed ${result.removedInteractions} interaction(s)` +
+          (result.invalidatedSummaries ? `, invalidated ${result.invalidatedSummaries} summar${result.invalidatedSummaries === 1 ? 'y' : 'ies'}` : '') + '\n');
+      } catch (error) {
+        console.log(`\n❌ ${error.message}\n`);
+      }
+      return true;
+    }
+    case '/branches': {
+      const { parent, branches } = memory.getLineage();
+      console.log(`\n🌿 Session '${memory.sessionId}'`);
+      if (parent) {
+        console.log(`   Forked from '${parent.sessionId}' at interaction ${parent.interactionId}`);
+      }
+      branches.forEach(b => console.log(`   ├─ '${b.sessionId}' (forked at interaction ${b.interactionId})`));
+      if (!parent && branches.length === 0) {
+        console.log("   No forks yet. Use '/fork [interactionId] [name]'.");
+      }
+      console.log();
+      return true;
+    }
+    case '/compare': {
+      if (args.length !== 1) {
+        console.log("\n💡 Usage: /compare <sessionId>\n");
+        return true;
+      }
+      if (!(await store.load(args[0]))) {
+        console.log(`\n❌ No session '${args[0]}' to compare with\n`);
+        return true;
+      }
+      const other = await MemoryManager.load(args[0], store);
+      const { forkPoint, left, right } = MemoryManager.compare(memory, other);
+      console.log(`\n🔀 Shared history up to interaction ${forkPoint}`);
+      for (const side of [left, right]) {
+        console.log(`\n   ${side.sessionId}: ${side.interactions.length} interaction(s) since`);
+        side.interactions.slice(0, 5).forEach(i => console.log(`     #${i.id} [${i.role}] ${i.text.slice(0, 80)}`));
+      }
+      console.log();
+      return true;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Handle the /agent prefix: `/agent <name> <request>` sends the request to
+ * that agent without classification, `/agent` alone lists the agents
+ * @returns {Promise<object|null>} { agent, message } to run, or null when nothing is left to run
+ */
+async function parseAgentCommand(input) {
+  const [, name, message = ''] = input.match(/^\/agent(?:\s+(\S+))?(?:\s+([\s\S]*))?$/i);
+  const agents = await loadAgentRegistry();
 
-CORE IDENTITY:
-You solve user requests by either communicating directly or deploying specialized agent schemas.
-You operate using a rolling 21-interaction window and 3-level summary memory.
+  if (!name) {
+    console.log("\n🧩 Agents:");
+    agents.list().forEach(agent => console.log(`   ${agent.name.padEnd(10)} ${agent.description}`));
+    console.log("\n   Use '/agent <name> <request>' to skip routing.\n");
+    return null;
+  }
+  try {
+    agents.resolve(name);
+  } catch (error) {
+    console.log(`\n❌ ${error.message}\n`);
+    return null;
+  }
+  if (!message.trim()) {
+    console.log(`\n💡 Usage: /agent ${name} <request>\n`);
+    return null;
+  }
+  return { agent: name, message: message.trim() };
+}
 
-OPERATIONAL HIERARCHY:
-1. Context Alignment: Check if missingContext is required. If the request is vague, list requirements.
-2. Schema Selection: Match intent to the most professional tool:
-   - Project Initialization: Use projectScaffolderAgent for structures, dependencies, configs
-   - File Manipulation: Use fileOperationAgent for CRUD with safetyChecks
-   - Code Quality: Use codeAnalyzerAgent for quality scores and bug reports
-   - Verification: Use testingAgent for unit/integration tests
-   - Documentation: Use docGeneratorAgent for knowledge base
-3. Memory Loop: Every 21 interactions triggers automatic summarization
+/**
+ * Handle `/plan <request>`: plan the request as agent steps, show the plan
+ * for approval, then run it with progress per step
+ */
+async function runPlanTurn(request, askQuestion) {
+  budgetManager.assertWithinBudget({ sessionId: memory.sessionId });
+  await memory.addInteraction("user", request);
+  const plan = await createPlan(request, { memory });
 
-EXECUTION RULES:
-- Terminal Safety: All terminalCommand choices must include commandReasoning
-- Set requiresApproval: true for destructive actions (rm, mv, overwrites)
-- Continuity: Set continue: true for multi-step tasks to trigger next loop
-- JSON Strictness: Output valid JSON matching the schema exactly
+  console.log(`\n🗺️  Plan: ${plan.goal}`);
+  plan.steps.forEach((step, i) => {
+    const after = step.dependsOn.length > 0 ? ` (after ${step.dependsOn.join(', ')})` : '';
+    console.log(`   ${i + 1}. [${step.id} · ${step.agent}]${after} ${step.input}`);
+  });
+  console.log(`   Reasoning: ${plan.reasoning}`);
 
-WORKFLOW PHASES:
-Phase 1 - Discovery: Identify missingContext, scaffold structure, initialize
-Phase 2 - Implementation: Write code, analyze quality, generate tests
-Phase 3 - Finalization: Document code, verify completion
+  const answer = await askQuestion("\n   Run this plan? (y/n): ");
+  if (!answer.trim().toLowerCase().startsWith('y')) {
+    rejectPlan(plan);
+    await memory.addInteraction("system", `Plan ${plan.id} rejected`);
+    console.log("   Plan rejected.\n");
+    return;
+  }
 
-You are not just a chatbot - you are an autonomous system that plans, executes, and verifies.`;
+  await approvePlan(plan);
+  await executePlan(plan, {
+    memory,
+    onEvent: (event) => {
+      const { step } = event;
+      if (event.type === 'plan_step_start') console.log(`\n▶️  ${step.id} (${step.agent})...`);
+      if (event.type === 'plan_step_complete') {
+        console.log(`✅ ${step.id}: ${step.response?.response || 'done'}`);
+        if (step.response?.terminalCommand) console.log(`   Proposed command (not run): ${step.response.terminalCommand}`);
+      }
+      if (event.type === 'plan_step_failed') console.log(`❌ ${step.id}: ${event.error}`);
+      if (event.type === 'plan_step_skipped') console.log(`⏭️  ${step.id}: ${step.error}`);
+    }
+  });
+  const completed = plan.steps.filter(step => step.status === 'completed').length;
+  console.log(`\n🗺️  Plan ${plan.status}: ${completed}/${plan.steps.length} step(s) completed\n`);
+}
 
 /**
  * The primary loop that keeps Lumen running and learning
  */
 async function mainLoop() {
+  const store = createSessionStore();
+  memory = await MemoryManager.load(sessionId, store);
+
   console.log("🌟 Lumen Core Online");
   console.log("━".repeat(70));
   console.log("Features:");
@@ -54,7 +323,18 @@ async function mainLoop() {
   console.log("  • Dynamic schema routing (6 specialized agents)");
   console.log("  • Safe terminal execution with audit logging");
   console.log("  • Self-correcting feedback loops");
-  console.log("\nType 'exit' to quit, 'status' for memory status\n");
+  if (toolMode) {
+    console.log("  • Native tool calling (terminal, files, war room, memory search)");
+  }
+  if (memory.globalCounter > 0) {
+    console.log(`\n💾 Resumed session '${sessionId}' (${memory.globalCounter} interactions, ${memory.summaries.length} summaries) from ${store.name} store`);
+  } else {
+    console.log(`\n💾 New session '${sessionId}' (${store.name} store)`);
+  }
+  console.log("\nType 'exit' to quit, 'status' for memory status, 'cost' for token usage");
+  console.log("Pinned facts: 'facts' to list, 'pin <fact>', 'unpin <id>', 'edit-fact <id> <fact>', 'accept-fact <id>', 'reject-fact <id>'");
+  console.log("History: '/fork [interactionId] [name]', '/rewind [turns]', '/branches', '/compare <sessionId>'");
+  console.log("Agents: '/agent' to list, '/agent <name> <request>' to skip routing, '/plan <request>' for multi-agent plans\n");
 
   const askQuestion = (query) => new Promise(resolve => rl.question(query, resolve));
 
@@ -70,15 +350,90 @@ async function mainLoop() {
       const status = memory.getMemoryStatus();
       console.log("\n📊 Memory Status:");
       console.log(`   Total interactions: ${status.totalInteractions}`);
-      console.log(`   Current window: ${status.currentWindowSize}/${memory.config.windowSize}`);
+      if (status.windowMode === 'tokens') {
+        console.log(`   Current window: ${status.currentWindowSize} interactions, ${status.windowTokens}/${status.tokenBudget} tokens`);
+      } else {
+        console.log(`   Current window: ${status.currentWindowSize}/${memory.config.windowSize} (~${status.windowTokens} tokens)`);
+      }
+      console.log(`   Summary tokens: ~${status.summaryTokens}`);
       console.log(`   Summaries: ${status.summariesCount}/${memory.config.maxSummaries}`);
+      if (status.digestLevels.length > 0) {
+        console.log(`   Long-term digest: ${status.digestLevels.map((count, i) => `L${i + 1}×${count}`).join(', ')}`);
+      }
+      console.log(`   Pinned facts: ${status.pinnedFacts}/${memory.config.maxPinnedFacts}`);
+      if (status.redactedValues > 0) {
+        console.log(`   Redacted values: ${status.redactedValues}`);
+      }
       console.log(`   ID range: ${status.oldestInteractionId} → ${status.newestInteractionId}\n`);
       continue;
     }
 
+    if (userInput.toLowerCase() === 'cost') {
+      const usage = memory.getMemoryStatus().usage;
+      console.log("\n💰 Session Usage:");
+      console.log(`   Calls: ${usage.calls}`);
+      console.log(`   Tokens: ${usage.totalTokens} (${usage.promptTokens} prompt / ${usage.completionTokens} completion)`);
+      console.log(`   Cost: $${usage.costUsd.toFixed(4)}`);
+      for (const [caller, totals] of Object.entries(usage.byCaller)) {
+        console.log(`     • ${caller}: ${totals.calls} calls, ${totals.totalTokens} tokens, $${totals.costUsd.toFixed(4)}`);
+      }
+      console.log();
+      continue;
+    }
+
+    if (await handleFactCommand(userInput.trim())) continue;
+    if (await handleBranchCommand(userInput.trim(), store)) continue;
+
     if (!userInput.trim()) continue;
 
+    if (/^\/plan(\s|$)/i.test(userInput.trim())) {
+      const request = userInput.trim().slice('/plan'.length).trim();
+      if (!request) {
+        console.log("\n💡 Usage: /plan <request>\n");
+        continue;
+      }
+      try {
+        await runPlanTurn(request, askQuestion);
+      } catch (error) {
+        if (error instanceof BudgetExceededError) {
+          console.log(`\n💸 Budget reached: ${error.message}.\n`);
+        } else {
+          console.error(`\n❌ Planning failed: ${error.message}\n`);
+          await memory.addInteraction("system", `Planning failed: ${error.message}`);
+        }
+      }
+      continue;
+    }
+
+    // A forced agent handles the request (and its continuations) without classification
     let currentInput = userInput;
+    let forcedAgent;
+    if (/^\/agent(\s|$)/i.test(userInput.trim())) {
+      if (toolMode) {
+        console.log("\n⚠️  /agent is not available in tool-calling mode\n");
+        continue;
+      }
+      const forced = await parseAgentCommand(userInput.trim());
+      if (!forced) continue;
+      ({ agent: forcedAgent, message: currentInput } = forced);
+    }
+
+    if (toolMode) {
+      try {
+        budgetManager.assertWithinBudget({ sessionId: memory.sessionId });
+        await runToolTurn(userInput, askQuestion);
+      } catch (error) {
+        if (error instanceof BudgetExceededError) {
+          console.log(`\n💸 Budget reached: ${error.message}.`);
+        } else {
+          console.error(`\n❌ Error: ${error.message}`);
+          await memory.addInteraction("system", `Error occurred: ${error.message}`);
+        }
+      }
+      console.log();
+      continue;
+    }
+
     let isChaining = true;
     let loopCount = 0;
     const maxLoops = 10; // Safety limit to prevent infinite loops
@@ -87,19 +442,28 @@ async function mainLoop() {
       loopCount++;
       
       try {
+        // 0. Spend Gate: Stop chaining once a budget is used up
+        budgetManager.assertWithinBudget({ sessionId: memory.sessionId });
+
         // 1. Memory Update: Store the user's intent
         await memory.addInteraction("user", currentInput);
 
         // 2. Routing: Decide which specialized agent to deploy
         console.log("\n🔍 Analyzing request...");
-        const agentResponse = await schemaRouter(currentInput, memory);
+        const printer = createStreamPrinter();
+        const { routing, response: agentResponse, proposedFacts } = await schemaRouter(currentInput, memory, { onDelta: printer.onDelta, agent: forcedAgent });
+        printer.end();
+        console.log(`🧭 Routed via ${routing.path} to ${routing.agent ?? 'a clarifying question'}${routing.confidence ? ` (${routing.confidence} confidence)` : ''}`);
+        if (proposedFacts.length > 0) {
+          console.log("   Review proposed facts with 'accept-fact <id>' or 'reject-fact <id>'");
+        }
 
         // 3. Context Gate: Stop if the agent is missing information
         if (agentResponse.missingContext?.length > 0) {
           console.log("\n🤔 Lumen needs more context:");
           agentResponse.missingContext.forEach(ctx => console.log(`   • ${ctx}`));
           
-          if (agentResponse.response) {
+          if (agentResponse.response && printer.printed.response !== agentResponse.response) {
             console.log(`\n💬 ${agentResponse.response}`);
           }
           
@@ -138,15 +502,19 @@ async function mainLoop() {
           console.log(`\n💻 Code Generation Mode`);
           console.log(`   Language: ${agentResponse.language}`);
           console.log(`   Explanation: ${agentResponse.codeExplanation}`);
-          console.log(`\nGenerated Code:\n${"─".repeat(70)}`);
-          console.log(agentResponse.code);
+          if (printer.printed.code !== agentResponse.code) {
+            console.log(`\nGenerated Code:\n${"─".repeat(70)}`);
+            console.log(agentResponse.code);
+          }
           console.log("─".repeat(70));
           
           await memory.addInteraction("ai", `Generated ${agentResponse.language} code: ${agentResponse.codeExplanation}`);
           
         } else {
           // Standard conversational response
-          console.log(`\n🤖 Lumen: ${agentResponse.response}`);
+          if (printer.printed.response !== agentResponse.response) {
+            console.log(`\n🤖 Lumen: ${agentResponse.response}`);
+          }
           await memory.addInteraction("ai", agentResponse.response);
         }
 
@@ -163,6 +531,11 @@ async function mainLoop() {
         }
 
       } catch (error) {
+        if (error instanceof BudgetExceededError) {
+          console.log(`\n💸 Budget reached: ${error.message}. Stopping.`);
+          isChaining = false;
+          break;
+        }
         console.error(`\n❌ Error: ${error.message}`);
         await memory.addInteraction("system", `Error occurred: ${error.message}`);
         isChaining = false;
@@ -176,12 +549,16 @@ async function mainLoop() {
     console.log(); // Extra newline for readability
   }
 
+  await memory.flushCompaction();
+  await memory.persist();
   rl.close();
 }
 
 // Start the system
-console.log("\n" + SYSTEM_PROMPT + "\n");
-mainLoop().catch(err => {
+loadAgentRegistry().then(agents => {
+  console.log("\n" + buildSystemPrompt(agents.list()) + "\n");
+  return mainLoop();
+}).catch(err => {
   console.error('Fatal error:', err);
   process.exit(1);
 });
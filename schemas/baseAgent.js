@@ -7,6 +7,8 @@
  * - Terminal commands (without questions/context)
  * 
  * The 'choice' field determines which type of response is being provided.
+ * 'proposedFacts' lets the agent propose constraints the user states; they are pinned once
+ * the user accepts them (see MemoryManager.proposeFacts).
  */
 export const baseAgentExtendedResponseSchema = {
   type: "object",
@@ -69,8 +71,13 @@ export const baseAgentExtendedResponseSchema = {
     continue: { 
       type: "boolean", 
       description: "Whether this agent has more work to do and should be called again automatically" 
+    },
+    proposedFacts: {
+      type: "array",
+      description: "Durable constraints or project goals the user just stated that must hold for the rest of the session (e.g. 'Use PostgreSQL', 'Never touch production'), phrased as short standalone statements. Empty array if none; don't repeat facts that are already pinned",
+      items: { type: "string" }
     }
   },
-  required: ["choice", "response", "questionsForUser", "questions", "missingContext", "code", "language", "codeExplanation", "terminalCommand", "commandReasoning", "requiresApproval", "continue"],
+  required: ["choice", "response", "questionsForUser", "questions", "missingContext", "code", "language", "codeExplanation", "terminalCommand", "commandReasoning", "requiresApproval", "continue", "proposedFacts"],
   additionalProperties: false
 };
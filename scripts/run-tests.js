@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+
+/**
+ * Test runner - runs each test script in its own process, in order, and
+ * exits non-zero if any of them fails.
+ *
+ * Usage: node scripts/run-tests.js [--cassette=<mode>] test-providers.js test-usage.js ...
+ *
+ * --cassette=<mode>  Run every script with LUMEN_CASSETTE_MODE set to
+ *                    record | replay | strict (works the same on every shell)
+ */
+
+import { spawnSync } from 'child_process';
+
+const args = process.argv.slice(2);
+const scripts = args.filter(arg => !arg.startsWith('--'));
+const cassetteMode = args.find(arg => arg.startsWith('--cassette='))?.split('=')[1];
+
+if (scripts.length === 0) {
+  console.error('Usage: node scripts/run-tests.js [--cassette=<mode>] <test-file> [...]');
+  process.exit(1);
+}
+
+const env = cassetteMode ? { ...process.env, LUMEN_CASSETTE_MODE: cassetteMode } : process.env;
+
+const failed = [];
+for (const script of scripts) {
+  console.log(`\n▶️  ${script}`);
+  const { status } = spawnSync(process.execPath, [script], { stdio: 'inherit', env });
+  if (status !== 0) failed.push(script);
+}
+
+console.log('\n' + '='.repeat(70));
+if (failed.length > 0) {
+  console.error(`❌ ${failed.length} of ${scripts.length} test file(s) failed: ${failed.join(', ')}`);
+  process.exit(1);
+}
+console.log(`✅ ${scripts.length} test file(s) passed`);
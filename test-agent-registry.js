@@ -0,0 +1,78 @@
+import { ScriptedProvider } from './lib/providers/index.js';
+import { MemoryManager } from './lib/MemoryManager.js';
+import { schemaRouter, getAvailableSchemas } from './lib/schemaRouter.js';
+import { loadAgentRegistry, AgentRegistry } from './lib/agentRegistry.js';
+import { check, header, finish, withProvider, quietly } from './test-helpers.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Offline agent registry tests - built-in agents and plugins from LUMEN_AGENTS_DIR
+ */
+async function testAgentRegistry() {
+  header('agent plugin registry');
+
+  // Test 1: Built-in agents
+  console.log('\nTest 1: Built-in agents discovered from agents/');
+  const builtinAgents = await loadAgentRegistry();
+  check(builtinAgents.names().join() === 'scaffold,fileOp,analyze,test,docs,default', 'built-in agents discovered in routing order');
+  const listedAgents = await getAvailableSchemas();
+  check(listedAgents.length === builtinAgents.names().length && listedAgents.every(agent => agent.description && agent.schema?.type === 'object') && listedAgents.find(agent => agent.name === 'test').keywords.length > 0, 'available agents listed with descriptions, keywords and schemas');
+
+  // Test 2: Plugins are discovered from LUMEN_AGENTS_DIR
+  console.log('\nTest 2: Plugins from LUMEN_AGENTS_DIR');
+  const pluginDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lumen-agents-'));
+  fs.writeFileSync(path.join(pluginDir, 'security.js'), `export default {
+  name: 'security',
+  description: 'For security audits of code and configuration',
+  schema: { type: 'object', properties: { findings: { type: 'array', items: { type: 'string' } }, response: { type: 'string' } }, required: ['findings', 'response'], additionalProperties: false },
+  keywords: ['security audit'],
+  instructions: 'ACTIVE AGENT: Security Auditor. List concrete vulnerabilities.',
+  model: 'gpt-4.1',
+  order: 5,
+  handleResult: async (response, { memory }) => ({ ...response, audited: memory.sessionId })
+};
+`);
+  fs.writeFileSync(path.join(pluginDir, 'broken.js'), 'export default { name: "broken" };\n');
+  fs.writeFileSync(path.join(pluginDir, 'docs.js'), `export default { name: 'docs', description: 'For internal wiki pages', schema: { type: 'object', properties: {} }, instructions: 'ACTIVE AGENT: Wiki.' };\n`);
+  process.env.LUMEN_AGENTS_DIR = pluginDir;
+  const pluginWarnings = [];
+  const originalWarn = console.warn;
+  console.warn = (...args) => { pluginWarnings.push(args.join(' ')); };
+  let pluginAgents;
+  try {
+    pluginAgents = await quietly(() => loadAgentRegistry({ reload: true }));
+  } finally {
+    console.warn = originalWarn;
+  }
+  check(pluginAgents.get('security')?.source === path.join(pluginDir, 'security.js') && pluginAgents.names()[0] === 'security', 'plugins discovered from LUMEN_AGENTS_DIR');
+  check(!pluginAgents.has('broken') && pluginWarnings.some(w => w.includes('broken.js')), 'invalid plugins skipped with a warning');
+  check(pluginAgents.get('docs').description === 'For internal wiki pages', 'plugins replace built-in agents of the same name');
+
+  // Test 3: Plugins take part in routing
+  console.log('\nTest 3: Routing built from the registry');
+  const pluginProvider = new ScriptedProvider();
+  const pluginMemory = new MemoryManager({ sessionId: 'plugins' });
+  const audited = await withProvider(pluginProvider, async () => {
+    const result = await schemaRouter('Run a security audit of the login flow', pluginMemory);
+    await schemaRouter('What should we do next?', pluginMemory);
+    return result;
+  });
+  const auditCall = pluginProvider.calls.find(call => call.model === 'gpt-4.1');
+  check(audited.response.audited === 'plugins' && Array.isArray(audited.response.findings), 'keyword routing reaches the plugin and its result handler');
+  check(auditCall?.messages[0].content.includes('Security Auditor') && auditCall.messages[0].content.includes('- security: For security audits'), 'plugin model, instructions and listing used');
+  const classifyCall = pluginProvider.calls.find(call => call.messages.some(m => (m.content || '').includes('Available Agents')));
+  check(classifyCall?.responseFormat.schema.properties.recommendedAgent.enum.join() === 'security,scaffold,fileOp,analyze,test,docs,default' && classifyCall.messages.some(m => m.content.includes('- security: For security audits')), 'classifier enum and prompt built from the registry');
+  check((() => { try { new AgentRegistry([{ name: 'nope', description: 'x', instructions: 'x', schema: { type: 'string' } }]); return false; } catch { return true; } })(), 'agents need an object schema');
+  delete process.env.LUMEN_AGENTS_DIR;
+  await loadAgentRegistry({ reload: true });
+  fs.rmSync(pluginDir, { recursive: true, force: true });
+
+  finish('agent registry');
+}
+
+testAgentRegistry().catch(err => {
+  console.error('Test failed:', err);
+  process.exit(1);
+});
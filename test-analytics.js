@@ -0,0 +1,102 @@
+import { queryOpenAI } from './lib/openaiWrapper.js';
+import { ScriptedProvider } from './lib/providers/index.js';
+import { AnalyticsProvider, getAnalyticsProvider } from './lib/analyticsProvider.js';
+import { usageTracker } from './lib/usageTracker.js';
+import { ResponseCache, setDefaultResponseCache } from './lib/responseCache.js';
+import { summarizeAgentResponseSchema } from './schemas/summarizeAgent.js';
+import { check, header, finish } from './test-helpers.js';
+
+/**
+ * In-memory stand-in for the ioredis client, covering the hash commands the
+ * event loggers write with
+ */
+class FakeRedis {
+  constructor() {
+    this.hashes = new Map();
+  }
+
+  on() {}
+
+  hash(key) {
+    if (!this.hashes.has(key)) this.hashes.set(key, {});
+    return this.hashes.get(key);
+  }
+
+  async hincrby(key, field, amount) {
+    const hash = this.hash(key);
+    hash[field] = (hash[field] || 0) + amount;
+    return hash[field];
+  }
+
+  async hincrbyfloat(key, field, amount) {
+    return this.hincrby(key, field, amount);
+  }
+
+  async hgetall(key) {
+    return { ...this.hash(key) };
+  }
+
+  async quit() {}
+}
+
+/**
+ * Offline analytics tests - events from the rest of Lumen reach the provider
+ */
+async function testAnalytics() {
+  header('analytics');
+
+  // Test 1: Token usage is forwarded to analytics
+  console.log('\nTest 1: LLM usage reaches the provider');
+  usageTracker.reset();
+  setDefaultResponseCache(new ResponseCache()); // picked up by the shared provider, see Test 2
+  const redis = new FakeRedis();
+  const analytics = getAnalyticsProvider({ redis });
+  check(analytics.redis === redis && getAnalyticsProvider() === analytics, 'shared provider uses the injected client');
+  await queryOpenAI('Hello there', { provider: new ScriptedProvider(), model: 'gpt-4o', caller: 'router', sessionId: 'analytics-test' });
+  await new Promise(resolve => setImmediate(resolve));
+  const llmUsage = await redis.hgetall(analytics.keys.llmUsage);
+  const recorded = usageTracker.getSessionUsage('analytics-test');
+  check(llmUsage.calls === 1 && llmUsage.prompt_tokens === recorded.promptTokens, 'shared provider subscribed to usage on creation');
+  check(redis.hash(`${analytics.keys.llmUsage}:cost_by_caller`).router === recorded.costUsd, 'cost broken down by caller');
+  const separate = new AnalyticsProvider({ redis: new FakeRedis() });
+  const stopTracking = separate.trackUsage(usageTracker);
+  usageTracker.record({ model: 'gpt-4o-mini', usage: { promptTokens: 3, completionTokens: 2 }, caller: 'summary' });
+  stopTracking();
+  usageTracker.record({ model: 'gpt-4o-mini', usage: { promptTokens: 3, completionTokens: 2 }, caller: 'summary' });
+  await new Promise(resolve => setImmediate(resolve));
+  check((await separate.redis.hgetall(separate.keys.llmUsage)).calls === 1, 'trackUsage unsubscribes');
+  const failing = new AnalyticsProvider({ redis: Object.assign(new FakeRedis(), { hincrby: async () => { throw new Error('down'); } }) });
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    await failing.logTokenUsage({ model: 'gpt-4o', caller: 'router', promptTokens: 1, completionTokens: 1, costUsd: 0 });
+    check(true, 'Redis failures never reach the caller');
+  } finally {
+    console.error = originalError;
+  }
+
+  // Test 2: Response cache hits and misses are forwarded to analytics
+  console.log('\nTest 2: Cache events reach the provider');
+  const cacheOptions = { provider: new ScriptedProvider(), schema: summarizeAgentResponseSchema, cache: true, caller: 'router' };
+  await queryOpenAI('Summarize this', cacheOptions);
+  await queryOpenAI('Summarize this', cacheOptions);
+  await new Promise(resolve => setImmediate(resolve));
+  check(JSON.stringify(await redis.hgetall(analytics.keys.cache)) === '{"misses":1,"hits":1}', 'default cache subscribed on creation');
+  check(redis.hash(`${analytics.keys.cache}:hits_by_caller`).router === 1, 'hits broken down by caller');
+  const otherCache = new ResponseCache();
+  const cacheRedis = new FakeRedis();
+  const stopCache = new AnalyticsProvider({ redis: cacheRedis }).trackCache(otherCache);
+  await queryOpenAI('Summarize that', { ...cacheOptions, cache: otherCache });
+  stopCache();
+  await queryOpenAI('Summarize that', { ...cacheOptions, cache: otherCache });
+  await new Promise(resolve => setImmediate(resolve));
+  check(JSON.stringify(await cacheRedis.hgetall(analytics.keys.cache)) === '{"misses":1}', 'trackCache follows other caches until unsubscribed');
+  setDefaultResponseCache(undefined);
+
+  finish('analytics');
+}
+
+testAnalytics().catch(err => {
+  console.error('Test failed:', err);
+  process.exit(1);
+});
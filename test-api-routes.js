@@ -0,0 +1,167 @@
+import fs from 'fs';
+import WebSocket from 'ws';
+import { ScriptedProvider } from './lib/providers/index.js';
+import { budgetManager } from './lib/budgetManager.js';
+import { usageTracker } from './lib/usageTracker.js';
+import { check, header, finish, withProvider, quietly, agentReply } from './test-helpers.js';
+
+/**
+ * Offline HTTP route tests - status codes and validation of the API server's routes
+ */
+async function testApiRoutes() {
+  header('API routes');
+
+  // Sessions stay in memory; the server is imported after the store is chosen
+  process.env.LUMEN_SESSION_STORE = 'memory';
+  const { server } = await import('./api-server.js');
+  await new Promise(resolve => server.listen(0, resolve));
+  const baseUrl = `http://localhost:${server.address().port}`;
+
+  const request = async (method, route, body) => {
+    const response = await fetch(baseUrl + route, {
+      method,
+      headers: { 'content-type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  const originalError = console.error;
+  console.error = () => {};
+
+  try {
+    // Test 1: Chat errors map to client status codes
+    console.log('\nTest 1: Chat validation, unknown agents and budgets');
+    check((await request('POST', '/api/chat', {})).status === 400, 'missing message is a 400');
+    const unknownAgent = await request('POST', '/api/chat', { message: 'Hi', sessionId: 'routes-chat', agent: 'nope' });
+    check(unknownAgent.status === 400 && unknownAgent.body.availableAgents.includes('default'), 'unknown agent is a 400 listing the agents');
+    budgetManager.setLimit('session', { tokens: 0 });
+    const overBudget = await request('POST', '/api/chat', { message: 'Hi', sessionId: 'routes-chat' });
+    budgetManager.setLimit('session', {});
+    check(overBudget.status === 402 && overBudget.body.budget.scope === 'session', 'exceeded budget is a 402');
+    check((await request('GET', '/api/memory/routes-chat')).body.totalInteractions === 0, 'rejected requests not recorded');
+
+    // Test 2: Import validation
+    console.log('\nTest 2: Session import');
+    const archive = [1, 2, 3, 4].map(id => ({ id, role: id % 2 ? 'user' : 'ai', text: `turn ${id}`, ts: new Date().toISOString() }));
+    check((await request('POST', '/api/memory/routes-import/import', { state: { foo: 1 } })).status === 400, 'state without interactions is a 400');
+    check((await request('POST', '/api/memory/routes-import/import', { transcript: 'hello' })).status === 400, 'malformed transcript is a 400');
+    const hostileImport = await quietly(() => request('POST', '/api/memory/routes-import/import', {
+      state: { archive: [...archive, { id: 5, role: 'user', text: 'key sk-proj-abcdefghijklmnopqrstuvwx1234', ts: new Date().toISOString() }], config: { redact: false, windowSize: 1 } }
+    }));
+    const exported = (await request('GET', '/api/memory/routes-import/export')).body;
+    check(hostileImport.status === 201 && exported.config.redact === true && exported.config.windowSize === 21, 'imported config ignored');
+    check(exported.archive.at(-1).text.includes('[SECRET_1]'), 'imported text redacted');
+    check((await request('POST', '/api/memory/routes-import/import', { state: { archive } })).status === 409, 'existing session needs overwrite');
+    let summarized = false;
+    const slowSummary = new ScriptedProvider({
+      handler: async () => {
+        await new Promise(resolve => setTimeout(resolve, 50));
+        summarized = true;
+        return { summary: 'Old history', missingContext: [], reasoning: '' };
+      }
+    });
+    const longWindow = Array.from({ length: 30 }, (_, i) => ({ id: i + 1, role: i % 2 ? 'ai' : 'user', text: `old turn ${i + 1}`, ts: new Date().toISOString() }));
+    const replaced = await withProvider(slowSummary, () => quietly(async () => {
+      await request('POST', '/api/memory/routes-overwrite/import', { state: { archive: longWindow, interactions: longWindow } });
+      return request('POST', '/api/memory/routes-overwrite/import', { state: { archive }, overwrite: true });
+    }));
+    check(replaced.status === 201 && summarized, 'overwrite waits for the replaced session to finish compacting');
+    const overwritten = (await request('GET', '/api/memory/routes-overwrite/export')).body;
+    check(overwritten.globalCounter === 4 && overwritten.summaries.length === 0 && overwritten.archive.at(-1).text === 'turn 4', 'overwrite replaces the cached session');
+
+    // Test 3: Rewind and fork
+    console.log('\nTest 3: Rewind and fork');
+    await quietly(() => request('POST', '/api/memory/routes-history/import', { state: { archive } }));
+    check((await request('POST', '/api/session/routes-history/rewind', {})).status === 400, 'rewind needs interactionId or turns');
+    check((await request('POST', '/api/session/routes-history/rewind', { interactionId: 9 })).status === 400, 'rewinding past the end is a 400');
+    for (const bad of [null, '', true, 1.5, '2abc', -1, [2]]) {
+      const rejected = await request('POST', '/api/session/routes-history/rewind', { interactionId: bad });
+      const rejectedTurns = await request('POST', '/api/session/routes-history/rewind', { turns: bad });
+      const rejectedFork = await request('POST', '/api/session/routes-history/fork', { interactionId: bad, newSessionId: 'routes-bad-fork' });
+      check(rejected.status === 400 && rejectedTurns.status === 400 && rejectedFork.status === 400, `${JSON.stringify(bad)} is not an interaction id or turn count`);
+    }
+    check((await request('GET', '/api/memory/routes-history')).body.totalInteractions === 4, 'rejected rewinds keep the history');
+    const rewound = await quietly(() => request('POST', '/api/session/routes-history/rewind', { interactionId: '3' }));
+    check(rewound.status === 200 && rewound.body.toId === 3 && rewound.body.memoryStatus.totalInteractions === 3, 'session rewound');
+    check((await request('POST', '/api/session/routes-history/fork', { interactionId: 42 })).status === 400, 'forking at an unknown interaction is a 400');
+    const forked = await quietly(() => request('POST', '/api/session/routes-history/fork', { interactionId: 2, newSessionId: 'routes-branch' }));
+    check(forked.status === 201 && forked.body.parent.sessionId === 'routes-history' && forked.body.parent.interactionId === 2, 'session forked');
+    check((await request('POST', '/api/session/routes-history/fork', { newSessionId: 'routes-branch' })).status === 409, 'forking onto an existing session is a 409');
+
+    // Test 4: Plans need approval once
+    console.log('\nTest 4: Plan approval');
+    const planProvider = new ScriptedProvider({
+      handler: () => ({ goal: 'Documented app', steps: [{ id: 'docs', agent: 'docs', input: 'Document the app', dependsOn: [] }], reasoning: 'one step' })
+    });
+    const planned = await withProvider(planProvider, () => quietly(() => request('POST', '/api/plan', { message: 'Document the app', sessionId: 'routes-plan' })));
+    const planId = planned.body.plan?.id;
+    check(planned.status === 201 && planned.body.plan.status === 'pending', 'plan created pending');
+    check((await request('POST', '/api/plan/plan-missing/approve', {})).status === 404, 'unknown plan is a 404');
+    const badRevision = await request('POST', `/api/plan/${planId}/approve`, { steps: [{ id: 'a', agent: 'nope', input: 'x', dependsOn: [] }] });
+    check(badRevision.status === 400 && badRevision.body.problems.length > 0, 'invalid revised steps are a 400');
+    check((await request('POST', `/api/plan/${planId}/reject`)).body.plan.status === 'rejected', 'plan rejected');
+    check((await request('POST', `/api/plan/${planId}/approve`, {})).status === 404, 'rejected plan dropped, so it cannot be approved');
+    const contested = await withProvider(planProvider, () => quietly(() => request('POST', '/api/plan', { message: 'Document it again', sessionId: 'routes-plan' })));
+    const approvals = await withProvider(planProvider, () => quietly(() => Promise.all([1, 2].map(() => request('POST', `/api/plan/${contested.body.plan.id}/approve`, {})))));
+    const [ran, refused] = approvals.sort((a, b) => a.status - b.status);
+    check(ran.status === 200 && [404, 409].includes(refused.status), 'concurrent approvals run the plan once');
+    check((await request('GET', `/api/plan/${contested.body.plan.id}`)).status === 404, 'finished plans dropped from the server');
+
+    // Test 5: Proposed facts and tool approval
+    console.log('\nTest 5: Proposed facts and tool mode');
+    const factProvider = new ScriptedProvider({
+      responses: [
+        { recommendedAgent: 'default', reasoning: 'chat', confidence: 'high' },
+        agentReply({ response: 'Understood.', proposedFacts: ['Never touch prod'] })
+      ]
+    });
+    const chatted = await withProvider(factProvider, () => quietly(() => request('POST', '/api/chat', { message: 'By the way, we must never touch prod', sessionId: 'routes-facts' })));
+    const [proposal] = chatted.body.proposedFacts || [];
+    check(chatted.status === 200 && proposal?.text === 'Never touch prod', 'chat returns proposed facts');
+    check((await request('GET', '/api/memory/routes-facts/facts')).body.facts.length === 0, 'proposals not pinned');
+    const accepted = await quietly(() => request('POST', `/api/memory/routes-facts/facts/proposed/${proposal?.id}/accept`));
+    check(accepted.status === 201 && accepted.body.fact.source === 'agent', 'accepted proposal pinned');
+    check((await request('POST', `/api/memory/routes-facts/facts/proposed/${proposal?.id}/accept`)).status === 404, 'accepting twice is a 404');
+    check((await request('DELETE', '/api/memory/routes-facts/facts/proposed/99')).status === 404, 'rejecting an unknown proposal is a 404');
+    const toolProvider = new ScriptedProvider({
+      responses: [
+        { toolCalls: [{ name: 'file_operation', arguments: { operation: 'create', path: 'routes-test-output.txt', content: 'x' } }] },
+        'Done.'
+      ]
+    });
+    const toolRun = await withProvider(toolProvider, () => quietly(() => request('POST', '/api/chat', { message: 'Write the file', sessionId: 'routes-tools', mode: 'tools' })));
+    check(toolRun.body.toolCalls?.[0].result.status === 'approval_required' && !fs.existsSync('routes-test-output.txt'), 'tool mode needs an explicit autoApprove');
+
+    // Test 6: WebSocket chat spend goes to the handshake's API key
+    console.log('\nTest 6: WebSocket chat API key');
+    const chatOverSocket = (headers, body) => new Promise((resolve, reject) => {
+      const ws = new WebSocket(`${baseUrl.replace('http', 'ws')}/ws`, { headers });
+      ws.on('open', () => ws.send(JSON.stringify({ type: 'chat', agent: 'default', ...body })));
+      ws.on('message', raw => {
+        const message = JSON.parse(raw.toString());
+        if (message.type === 'chat_complete' || message.type === 'chat_error') {
+          ws.close();
+          resolve(message);
+        }
+      });
+      ws.on('error', reject);
+    });
+    const socketProvider = new ScriptedProvider({ responses: [agentReply({ response: 'Streamed.' })] });
+    const streamedChat = await withProvider(socketProvider, () => quietly(() => chatOverSocket({ 'x-api-key': 'sk-socket-1234567890' }, { message: 'Hi', sessionId: 'routes-ws' })));
+    check(streamedChat.type === 'chat_complete' && usageTracker.getSessionKey('routes-ws') === 'sk-socket-1234567890', 'socket session bound to the handshake key');
+    budgetManager.setLimit('apiKey', { tokens: 1 });
+    const overKeyBudget = await quietly(() => chatOverSocket({ 'x-api-key': 'sk-socket-1234567890' }, { message: 'Again', sessionId: 'routes-ws-2' }));
+    budgetManager.setLimit('apiKey', {});
+    check(overKeyBudget.code === 'BUDGET_EXCEEDED' && overKeyBudget.budget.scope === 'apiKey', 'key budget enforced over WebSocket');
+  } finally {
+    console.error = originalError;
+    server.close();
+  }
+
+  finish('API route');
+}
+
+testApiRoutes().catch(err => {
+  console.error('Test failed:', err);
+  process.exit(1);
+});
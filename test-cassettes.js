@@ -0,0 +1,55 @@
+import { queryOpenAI } from './lib/openaiWrapper.js';
+import { ScriptedProvider } from './lib/providers/index.js';
+import { Cassette, CassetteMissError } from './lib/llmCassette.js';
+import { summarizeAgentResponseSchema } from './schemas/summarizeAgent.js';
+import { check, header, finish } from './test-helpers.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Offline cassette tests - record a scripted call, then replay it in strict mode
+ */
+async function testCassettes() {
+  header('LLM cassettes');
+
+  // Test 1: Cassette record and replay
+  console.log('\nTest 1: Cassette records responses and replays them without the provider');
+  const cassettePath = path.join(os.tmpdir(), `lumen-cassette-${process.pid}.json`);
+  const recorder = new ScriptedProvider({ responses: [{ summary: 'recorded', missingContext: [], reasoning: '' }] });
+  await queryOpenAI('Summarize at 2026-01-01T00:00:00.000Z', {
+    provider: recorder,
+    schema: summarizeAgentResponseSchema,
+    schemaName: 'summarize',
+    cassette: new Cassette(cassettePath, 'record')
+  });
+  const offline = new ScriptedProvider({ synthesize: false });
+  const replayed = await queryOpenAI('Summarize at 2026-02-02T12:30:00.000Z', {
+    provider: offline,
+    schemaName: 'summarize',
+    cassette: new Cassette(cassettePath, 'strict')
+  });
+  check(replayed.summary === 'recorded', 'recorded response replayed (timestamps normalized)');
+  check(offline.calls.length === 0, 'provider not called on replay');
+
+  // Test 2: Strict mode never falls through to the provider
+  console.log('\nTest 2: Strict mode rejects unrecorded calls');
+  try {
+    await queryOpenAI('Something never recorded', {
+      provider: offline,
+      schemaName: 'summarize',
+      cassette: new Cassette(cassettePath, 'strict')
+    });
+    check(false, 'strict mode rejects unrecorded calls');
+  } catch (error) {
+    check(error instanceof CassetteMissError, 'strict mode rejects unrecorded calls');
+  }
+  fs.rmSync(cassettePath, { force: true });
+
+  finish('cassette');
+}
+
+testCassettes().catch(err => {
+  console.error('Test failed:', err);
+  process.exit(1);
+});
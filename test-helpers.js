@@ -0,0 +1,134 @@
+import { registerProvider } from './lib/providers/index.js';
+
+/**
+ * Shared helpers for the offline test scripts (test-*.js run by `npm run test:offline`).
+ * Each script imports what it needs, calls check() per assertion and finish() at the end.
+ */
+let failures = 0;
+let registered = 0;
+
+export function check(condition, label) {
+  if (condition) {
+    console.log(`  ✓ ${label}`);
+  } else {
+    console.error(`  ✗ ${label}`);
+    failures++;
+  }
+}
+
+/**
+ * Print the suite banner
+ * @param {string} title - What the script covers
+ */
+export function header(title) {
+  console.log(`🧪 Testing ${title} (offline)`);
+  console.log('='.repeat(70));
+}
+
+/**
+ * Print the result line and exit non-zero when any check failed
+ * @param {string} title - What the script covers
+ */
+export function finish(title) {
+  console.log('\n' + '='.repeat(70));
+  if (failures > 0) {
+    console.error(`❌ ${failures} check(s) failed`);
+    process.exit(1);
+  }
+  console.log(`✅ All ${title} tests passed!`);
+}
+
+/**
+ * Run fn with console.log silenced - agents, compaction and the audit log are chatty
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} fn's result
+ */
+export async function quietly(fn) {
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+/**
+ * Run fn and collect what it writes to console.log
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<string[]>} Logged lines
+ */
+export async function captureLog(fn) {
+  const lines = [];
+  const originalLog = console.log;
+  console.log = (...args) => { lines.push(args.join(' ')); };
+  try {
+    await fn();
+  } finally {
+    console.log = originalLog;
+  }
+  return lines;
+}
+
+/**
+ * Route every call that uses the default provider through `provider` while fn runs
+ * @param {object|string} provider - Provider instance, or the name of a registered one
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} fn's result
+ */
+export async function withProvider(provider, fn) {
+  let name = provider;
+  if (typeof provider !== 'string') {
+    name = `test-provider-${++registered}`;
+    registerProvider(name, provider);
+  }
+  const previous = process.env.LUMEN_LLM_PROVIDER;
+  process.env.LUMEN_LLM_PROVIDER = name;
+  try {
+    return await fn();
+  } finally {
+    if (previous === undefined) {
+      delete process.env.LUMEN_LLM_PROVIDER;
+    } else {
+      process.env.LUMEN_LLM_PROVIDER = previous;
+    }
+  }
+}
+
+/**
+ * A complete baseAgent response for scripting agent replies
+ * @param {object} overrides - Fields to replace
+ * @returns {object} Response matching the baseAgent schema
+ */
+export function agentReply(overrides = {}) {
+  return {
+    choice: 'response',
+    response: 'Line one\nand "two"',
+    questionsForUser: false,
+    questions: [],
+    missingContext: [],
+    code: '',
+    language: '',
+    codeExplanation: '',
+    terminalCommand: '',
+    commandReasoning: '',
+    requiresApproval: false,
+    continue: false,
+    proposedFacts: [],
+    ...overrides
+  };
+}
+
+/**
+ * Return whether calling fn throws (or its promise rejects)
+ * @param {Function} fn - Function to call
+ * @returns {Promise<boolean>}
+ */
+export async function rejects(fn) {
+  try {
+    await fn();
+    return false;
+  } catch {
+    return true;
+  }
+}
@@ -33,8 +33,9 @@ async function testMemoryAndRouting() {
     console.log(`\n📝 Input: "${testCase}"`);
     
     try {
-      const result = await schemaRouter(testCase, memory);
+      const { routing, response: result } = await schemaRouter(testCase, memory);
       
+      console.log(`   Agent: ${routing.agent ?? 'clarify'} (${routing.path}${routing.confidence ? `, ${routing.confidence} confidence` : ''})`);
       console.log(`   Choice: ${result.choice || 'N/A'}`);
       console.log(`   Schema: Matched successfully`);
       
@@ -64,6 +65,7 @@ async function testMemoryAndRouting() {
   console.log('Adding 7 interactions (window size is 5)...');
   for (let i = 1; i <= 7; i++) {
     await testMemory.addInteraction('user', `Test message ${i}`);
+    await testMemory.flushCompaction(); // Compaction runs in the background
     const status = testMemory.getMemoryStatus();
     console.log(`  Interaction ${i}: Window size = ${status.currentWindowSize}, Summaries = ${status.summariesCount}`);
   }
@@ -0,0 +1,133 @@
+import { ScriptedProvider } from './lib/providers/index.js';
+import { MemoryManager } from './lib/MemoryManager.js';
+import { estimateTokens, truncateToTokens } from './lib/tokenCounter.js';
+import { check, header, finish, withProvider } from './test-helpers.js';
+
+/**
+ * Offline memory window tests - token budgets, the long-term digest and batch compaction
+ */
+async function testMemoryWindow() {
+  header('rolling memory window');
+
+  // Test 1: Token budget mode sizes the window by estimated tokens
+  console.log('\nTest 1: Token-aware rolling window');
+  const longOutput = `BEGIN ${'x'.repeat(20000)} END`;
+  const clipped = truncateToTokens(longOutput, 100);
+  check(clipped.truncated && clipped.text.startsWith('BEGIN') && clipped.text.endsWith('END'), 'truncation keeps head and tail');
+  check(estimateTokens(clipped.text) <= 100 + estimateTokens('\n…[0000 tokens truncated]…\n'), 'truncated text fits the cap');
+  const budgeted = new MemoryManager({ tokenBudget: 400, roleTokenCaps: { system: 100 } });
+  const counted = new MemoryManager({ windowSize: 21 });
+  await withProvider('scripted', async () => {
+    await budgeted.addInteraction('user', 'Run the build');
+    await budgeted.addInteraction('system', longOutput);
+    const stored = budgeted.interactions[1];
+    check(stored.tokens <= 120 && stored.originalTokens === estimateTokens(longOutput), 'oversized entries truncated to the role cap');
+    check(budgeted.summaries.length === 0, 'no compaction while under budget');
+    await budgeted.addInteraction('ai', 'y'.repeat(800));
+    await budgeted.addInteraction('user', 'z'.repeat(800));
+    await budgeted.flushCompaction();
+    await counted.addInteraction('system', longOutput);
+    await counted.flushCompaction();
+  });
+  const budgetStatus = budgeted.getMemoryStatus();
+  check(budgeted.summaries.length === 1, 'compaction fires when the token budget is exceeded');
+  check(budgetStatus.windowMode === 'tokens' && budgetStatus.windowTokens <= 400, 'window slides back under budget');
+  check(budgeted.interactions.at(-1).id === 4, 'newest interaction kept');
+  check(counted.interactions[0].text === longOutput && counted.getMemoryStatus().windowMode === 'count', 'count mode stores entries untouched');
+  check(counted.getMemoryStatus().windowTokens === estimateTokens(longOutput), 'count mode still reports token usage');
+
+  // Test 2: Evicted summaries are folded into a long-term digest
+  console.log('\nTest 2: Hierarchical summary compaction');
+  let summaryCalls = 0;
+  const digestProvider = new ScriptedProvider({
+    handler: request => {
+      const merging = request.messages.some(m => m.content.includes('Merge these'));
+      return { summary: `${merging ? 'merged' : 'segment'} ${++summaryCalls}`, missingContext: [], reasoning: 'r' };
+    }
+  });
+  const longSession = new MemoryManager({ windowSize: 1, maxSummaries: 2 });
+  await withProvider(digestProvider, async () => {
+    for (let i = 1; i <= 12; i++) {
+      await longSession.addInteraction('user', i === 1 ? 'Goal: ship the billing service' : `step ${i}`);
+    }
+    await longSession.flushCompaction();
+  });
+  const digest = longSession.getLongTermDigest();
+  check(longSession.summaries.length === 2 && longSession.getMemoryStatus().digestLevels.join() === '2,1', 'evicted summaries fill level 1, then level 2');
+  check(digest[0].level === 2 && digest[0].range.startId === 1, 'top-level digest still covers the first interaction');
+  check(digest.every((d, i) => i === 0 || d.range.startId > digest[i - 1].range.endId) && digest[0].sources.length === digest[0].merged, 'ranges and merged sources preserved');
+  check(longSession.getHydratedContext().longTermDigest.length === 3, 'hydrated context includes the digest');
+  check(longSession.toMessages()[0].content.startsWith('Long-term digest') && digestProvider.calls.some(c => c.messages.some(m => m.content.includes('Merge these'))), 'digest sent ahead of the summaries');
+  const reimported = new MemoryManager();
+  reimported.import(JSON.parse(JSON.stringify(longSession.export())));
+  check(reimported.getLongTermDigest().length === 3, 'digest survives export/import');
+  const flat = new MemoryManager({ windowSize: 1, maxSummaries: 1, maxSummaryLevels: 1 });
+  await withProvider('scripted', async () => {
+    for (let i = 1; i <= 4; i++) await flat.addInteraction('user', `step ${i}`);
+    await flat.flushCompaction();
+  });
+  check(flat.summaries.length === 1 && flat.getLongTermDigest().length === 0, 'maxSummaryLevels 1 drops evicted summaries');
+
+  // Test 3: Compaction summarizes non-overlapping batches in the background
+  console.log('\nTest 3: Batch compaction cadence');
+  let releaseSummary;
+  const batchProvider = new ScriptedProvider({
+    handler: () => new Promise(resolve => {
+      releaseSummary = () => resolve({ summary: 'chunk', missingContext: [], reasoning: 'r' });
+    })
+  });
+  const batched = new MemoryManager({ windowSize: 6 });
+  await withProvider(batchProvider, async () => {
+    for (let i = 1; i <= 7; i++) await batched.addInteraction('user', `message ${i}`);
+    await new Promise(resolve => setImmediate(resolve));
+    check(batched.summaries.length === 0 && batched.interactions.length === 7 && batchProvider.calls.length === 1, 'addInteraction returns before the summary lands');
+    releaseSummary();
+    await batched.flushCompaction();
+    check(batched.interactions.length === 5 && batched.summaries[0].range.startId === 1 && batched.summaries[0].range.endId === 2, 'oldest batch summarized and removed together');
+    batchProvider.handler = () => ({ summary: 'chunk', missingContext: [], reasoning: 'r' });
+    for (let i = 8; i <= 14; i++) await batched.addInteraction('user', `message ${i}`);
+    await batched.flushCompaction();
+  });
+  const ranges = batched.summaries.map(s => s.range);
+  check(batchProvider.calls.length === 4, 'one summary call per batch, not per message');
+  check(ranges.every((r, i) => i === 0 || r.startId === ranges[i - 1].endId + 1), 'summary ranges never overlap');
+  const eager = new MemoryManager({ windowSize: 10, compactionThreshold: 4, compactionBatchSize: 3 });
+  await withProvider('scripted', async () => {
+    for (let i = 1; i <= 5; i++) await eager.addInteraction('user', `message ${i}`);
+    await eager.flushCompaction();
+  });
+  check(eager.summaries.length === 1 && eager.summaries[0].range.endId === 3 && eager.interactions.length === 2, 'threshold and batch size configurable');
+
+  // Test 4: A failed summary keeps its chunk in the window
+  console.log('\nTest 4: Compaction retries after a failed summary');
+  let summaryOutage = true;
+  const flakyProvider = new ScriptedProvider({
+    handler: () => {
+      if (summaryOutage) throw Object.assign(new Error('Service unavailable'), { status: 503 });
+      return { summary: 'recovered', missingContext: [], reasoning: 'r' };
+    }
+  });
+  const flaky = new MemoryManager({ windowSize: 6 });
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    await withProvider(flakyProvider, async () => {
+      for (let i = 1; i <= 7; i++) await flaky.addInteraction('user', `message ${i}`);
+      await flaky.flushCompaction();
+      check(flaky.summaries.length === 0 && flaky.interactions[0].id === 1 && flaky.interactions.length === 7, 'chunk kept in the window when its summary fails');
+      summaryOutage = false;
+      await flaky.addInteraction('user', 'message 8');
+      await flaky.flushCompaction();
+    });
+  } finally {
+    console.error = originalError;
+  }
+  check(flaky.summaries[0]?.text === 'recovered' && flaky.summaries[0].range.startId === 1 && flaky.interactions[0].id > flaky.summaries.at(-1).range.endId, 'chunk summarized on the next compaction');
+
+  finish('memory window');
+}
+
+testMemoryWindow().catch(err => {
+  console.error('Test failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,120 @@
+import { ScriptedProvider } from './lib/providers/index.js';
+import { synthesizeFromSchema } from './lib/providers/scriptedProvider.js';
+import { MemoryManager } from './lib/MemoryManager.js';
+import { loadAgentRegistry } from './lib/agentRegistry.js';
+import { BudgetExceededError } from './lib/budgetManager.js';
+import { createPlan, approvePlan, rejectPlan, executePlan, validatePlan, PlanValidationError } from './lib/workflows/planner.js';
+import { check, header, finish, withProvider, quietly } from './test-helpers.js';
+
+const planSteps = [
+  { id: 'app', agent: 'scaffold', input: 'Create an Express app', dependsOn: [] },
+  { id: 'tests', agent: 'test', input: 'Write tests for the app', dependsOn: ['app'] },
+  { id: 'docs', agent: 'docs', input: 'Document the app', dependsOn: ['app'] },
+  { id: 'publish', agent: 'fileOp', input: 'Write the docs to README.md', dependsOn: ['docs'] }
+];
+
+/**
+ * Offline planner tests - plans are validated, approved and run as a dependency pipeline
+ */
+async function testPlanner() {
+  header('multi-agent planner');
+  const builtinAgents = await loadAgentRegistry();
+
+  const agentBySchema = new Map(builtinAgents.list().map(agent => [agent.schema, agent.name]));
+  const planLog = { prompts: {}, active: 0, maxActive: 0, failDocs: false };
+  const planProvider = new ScriptedProvider({
+    handler: async request => {
+      const { schema } = request.responseFormat;
+      if (schema.properties.steps) {
+        return { goal: 'A tested, documented Express app', steps: planSteps, reasoning: 'three agents' };
+      }
+      const agentName = agentBySchema.get(schema);
+      planLog.prompts[agentName] = request.messages.at(-1).content;
+      planLog.active++;
+      planLog.maxActive = Math.max(planLog.maxActive, planLog.active);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      planLog.active--;
+      if (agentName === 'docs' && planLog.failDocs) throw new Error('docs agent unavailable');
+      return { ...synthesizeFromSchema(schema), ...(agentName === 'scaffold' ? { projectName: 'express-app' } : {}) };
+    }
+  });
+  const planMemory = new MemoryManager({ sessionId: 'planning' });
+
+  // Test 1: Plans run only after approval, steps after their dependencies
+  console.log('\nTest 1: Planner decomposes a request into an approved agent pipeline');
+  const planEvents = [];
+  let pendingRunError;
+  const plan = await quietly(async () => {
+    const plan = await createPlan('Scaffold an express app, add tests and document it', { memory: planMemory, provider: planProvider });
+    await executePlan(plan, { memory: planMemory }).catch(error => { pendingRunError = error; });
+    await approvePlan(plan);
+    await withProvider(planProvider, () => executePlan(plan, { memory: planMemory, onEvent: event => planEvents.push(`${event.type}:${event.step?.id ?? ''}`) }));
+    return plan;
+  });
+  check(plan.steps.length === 4 && plan.steps[1].dependsOn[0] === 'app' && plan.id.startsWith('plan-'), 'plan parsed into typed steps with dependencies');
+  check(pendingRunError && /approve/.test(pendingRunError.message), 'plans only run once approved');
+  check(plan.status === 'completed' && plan.steps.every(step => step.status === 'completed' && step.routing.path === 'forced'), 'every step ran on its forced agent');
+  check(planEvents[0] === 'plan_start:' && planEvents.at(-1) === 'plan_complete:' && planEvents.indexOf('plan_step_complete:app') < planEvents.indexOf('plan_step_start:tests') && planEvents.indexOf('plan_step_complete:docs') < planEvents.indexOf('plan_step_start:publish'), 'steps start after their dependencies, progress streamed');
+  check(planEvents.indexOf('plan_step_start:docs') < planEvents.indexOf('plan_step_complete:tests'), 'independent steps run in parallel');
+  check(planLog.prompts.test.includes('express-app') && planLog.prompts.test.includes('[app · scaffold]'), 'dependency output passed forward');
+  check(planMemory.getInteractions({ limit: 100 }).interactions.filter(entry => entry.text.startsWith(`[Plan ${plan.id}`)).length === 4, 'step results recorded in memory');
+
+  // Test 2: Revised, sequential plans and failing steps
+  console.log('\nTest 2: Revisions, sequential runs and failures');
+  planLog.failDocs = true;
+  planLog.maxActive = 0;
+  const failingPlan = await quietly(async () => {
+    const failingPlan = await createPlan('Do it again', { memory: planMemory, provider: planProvider });
+    await approvePlan(failingPlan, { steps: planSteps.slice(0, 3).concat({ ...planSteps[3], input: 'Publish the docs' }) });
+    await withProvider(planProvider, () => executePlan(failingPlan, { memory: planMemory, parallel: false }));
+    return failingPlan;
+  });
+  check(failingPlan.revised && failingPlan.steps[3].input === 'Publish the docs' && planLog.maxActive === 1, 'revised steps run sequentially when asked');
+  check(failingPlan.status === 'failed' && failingPlan.steps[2].status === 'failed' && failingPlan.steps[3].status === 'skipped' && failingPlan.steps[1].status === 'completed', 'a failed step skips its dependents only');
+
+  // Test 3: Plan validation
+  console.log('\nTest 3: Invalid plans rejected');
+  const planError = steps => { try { validatePlan({ steps }, builtinAgents); return null; } catch (error) { return error; } };
+  check(planError([{ id: 'a', agent: 'test', input: 'x', dependsOn: ['b'] }, { id: 'b', agent: 'docs', input: 'y', dependsOn: ['a'] }])?.problems[0].includes('circular'), 'circular dependencies rejected');
+  check(planError([{ id: 'a', agent: 'nope', input: 'x', dependsOn: ['z'] }])?.problems.length === 2 && planError([]) instanceof PlanValidationError, 'unknown agents and dependencies rejected');
+  check(rejectPlan({ id: 'p', status: 'pending' }).status === 'rejected', 'pending plans can be rejected');
+
+  // Test 4: Concurrent approvals
+  console.log('\nTest 4: A plan is approved once');
+  const contested = { id: 'contested', status: 'pending', steps: planSteps.map(step => ({ ...step })) };
+  const approvals = await Promise.allSettled([approvePlan(contested), approvePlan(contested)]);
+  check(approvals.filter(result => result.status === 'fulfilled').length === 1 && /approving/.test(approvals[1].reason?.message), 'second concurrent approval refused');
+  const racing = { id: 'racing', status: 'pending', steps: planSteps.map(step => ({ ...step })) };
+  const racingApproval = approvePlan(racing);
+  const rejectError = (() => { try { rejectPlan(racing); return null; } catch (error) { return error; } })();
+  await racingApproval;
+  check(rejectError && racing.status === 'approved', 'rejection refused while an approval is in progress');
+  const invalidRevision = { id: 'invalid', status: 'pending', steps: planSteps.map(step => ({ ...step })) };
+  const revisionError = await approvePlan(invalidRevision, { steps: [{ id: 'a', agent: 'nope', input: 'x' }] }).catch(error => error);
+  check(revisionError instanceof PlanValidationError && invalidRevision.status === 'pending', 'failed validation releases the plan');
+
+  // Test 5: A budget stop lets the rest of the stage settle
+  console.log('\nTest 5: Budget errors stop the plan after the stage settles');
+  const stopProvider = new ScriptedProvider({
+    handler: async request => {
+      const agentName = agentBySchema.get(request.responseFormat.schema);
+      if (agentName === 'docs') throw new BudgetExceededError({ scope: 'session', id: 'planning', unit: 'tokens', limit: 1, spent: 2 });
+      await new Promise(resolve => setTimeout(resolve, 30));
+      return synthesizeFromSchema(request.responseFormat.schema);
+    }
+  });
+  const stopped = { id: 'stopped', status: 'pending', steps: planSteps.slice(1).map(step => ({ ...step, dependsOn: step.id === 'publish' ? ['docs'] : [], status: 'pending' })) };
+  await approvePlan(stopped);
+  const stopError = await withProvider(stopProvider, () => quietly(() => executePlan(stopped, { memory: planMemory }))).catch(error => error);
+  const stoppedStep = id => stopped.steps.find(step => step.id === id);
+  check(stopError instanceof BudgetExceededError && stopped.status === 'failed', 'plan fails with the budget error');
+  check(stoppedStep('tests').status === 'completed' && stoppedStep('docs').status === 'failed' && stoppedStep('publish').status === 'skipped', 'sibling steps finish before the plan stops, later steps skipped');
+  check(planMemory.getInteractions({ limit: 100 }).interactions.some(entry => entry.text.startsWith('[Plan stopped, step tests')), 'settled sibling results recorded');
+
+  finish('planner');
+}
+
+testPlanner().catch(err => {
+  console.error('Test failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,225 @@
+import { queryOpenAI, queryOpenAIJsonMode, streamOpenAI, SchemaValidationError, IncompleteStreamError, getResponseMetadata } from './lib/openaiWrapper.js';
+import { setModelConfig, resolveModelChain, shouldFallback } from './lib/modelConfig.js';
+import { extractPartialField } from './lib/partialJson.js';
+import { validateAgainstSchema } from './lib/schemaValidator.js';
+import { codeAnalyzerAgentSchema } from './schemas/codeAnalyzerAgent.js';
+import { summarizeAgentResponseSchema } from './schemas/summarizeAgent.js';
+import { ScriptedProvider } from './lib/providers/index.js';
+import { MemoryManager } from './lib/MemoryManager.js';
+import { schemaRouter } from './lib/schemaRouter.js';
+import { check, header, finish, withProvider, agentReply } from './test-helpers.js';
+
+/**
+ * Offline provider tests - runs the stack against the scripted provider,
+ * no API key or network required.
+ */
+async function testProviders() {
+  header('LLM provider layer');
+
+  // Test 1: Queued responses are served in order
+  console.log('\nTest 1: Scripted provider serves queued responses');
+  const scripted = new ScriptedProvider({
+    responses: [{ summary: 'first', missingContext: [], reasoning: 'r' }, '{"answer": 42}']
+  });
+  const first = await queryOpenAI('Summarize', { provider: scripted, schema: summarizeAgentResponseSchema });
+  const second = await queryOpenAIJsonMode('Answer in JSON', { provider: scripted });
+  check(first.summary === 'first', 'first queued response returned');
+  check(second.answer === 42, 'json mode returns raw JSON responses');
+  check(scripted.calls.length === 2, 'calls are recorded');
+  check(scripted.calls[1].responseFormat.type === 'json_object', 'json mode requests json_object output');
+  const unknownProvider = await queryOpenAI('Hello', { provider: 'nope' }).catch(error => error);
+  check(unknownProvider instanceof Error && /Unknown LLM provider: nope/.test(unknownProvider.message), 'unknown provider name rejected');
+  const exhausted = new ScriptedProvider({ synthesize: false });
+  const emptyQueue = await queryOpenAI('Hello', { provider: exhausted }).catch(error => error);
+  check(/no response queued/.test(emptyQueue?.message) && exhausted.calls.length === 1, 'provider errors without a status surface without retries');
+  const garbled = new ScriptedProvider({ responses: ['not json', '{"answer": '], synthesize: false });
+  const garbledError = await queryOpenAIJsonMode('Answer in JSON', { provider: garbled }).catch(error => error);
+  check(garbledError instanceof SchemaValidationError && garbled.calls.length === 2, 'invalid JSON repaired once, then rejected');
+
+  // Test 2: Schema stubs are synthesized when nothing is queued
+  console.log('\nTest 2: Scripted provider synthesizes schema-conforming stubs');
+  const stub = await queryOpenAI('Hello', { provider: new ScriptedProvider() });
+  check(stub.choice === 'response', 'enum fields use their first value');
+  check(Array.isArray(stub.questions) && stub.continue === false, 'arrays and booleans are empty/false');
+
+  // Test 3: Env selection routes the whole stack through the provider
+  console.log('\nTest 3: LUMEN_LLM_PROVIDER=scripted routes router and memory offline');
+  await withProvider('scripted', async () => {
+    const memory = new MemoryManager({ windowSize: 2, maxSummaries: 1 });
+    await memory.addInteraction('user', 'one');
+    await memory.addInteraction('ai', 'two');
+    await memory.addInteraction('user', 'three');
+    await memory.flushCompaction();
+    check(memory.getMemoryStatus().summariesCount === 1, 'summary created through scripted provider');
+    const routed = await schemaRouter('Tell me about the weather', memory);
+    check(routed.response && typeof routed.response === 'object', 'schema router completes offline');
+  });
+
+  // Test 4: Local schema validation with repair retry
+  console.log('\nTest 4: Responses are validated locally and repaired once');
+  const errors = validateAgainstSchema(
+    { agentName: 'a', version: '1', codeQuality: { score: '90', issues: [] }, improvements: [], potentialBugs: [], refactoringRecommendations: [] },
+    codeAnalyzerAgentSchema
+  );
+  const paths = errors.map(e => e.path);
+  check(paths.includes('codeQuality.score'), 'wrong type reported with field path');
+  check(paths.includes('codeQuality.issuesFound'), 'missing field reported with field path');
+  check(paths.includes('codeQuality.issues'), 'unknown field reported with field path');
+
+  const repairing = new ScriptedProvider({
+    responses: [{ summary: 'no reasoning' }, { summary: 'fixed', missingContext: [], reasoning: 'r' }]
+  });
+  const repaired = await queryOpenAI('Summarize', { provider: repairing, schema: summarizeAgentResponseSchema, schemaName: 'summarize' });
+  check(repaired.summary === 'fixed', 'repair retry returns the corrected response');
+  check(repairing.calls[1].messages.at(-1).content.includes('reasoning: is required'), 'validation errors fed back to the model');
+
+  try {
+    await queryOpenAI('Summarize', {
+      provider: new ScriptedProvider({ responses: ['not json', '{"summary": 1}'] }),
+      schema: summarizeAgentResponseSchema,
+      schemaName: 'summarize'
+    });
+    check(false, 'SchemaValidationError thrown after repairs are exhausted');
+  } catch (error) {
+    check(error instanceof SchemaValidationError && error.errors.some(e => e.path === 'summary'), 'SchemaValidationError thrown after repairs are exhausted');
+  }
+
+  // Test 5: Streaming emits deltas and a final validated object
+  console.log('\nTest 5: Streaming yields incremental JSON and a validated result');
+  const streamed = agentReply();
+  const events = [];
+  for await (const event of streamOpenAI('Stream please', { provider: new ScriptedProvider({ responses: [streamed], chunkSize: 5 }) })) {
+    events.push(event);
+  }
+  const deltas = events.filter(e => e.type === 'delta');
+  check(deltas.length > 1, 'multiple deltas emitted');
+  check(events.at(-1).type === 'final' && events.at(-1).result.response === streamed.response, 'final event carries the validated object');
+  const midway = deltas.find(e => e.text.includes('"response":"Line'));
+  check(midway && streamed.response.startsWith(extractPartialField(midway.text, 'response')), 'partial field readable mid-stream');
+  check(extractPartialField('{"response":"a\\n\\"b\\u00', 'response') === 'a\n"b', 'escapes decoded, cut-off escapes dropped');
+
+  let seen = 0;
+  const viaCallback = await queryOpenAI('Stream please', {
+    provider: new ScriptedProvider({ responses: [streamed] }),
+    onDelta: () => { seen++; }
+  });
+  check(seen > 0 && viaCallback.response === streamed.response, 'onDelta callback receives chunks and final result is returned');
+
+  const streamedJson = JSON.stringify(streamed);
+  let streamAttempts = 0;
+  const droppingStream = {
+    name: 'dropping',
+    async *stream(request) {
+      yield { delta: streamedJson.slice(0, 20) };
+      if (++streamAttempts === 1) throw Object.assign(new Error('Service unavailable'), { status: 503 });
+      yield { delta: streamedJson.slice(20) };
+      yield { done: true, model: request.model, usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 } };
+    }
+  };
+  const retried = [];
+  for await (const event of streamOpenAI('Stream please', { provider: droppingStream, maxRetries: 1 })) retried.push(event);
+  check(retried.map(e => e.type).join() === 'delta,reset,delta,delta,final' && retried[1].reason === 'retry', 'stream failing with a 503 retried after a reset event');
+  check(retried.at(-2).text === streamedJson && retried.at(-1).result.response === streamed.response, 'retried stream restarts the text');
+  streamAttempts = 0;
+  droppingStream.stream = async function* (request) {
+    yield { delta: streamedJson.slice(0, 20) };
+    if (++streamAttempts === 1) throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+    yield { delta: streamedJson.slice(20) };
+    yield { done: true, model: request.model, usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 } };
+  };
+  const reconnected = [];
+  for await (const event of streamOpenAI('Stream please', { provider: droppingStream, maxRetries: 1 })) reconnected.push(event);
+  check(reconnected.map(e => e.type).join() === 'delta,reset,delta,delta,final' && reconnected.at(-1).result.response === streamed.response, 'connection dropped mid-stream (no status) retried');
+  let truncatedCalls = 0;
+  const truncatedStream = {
+    name: 'truncated',
+    async *stream() {
+      truncatedCalls++;
+      yield { delta: streamedJson.slice(0, 20) };
+    }
+  };
+  const truncatedEvents = [];
+  const truncatedError = await (async () => {
+    for await (const event of streamOpenAI('Stream please', { provider: truncatedStream, maxRetries: 1 })) truncatedEvents.push(event);
+  })().catch(error => error);
+  check(truncatedError instanceof IncompleteStreamError && truncatedCalls === 2, 'stream ending without its final chunk retried, then fails');
+  check(truncatedEvents.map(e => e.type).join() === 'delta,reset,delta' && truncatedEvents.at(-1).text === streamedJson.slice(0, 20), 'text never duplicated across attempts');
+
+  // Test 6: Per-caller models and fallback chains
+  console.log('\nTest 6: Per-caller models and fallback chains');
+  setModelConfig({ models: { router: 'tiny', warRoom: 'strong', 'warRoom:validator': 'medium' }, fallbacks: ['backup'] });
+  check(resolveModelChain('router').join() === 'tiny,backup', 'caller model first, then fallbacks');
+  check(resolveModelChain('warRoom:analyzer')[0] === 'strong' && resolveModelChain('warRoom:validator')[0] === 'medium', 'caller group and exact caller entries');
+  check(resolveModelChain('summary', 'explicit')[0] === 'explicit', 'explicit model replaces the configured primary');
+
+  const okSummary = { summary: 'fits', missingContext: [], reasoning: '' };
+  const contextLimited = new ScriptedProvider({
+    handler: (request) => {
+      if (request.model === 'tiny') {
+        throw Object.assign(new Error("This model's maximum context length is 8192 tokens"), { status: 400 });
+      }
+      return okSummary;
+    }
+  });
+  const fellBack = await queryOpenAI('Long prompt', { provider: contextLimited, caller: 'router', schema: summarizeAgentResponseSchema });
+  const meta = getResponseMetadata(fellBack);
+  check(fellBack.summary === 'fits' && meta.model === 'backup' && meta.requestedModel === 'tiny', 'context-length error falls back and reports the model used');
+  check(meta.fallbacks[0]?.error === 'context length exceeded', 'fallback reason recorded in metadata');
+
+  const refusing = {
+    name: 'refusing',
+    calls: [],
+    async complete(request) {
+      this.calls.push(request.model);
+      return request.model === 'tiny'
+        ? { content: null, refusal: 'I cannot help with that', model: 'tiny', usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 } }
+        : { content: JSON.stringify(okSummary), model: request.model, usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 } };
+    }
+  };
+  const afterRefusal = await queryOpenAI('Sensitive', { provider: refusing, caller: 'router', schema: summarizeAgentResponseSchema });
+  check(getResponseMetadata(afterRefusal).model === 'backup' && refusing.calls.join() === 'tiny,backup', 'refusal falls back without a repair attempt');
+
+  const unauthorized = new ScriptedProvider({ handler: () => { throw Object.assign(new Error('Invalid API key'), { status: 401 }); } });
+  let authError = null;
+  try {
+    await queryOpenAI('Hi', { provider: unauthorized, caller: 'router', schema: summarizeAgentResponseSchema });
+  } catch (error) {
+    authError = error;
+  }
+  check(authError?.status === 401 && unauthorized.calls.length === 1, 'non-model errors are not retried on fallbacks');
+
+  const droppedPrimary = {
+    name: 'dropped-primary',
+    async *stream() {
+      yield { delta: '{"summary":"par' };
+      throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+    },
+    async complete(request) {
+      return { content: JSON.stringify(okSummary), model: request.model, usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 } };
+    }
+  };
+  const resets = [];
+  const streamedFallback = await queryOpenAI('Summarize', {
+    provider: droppedPrimary,
+    maxRetries: 0,
+    caller: 'router',
+    schema: summarizeAgentResponseSchema,
+    onDelta: event => { if (event.type === 'reset') resets.push(event); }
+  });
+  check(resets.length === 1 && resets[0].reason === 'fallback' && resets[0].text === '', 'fallback after streamed deltas emits a reset');
+  check(streamedFallback.summary === 'fits' && getResponseMetadata(streamedFallback).model === 'backup', 'onDelta callers still get the fallback result');
+  check(shouldFallback(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })) && shouldFallback(new TypeError('fetch failed', { cause: { code: 'ETIMEDOUT' } })), 'connection errors and timeouts fall back');
+  check(!shouldFallback(new TypeError("Cannot read properties of undefined (reading 'content')")) && !shouldFallback(Object.assign(new Error('aborted'), { name: 'AbortError' })), 'status-less programming errors and aborts are not retried');
+
+  const stubborn = new ScriptedProvider({ handler: (request) => request.model === 'tiny' ? { summary: 1 } : okSummary });
+  const repairedByFallback = await queryOpenAI('Summarize', { provider: stubborn, caller: 'router', schema: summarizeAgentResponseSchema });
+  check(getResponseMetadata(repairedByFallback).model === 'backup' && stubborn.calls.length === 3, 'schema failure after repair falls back');
+  setModelConfig();
+
+  finish('provider');
+}
+
+testProviders().catch(err => {
+  console.error('Test failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,55 @@
+import { ScriptedProvider } from './lib/providers/index.js';
+import { MemoryManager } from './lib/MemoryManager.js';
+import { schemaRouter } from './lib/schemaRouter.js';
+import { usageTracker } from './lib/usageTracker.js';
+import { check, header, finish, withProvider, agentReply } from './test-helpers.js';
+
+/**
+ * Offline recall tests - archived interactions are found again and cited in prompts
+ */
+async function testRecall() {
+  header('recall over the interaction archive');
+
+  // Test 1: Archived interactions are recalled with citations
+  console.log('\nTest 1: BM25 recall over the archive');
+  const recallMemory = new MemoryManager({ sessionId: 'recall', windowSize: 4 });
+  await withProvider('scripted', async () => {
+    await recallMemory.addInteraction('user', 'Start the dev server on port 4317 please');
+    await recallMemory.addInteraction('ai', 'Started: listening on http://localhost:4317');
+    for (const chatter of ['Add a login form', 'Done', 'Style it with Tailwind', 'Done', 'Now add tests']) {
+      await recallMemory.addInteraction(chatter === 'Done' ? 'ai' : 'user', chatter);
+    }
+    await recallMemory.flushCompaction();
+  });
+  check(recallMemory.archive.length === 7 && recallMemory.interactions[0].id > 2, 'archive keeps interactions that left the window');
+  const recalledPort = await recallMemory.recall('what was that port we used last week?');
+  check(recalledPort[0]?.id === 1 && recalledPort[0].text.includes('4317'), 'BM25 recalls the matching interaction');
+  check((await recallMemory.recall('Now add tests')).every(r => r.id < recallMemory.interactions[0].id), 'interactions still in the window are not recalled');
+  check(recallMemory.search('4317').some(m => m.type === 'interaction' && m.id === 1), 'memory search covers the archive');
+
+  // Test 2: Recalled interactions reach the agent prompt
+  console.log('\nTest 2: Recalled interactions injected with citations');
+  const recallProvider = new ScriptedProvider({
+    responses: [{ recommendedAgent: 'default', reasoning: 'question', confidence: 'high' }, agentReply()]
+  });
+  await withProvider(recallProvider, () => schemaRouter('Which port is the dev server on?', recallMemory));
+  const recallNote = recallProvider.calls.at(-1).messages.map(m => m.content).join('\n');
+  check(recallNote.includes('[#1 user') && recallNote.includes('port 4317'), 'recalled interactions injected with citations');
+  check(recallMemory.getHydratedContext({ recalled: recalledPort }).recalledInteractions[0].id === 1, 'hydrated context carries recalled interactions');
+
+  // Test 3: Embedding similarity
+  console.log('\nTest 3: Embeddings blended in when the provider supports them');
+  recallMemory.config.recallEmbeddings = true;
+  const embedded = await recallMemory.recall('dev server port', { provider: new ScriptedProvider() });
+  check(embedded[0]?.id === 1 && recallMemory._vectors.size === 4, 'embedding similarity blended in for archived entries');
+  check(usageTracker.getSessionUsage('recall').byCaller.recall?.calls === 2, 'embedding calls accounted under recall');
+  const lexicalOnly = await recallMemory.recall('dev server port', { provider: { name: 'no-embed', complete: async () => ({}) } });
+  check(lexicalOnly[0]?.id === 1, 'falls back to BM25 when the provider has no embeddings');
+
+  finish('recall');
+}
+
+testRecall().catch(err => {
+  console.error('Test failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,65 @@
+import { MemoryManager } from './lib/MemoryManager.js';
+import { schemaRouter } from './lib/schemaRouter.js';
+import { runWarRoom } from './lib/workflows/warRoom.js';
+import { resolveCassette } from './lib/llmCassette.js';
+import { check, header, finish, quietly } from './test-helpers.js';
+
+// Replays cassettes/test-replay.json unless told otherwise; re-record it
+// against the API with: node scripts/run-tests.js --cassette=record test-replay.js
+process.env.LUMEN_CASSETTE_MODE ||= 'strict';
+
+/**
+ * Replay tests - the main flows (routing, compaction, war room) against
+ * recorded model responses, with the default provider and no API key
+ */
+async function testReplay() {
+  header('recorded flows');
+  const cassette = resolveCassette();
+
+  // Test 1: Keyword and classifier routing reach an agent
+  console.log('\nTest 1: Routing to agents');
+  const memory = new MemoryManager({ sessionId: 'replay' });
+  await memory.addInteraction('user', 'I want to build a web app');
+  await memory.addInteraction('ai', 'What framework would you like to use?');
+  const keyword = await quietly(() => schemaRouter('Generate unit tests for my calculator function', memory));
+  check(keyword.routing.path === 'keyword' && keyword.response.tests.length > 0, 'keyword route answered by its agent');
+  const classified = await quietly(() => schemaRouter('Why do my deploys keep failing on Fridays?', memory));
+  check(classified.routing.path === 'classifier' && classified.routing.agent && classified.response.response, 'classifier picked an agent that answered');
+
+  // Test 2: Compaction summarizes the oldest interactions
+  console.log('\nTest 2: Compaction');
+  const compacted = new MemoryManager({ sessionId: 'replay-compaction', windowSize: 5, maxSummaries: 2 });
+  await quietly(async () => {
+    for (let i = 1; i <= 7; i++) {
+      await compacted.addInteraction(i % 2 ? 'user' : 'ai', `Step ${i} of the React and Node.js setup`);
+      await compacted.flushCompaction();
+    }
+  });
+  const [summary] = compacted.getHydratedContext().contextSummaries;
+  check(summary?.text.length > 0 && summary.range.startId === 1, 'oldest interactions summarized');
+
+  // Test 3: The war room reviews a risky change
+  console.log('\nTest 3: War room');
+  const review = await quietly(() => runWarRoom(
+    'Add user search functionality to database query',
+    `function searchUsers(query) {
+  const sql = "SELECT * FROM users WHERE name = '" + query + "'";
+  return db.execute(sql);
+}`,
+    'Public-facing API endpoint with user input',
+    { sessionId: 'replay-war-room', cache: false }
+  ));
+  check(['APPROVED', 'REJECTED'].includes(review.verdict) && review.analysis.issues.length > 0, 'war room returned a verdict with issues');
+  check(review.testing.testCount > 0 && review.summary.length > 0, 'war room returned tests and a summary');
+
+  // Test 4: Nothing went to the provider
+  console.log('\nTest 4: Cassette coverage');
+  check(cassette.mode !== 'strict' || (cassette.stats.misses === 0 && cassette.stats.hits > 0), 'every call served from the cassette');
+
+  finish('replay');
+}
+
+testReplay().catch(err => {
+  console.error('Test failed:', err);
+  process.exit(1);
+});
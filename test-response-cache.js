@@ -0,0 +1,60 @@
+import { queryOpenAI, getResponseMetadata } from './lib/openaiWrapper.js';
+import { ResponseCache, FileCacheStore } from './lib/responseCache.js';
+import { runWarRoom } from './lib/workflows/warRoom.js';
+import { ScriptedProvider } from './lib/providers/index.js';
+import { summarizeAgentResponseSchema } from './schemas/summarizeAgent.js';
+import { check, header, finish, withProvider } from './test-helpers.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Offline response cache tests - repeated calls, TTLs, the file backend and war room reuse
+ */
+async function testResponseCache() {
+  header('response cache');
+
+  // Test 1: Response cache serves repeated calls
+  console.log('\nTest 1: Response cache serves repeated calls');
+  const cacheFile = path.join(os.tmpdir(), `lumen-cache-${process.pid}.json`);
+  const responseCache = new ResponseCache({ store: new FileCacheStore(cacheFile), ttlSeconds: 60 });
+  const cacheEvents = [];
+  responseCache.onEvent(event => cacheEvents.push(event.event));
+  const cachedProvider = new ScriptedProvider({ handler: () => ({ summary: `call ${cachedProvider.calls.length}`, missingContext: [], reasoning: '' }) });
+  const cacheOptions = { provider: cachedProvider, schema: summarizeAgentResponseSchema, cache: responseCache, caller: 'router' };
+  const firstCached = await queryOpenAI('Classify   this', cacheOptions);
+  const secondCached = await queryOpenAI('Classify this', cacheOptions);
+  check(secondCached.summary === firstCached.summary && cachedProvider.calls.length === 1, 'identical request served from cache (whitespace normalized)');
+  check(getResponseMetadata(secondCached).source === 'cache' && cacheEvents.join() === 'miss,hit', 'hit reported in metadata and events');
+  await queryOpenAI('Classify this', { ...cacheOptions, temperature: 0.1 });
+  check(cachedProvider.calls.length === 2, 'different temperature is a different entry');
+  await queryOpenAI('Classify this', { ...cacheOptions, cache: false });
+  check(cachedProvider.calls.length === 3, 'cache: false bypasses the cache');
+  const reloaded = new ResponseCache({ store: new FileCacheStore(cacheFile) });
+  const unused = new ScriptedProvider();
+  await queryOpenAI('Classify this', { ...cacheOptions, provider: unused, cache: reloaded });
+  check(unused.calls.length === 0, 'file backend persists entries across instances');
+  await queryOpenAI('Short lived', { ...cacheOptions, cacheTtl: 0.01 });
+  await new Promise(resolve => setTimeout(resolve, 30));
+  await queryOpenAI('Short lived', cacheOptions);
+  check(cachedProvider.calls.length === 5, 'expired entries are refetched');
+  fs.rmSync(cacheFile, { force: true });
+
+  // Test 2: War room reviews are cached as a whole
+  console.log('\nTest 2: Repeated war room submissions');
+  const reviewProvider = new ScriptedProvider();
+  const reviewCache = new ResponseCache();
+  const [firstReview, repeatReview] = await withProvider(reviewProvider, async () => [
+    await runWarRoom('Add helper', 'const add = (a, b) => a + b;', '', { cache: reviewCache }),
+    await runWarRoom('Add helper', 'const add = (a, b) => a + b;', '', { cache: reviewCache })
+  ]);
+  check(!firstReview.cached && repeatReview.cached && reviewProvider.calls.length === 2, 'repeated war room submission served from cache');
+  check(repeatReview.verdict === firstReview.verdict, 'cached review returns the same verdict');
+
+  finish('response cache');
+}
+
+testResponseCache().catch(err => {
+  console.error('Test failed:', err);
+  process.exit(1);
+});
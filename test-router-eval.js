@@ -0,0 +1,38 @@
+import { loadAgentRegistry } from './lib/agentRegistry.js';
+import { evaluateRouter, createScriptedClassifier, loadRouterDataset } from './lib/routerEval.js';
+import { check, header, finish, quietly } from './test-helpers.js';
+
+/**
+ * Offline router evaluation tests - confusion matrix and metrics from scripted classifications
+ */
+async function testRouterEval() {
+  header('router evaluation harness');
+  const builtinAgents = await loadAgentRegistry();
+
+  // Test 1: Router evaluation against a labeled dataset
+  console.log('\nTest 1: Metrics from a labeled dataset');
+  const evalCases = [
+    { prompt: 'Scaffold a new Express API', expected: 'scaffold' },
+    { prompt: 'Update the document file docs/setup.md', expected: 'fileOp' },
+    { prompt: 'Document the redactor module', expected: 'docs' },
+    { prompt: 'How much disk space is left?', expected: 'default' },
+    { prompt: 'Is the login flow tested?', expected: 'test', classifier: 'default' }
+  ];
+  const evalProvider = createScriptedClassifier(evalCases);
+  const evalReport = await quietly(() => evaluateRouter(evalCases, { agents: builtinAgents, provider: evalProvider }));
+  check(evalReport.total === 5 && evalReport.correct === 3 && evalReport.confusion.fileOp.docs === 1 && evalReport.confusion.test.default === 1, 'confusion matrix built from the predictions');
+  check(evalReport.perAgent.docs.precision === 0.5 && evalReport.perAgent.docs.recall === 1 && evalReport.perAgent.fileOp.recall === 0, 'per-agent precision and recall');
+  check(evalReport.keyword.matched === 3 && evalReport.keyword.overrodeClassifier === 1 && evalReport.keyword.overridesWrong === 1, 'keyword overrides of a disagreeing classifier counted');
+  check(evalProvider.calls.length === 5 && evalProvider.calls.every(call => call.responseFormat.schema.properties.recommendedAgent), 'every case classified, no agent executed');
+
+  // Test 2: The bundled dataset
+  console.log('\nTest 2: Bundled dataset');
+  check(loadRouterDataset('evals/router-intents.jsonl').every(item => builtinAgents.has(item.expected)), 'bundled dataset labels are registered agents');
+
+  finish('router evaluation');
+}
+
+testRouterEval().catch(err => {
+  console.error('Test failed:', err);
+  process.exit(1);
+});
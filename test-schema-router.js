@@ -0,0 +1,73 @@
+import { ScriptedProvider } from './lib/providers/index.js';
+import { MemoryManager } from './lib/MemoryManager.js';
+import { schemaRouter } from './lib/schemaRouter.js';
+import { loadAgentRegistry, UnknownAgentError } from './lib/agentRegistry.js';
+import { check, header, finish, withProvider, quietly } from './test-helpers.js';
+
+/**
+ * Offline schema router tests - chat format, routing envelope, low confidence and forced agents
+ */
+async function testSchemaRouter() {
+  header('schema router');
+  const builtinAgents = await loadAgentRegistry();
+
+  // Test 1: Agent calls are sent as a conversation with the dispatcher persona
+  console.log('\nTest 1: Multi-message chat format');
+  const chatMemory = new MemoryManager({ sessionId: 'chat' });
+  await chatMemory.addInteraction('user', 'My project uses Fastify');
+  await chatMemory.addInteraction('ai', 'Noted, Fastify it is.');
+  await chatMemory.addInteraction('user', 'Please review code for the login route');
+  const chatProvider = new ScriptedProvider();
+  await withProvider(chatProvider, () => schemaRouter('Please review code for the login route', chatMemory));
+  const sent = chatProvider.calls[0].messages;
+  check(sent[0].role === 'system' && sent[0].content.includes('Lumen Dispatcher') && sent[0].content.includes('Code Analyzer'), 'system prompt carries persona and agent instructions');
+  check(sent[1].role === 'user' && sent[2].role === 'assistant' && sent[2].content === 'Noted, Fastify it is.', 'prior turns sent as user/assistant messages');
+  check(sent.filter(m => m.content === 'Please review code for the login route').length === 1 && sent.at(-1).role === 'user', 'current input sent once, as the final user message');
+  check(!sent.some(m => m.content.includes('recentHistory')), 'no stringified context blob');
+
+  chatMemory.summaries.push({ range: { startId: 1, endId: 21 }, text: 'Set up the repo', ts: new Date().toISOString() });
+  check(chatMemory.toMessages()[0].content.includes('Set up the repo'), 'summaries included as a system note');
+
+  // Test 2: Routing envelope and low-confidence policy
+  console.log('\nTest 2: Routing decisions returned and low confidence handled');
+  const unsure = { recommendedAgent: 'docs', reasoning: 'might be about documentation', confidence: 'low' };
+  const routingProvider = new ScriptedProvider();
+  const routingMemory = new MemoryManager({ sessionId: 'routing' });
+  const { keywordRouted, clarified, rerouted, proceeded } = await withProvider(routingProvider, () => quietly(async () => {
+    const keywordRouted = await schemaRouter('Scaffold a new Express API', routingMemory);
+    routingProvider.responses.push(unsure);
+    const clarified = await schemaRouter('Sort out the thing from yesterday', routingMemory);
+    routingProvider.responses.push(unsure);
+    const rerouted = await schemaRouter('Sort out the other thing', routingMemory, { lowConfidence: 'default' });
+    routingProvider.responses.push({ ...unsure, confidence: 'medium' });
+    const proceeded = await schemaRouter('Sort out the last thing', routingMemory);
+    return { keywordRouted, clarified, rerouted, proceeded };
+  }));
+  check(keywordRouted.routing.agent === 'scaffold' && keywordRouted.routing.path === 'keyword' && keywordRouted.routing.reasoning.includes('scaffold'), 'keyword route reported with the matched keyword');
+  check(clarified.routing.agent === null && clarified.routing.action === 'clarify' && clarified.routing.recommendedAgent === 'docs' && clarified.routing.confidence === 'low', 'low confidence asks instead of running an agent');
+  check(clarified.response.questionsForUser && clarified.response.missingContext.length === 1 && clarified.response.response.includes('documentation'), 'clarifying question names the suggested agent');
+  check(rerouted.routing.agent === 'default' && rerouted.routing.action === 'reroute' && rerouted.routing.recommendedAgent === 'docs', 'configured agent handles low-confidence requests');
+  check(proceeded.routing.agent === 'docs' && proceeded.routing.path === 'classifier' && proceeded.routing.confidence === 'medium' && proceeded.routing.reasoning === unsure.reasoning, 'classifier route carries confidence and reasoning');
+  check(routingProvider.calls.filter(call => call.responseFormat.schema.properties.recommendedAgent).length === 3, 'keyword route skipped the classifier');
+
+  // Test 3: Agent chosen by the client
+  console.log('\nTest 3: Forced agent selection bypasses classification');
+  const forcedProvider = new ScriptedProvider();
+  const forcedMemory = new MemoryManager({ sessionId: 'forced' });
+  let unknownAgentError;
+  const forcedResult = await withProvider(forcedProvider, () => quietly(async () => {
+    const result = await schemaRouter('Scaffold a new Express API', forcedMemory, { agent: 'test' });
+    await schemaRouter('Anything', forcedMemory, { agent: 'security' }).catch(error => { unknownAgentError = error; });
+    return result;
+  }));
+  check(forcedResult.routing.agent === 'test' && forcedResult.routing.path === 'forced' && forcedResult.routing.confidence === null, 'forced agent reported in the routing envelope');
+  check(forcedProvider.calls.length === 1 && forcedProvider.calls[0].responseFormat.schema === builtinAgents.get('test').schema, 'forced agent runs without keyword or classifier routing');
+  check(unknownAgentError instanceof UnknownAgentError && unknownAgentError.status === 400 && unknownAgentError.available.includes('test') && forcedProvider.calls.length === 1, 'unknown agents rejected before any model call');
+
+  finish('schema router');
+}
+
+testSchemaRouter().catch(err => {
+  console.error('Test failed:', err);
+  process.exit(1);
+});
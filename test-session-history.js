@@ -0,0 +1,84 @@
+import { MemoryManager } from './lib/MemoryManager.js';
+import { FileSessionStore } from './lib/stores/index.js';
+import { check, header, finish, withProvider, quietly, captureLog } from './test-helpers.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Offline session history tests - forking a session and rewinding its last turns
+ */
+async function testSessionHistory() {
+  header('session forking and rewind');
+
+  // Test 1: Forking a session at an interaction
+  console.log('\nTest 1: Session branching and forking');
+  const forkDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lumen-forks-'));
+  const forkStore = new FileSessionStore({ directory: forkDir });
+  const { trunk, branch } = await withProvider('scripted', async () => {
+    const trunk = await MemoryManager.load('trunk', forkStore, { windowSize: 4 });
+    for (let i = 1; i <= 4; i++) await trunk.addInteraction(i % 2 ? 'user' : 'ai', `trunk ${i}`);
+    await trunk.pinFact('Use Redis for queues');
+    for (let i = 5; i <= 9; i++) await trunk.addInteraction(i % 2 ? 'user' : 'ai', `trunk ${i}`);
+    await trunk.pinFact('Ship on Monday');
+    await trunk.flushCompaction();
+    const branch = await trunk.fork('trunk-alt', { atId: 5 });
+    await branch.addInteraction('user', 'Try the other approach');
+    await branch.flushCompaction();
+    return { trunk, branch };
+  });
+  check(branch.globalCounter === 6 && branch.interactions.at(-1).id === 6 && branch.archive.every(a => a.id <= 5 || a.text === 'Try the other approach'), 'fork shares history up to the fork point');
+  check(branch.summaries.every(s => s.range.endId <= 5) && branch.interactions.some(i => i.text === 'trunk 5'), 'summaries past the fork point left out, interactions restored');
+  check(branch.getPinnedFacts().map(f => f.text).join() === 'Use Redis for queues', 'facts pinned after the fork point not inherited');
+  check(branch.parent.sessionId === 'trunk' && branch.parent.interactionId === 5 && trunk.getLineage().branches[0].sessionId === 'trunk-alt', 'lineage kept on both sides');
+  const reloadedTrunk = await MemoryManager.load('trunk', new FileSessionStore({ directory: forkDir }));
+  const reloadedBranch = await MemoryManager.load('trunk-alt', new FileSessionStore({ directory: forkDir }));
+  check(reloadedTrunk.branches.length === 1 && reloadedBranch.parent?.sessionId === 'trunk', 'lineage persisted');
+  const comparison = MemoryManager.compare(reloadedTrunk, reloadedBranch);
+  check(comparison.forkPoint === 5 && comparison.left.interactions.length === 4 && comparison.right.interactions[0].text === 'Try the other approach', 'branches compared from the fork point');
+  let forkError = null;
+  try {
+    await trunk.fork('trunk-alt', { atId: 2 });
+  } catch (error) {
+    forkError = error;
+  }
+  check(forkError?.message.includes('already exists'), 'existing session ids rejected');
+  check(await trunk.fork('trunk-bad', { atId: 42 }).then(() => false, () => true), 'unknown interaction ids rejected');
+  fs.rmSync(forkDir, { recursive: true, force: true });
+
+  // Test 2: Rewinding the last turns
+  console.log('\nTest 2: Undo / rewind');
+  const rewound = new MemoryManager({ sessionId: 'rewind', windowSize: 4 });
+  let rewindResult;
+  let auditLines;
+  await withProvider('scripted', async () => {
+    for (let i = 1; i <= 8; i++) await rewound.addInteraction(i % 2 ? 'user' : 'ai', `turn ${Math.ceil(i / 2)} ${i % 2 ? 'question' : 'answer'}`);
+    await rewound.flushCompaction();
+    const [wrongLibrary] = await rewound.proposeFacts(['Use the wrong library', 'Cache everything']);
+    await rewound.acceptProposedFact(wrongLibrary.id);
+    await rewound.pinFact('Keep the API stable');
+    auditLines = await captureLog(async () => { rewindResult = await rewound.rewind(3); });
+  });
+  check(rewound.globalCounter === 3 && rewound.interactions.at(-1).id === 3 && rewound.archive.length === 3, 'interactions after the id removed');
+  check(rewound.summaries.every(s => s.range.endId <= 3) && rewindResult.invalidatedSummaries > 0, 'summaries covering the removed range invalidated');
+  check(rewound.summaries.map(s => `${s.range.startId}-${s.range.endId}`).join() === '1-2' && rewound.interactions.map(i => i.id).join() === '3', 'kept interactions restored from the archive');
+  check(rewound.getPinnedFacts().map(f => f.text).join() === 'Keep the API stable', 'agent facts from removed turns unpinned');
+  check(rewound.getProposedFacts().length === 0, 'pending proposals from removed turns discarded');
+  check(auditLines.some(line => line.includes('[Audit Log]') && line.includes('memory.rewind') && line.includes('"removedInteractions": 5')), 'rewind recorded in the audit log');
+  rewindResult = await withProvider('scripted', () => quietly(async () => {
+    await rewound.addInteraction('ai', 'turn 2 answer, take two');
+    await rewound.addInteraction('user', 'turn 3 question');
+    await rewound.addInteraction('ai', 'turn 3 answer');
+    await rewound.flushCompaction();
+    return rewound.rewindTurns(2);
+  }));
+  check(rewindResult.toId === 2 && rewound.globalCounter === 2 && rewound.archive.at(-1).text === 'turn 1 answer', 'rewind N removes the last N turns');
+  check(await rewound.rewind(7).then(() => false, () => true), 'rewinding past the end rejected');
+
+  finish('session history');
+}
+
+testSessionHistory().catch(err => {
+  console.error('Test failed:', err);
+  process.exit(1);
+});
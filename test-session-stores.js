@@ -0,0 +1,53 @@
+import { MemoryManager } from './lib/MemoryManager.js';
+import { FileSessionStore, SqliteSessionStore } from './lib/stores/index.js';
+import { check, header, finish, withProvider } from './test-helpers.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Offline session store tests - sessions saved through a store reload after a restart
+ */
+async function testSessionStores() {
+  header('durable session stores');
+
+  // Test 1: Sessions persist to a store and reload after a restart
+  console.log('\nTest 1: File session store');
+  const sessionDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lumen-sessions-'));
+  const sessionStore = new FileSessionStore({ directory: sessionDir });
+  await withProvider('scripted', async () => {
+    const persisted = await MemoryManager.load('team/alpha', sessionStore, { windowSize: 2 });
+    await persisted.addInteraction('user', 'Deploy to staging');
+    await persisted.addInteraction('ai', 'Deploying');
+    await persisted.addInteraction('user', 'Now production');
+    await persisted.flushCompaction();
+    const restored = await MemoryManager.load('team/alpha', new FileSessionStore({ directory: sessionDir }));
+    check(restored.globalCounter === 3 && restored.interactions.at(-1).text === 'Now production', 'interactions restored after restart');
+    check(restored.summaries.length === 1 && restored.config.windowSize === 2, 'summaries and config restored');
+    check((await sessionStore.list()).includes('team/alpha') && fs.readdirSync(sessionDir).length === 1, 'unsafe session ids stored under an encoded file name');
+    await restored.addInteraction('user', 'Continue');
+    await restored.flushCompaction();
+  });
+  check((await sessionStore.load('team/alpha')).globalCounter === 4, 'restored sessions keep saving');
+  await sessionStore.delete('team/alpha');
+  check((await MemoryManager.load('team/alpha', sessionStore)).globalCounter === 0, 'deleted sessions start fresh');
+  fs.rmSync(sessionDir, { recursive: true, force: true });
+
+  // Test 2: SQLite store (skipped when better-sqlite3 is not installed)
+  console.log('\nTest 2: SQLite session store');
+  const sqliteStore = new SqliteSessionStore({ filename: path.join(os.tmpdir(), `lumen-sessions-${process.pid}.db`) });
+  try {
+    await sqliteStore.save('s1', { sessionId: 's1', interactions: [], summaries: [], globalCounter: 7 });
+    check((await sqliteStore.load('s1')).globalCounter === 7 && (await sqliteStore.list()).includes('s1'), 'sqlite store round-trips state');
+    fs.rmSync(sqliteStore.filename, { force: true });
+  } catch (error) {
+    console.log(`  - sqlite store skipped (${error.message})`);
+  }
+
+  finish('session store');
+}
+
+testSessionStores().catch(err => {
+  console.error('Test failed:', err);
+  process.exit(1);
+});
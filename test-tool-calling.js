@@ -0,0 +1,63 @@
+import { ScriptedProvider } from './lib/providers/index.js';
+import { MemoryManager } from './lib/MemoryManager.js';
+import { runToolConversation } from './lib/toolDispatcher.js';
+import { createDefaultToolRegistry } from './lib/tools/index.js';
+import { check, header, finish } from './test-helpers.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Offline tool-calling tests - scripted tool calls against a scratch working directory
+ */
+async function testToolCalling() {
+  header('tool-calling mode');
+
+  // Test 1: Tool calling runs several tools per turn and feeds results back
+  console.log('\nTest 1: Several tools per turn, results fed back');
+  const toolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lumen-tools-'));
+  fs.writeFileSync(path.join(toolDir, 'notes.txt'), 'port is 8080');
+  const toolMemory = new MemoryManager({ sessionId: 'tools' });
+  await toolMemory.addInteraction('user', 'The database is Postgres 16');
+  const toolProvider = new ScriptedProvider({
+    responses: [
+      { toolCalls: [
+        { name: 'file_operation', arguments: { operation: 'read', path: 'notes.txt' } },
+        { name: 'search_memory', arguments: { query: 'database postgres' } },
+        { name: 'file_operation', arguments: { operation: 'delete', path: 'notes.txt' } },
+        { name: 'file_operation', arguments: { operation: 'read', path: '../outside.txt' } },
+        { name: 'search_memory', arguments: { query: 42 } }
+      ] },
+      'The service listens on 8080 and uses Postgres 16.'
+    ]
+  });
+  const toolRun = await runToolConversation('What port and database?', toolMemory, { provider: toolProvider, cwd: toolDir });
+  const [readResult, searchResult, deleteResult, escapeResult, badArgsResult] = toolRun.toolCalls.map(c => c.result);
+  check(toolRun.response.includes('8080') && toolRun.rounds === 2, 'plain-text answer ends the conversation');
+  check(readResult.content === 'port is 8080', 'file tool reads inside the working directory');
+  check(searchResult.matches[0]?.text.includes('Postgres'), 'memory search finds earlier interactions');
+  check(deleteResult.status === 'approval_required' && fs.existsSync(path.join(toolDir, 'notes.txt')), 'side effects need approval');
+  check(escapeResult.status === 'blocked', 'paths outside the working directory are blocked');
+  check(badArgsResult.status === 'error' && badArgsResult.message.includes('query'), 'invalid arguments reported to the model');
+  const followUp = toolProvider.calls[1].messages;
+  check(followUp.filter(m => m.role === 'tool').length === 5 && followUp.some(m => m.tool_calls?.length === 5), 'tool results sent back as tool messages');
+  check(toolProvider.calls[0].tools.length === createDefaultToolRegistry().list().length, 'registered tools offered to the model');
+
+  // Test 2: The conversation is capped
+  console.log('\nTest 2: Final answer forced after maxRounds');
+  const capped = new ScriptedProvider({
+    handler: (request) => request.tools.length > 0
+      ? { toolCalls: [{ name: 'search_memory', arguments: { query: 'loop' } }] }
+      : 'Stopping here.'
+  });
+  const cappedRun = await runToolConversation('Loop forever', toolMemory, { provider: capped, maxRounds: 2 });
+  check(cappedRun.response === 'Stopping here.' && cappedRun.toolCalls.length === 2, 'final answer forced after maxRounds');
+  fs.rmSync(toolDir, { recursive: true, force: true });
+
+  finish('tool-calling');
+}
+
+testToolCalling().catch(err => {
+  console.error('Test failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,92 @@
+import { queryOpenAI } from './lib/openaiWrapper.js';
+import { ScriptedProvider } from './lib/providers/index.js';
+import { MemoryManager } from './lib/MemoryManager.js';
+import { MemorySessionStore } from './lib/stores/index.js';
+import { usageTracker, calculateCost, getModelPricing } from './lib/usageTracker.js';
+import { budgetManager, BudgetExceededError } from './lib/budgetManager.js';
+import { check, header, finish, quietly } from './test-helpers.js';
+
+/**
+ * Offline usage tests - token and cost accounting, and the budgets built on it
+ */
+async function testUsage() {
+  header('usage tracking and budgets');
+
+  // Test 1: Token usage is attributed to callers and sessions
+  console.log('\nTest 1: Usage is accounted per caller and session');
+  usageTracker.reset();
+  const accounted = new MemoryManager({ sessionId: 'usage-test', windowSize: 1, maxSummaries: 1 });
+  await queryOpenAI('Hello there', { provider: new ScriptedProvider(), model: 'gpt-4o-mini', caller: 'router', sessionId: 'usage-test' });
+  const usage = accounted.getMemoryStatus().usage;
+  check(usage.calls === 1 && usage.byCaller.router?.calls === 1, 'call attributed to router caller');
+  check(usage.totalTokens > 0 && usage.costUsd > 0, 'tokens and cost accumulated');
+  check(calculateCost('gpt-4o-mini-2024-07-18', { promptTokens: 1_000_000, completionTokens: 0 }) === 0.15, 'dated snapshots use base model pricing');
+  check(usageTracker.getSessionUsage('other').calls === 0, 'other sessions unaffected');
+  check(getModelPricing(undefined) === getModelPricing('gpt-4o-mini') && getModelPricing(null) !== null, 'missing model priced as the default model');
+  check(usageTracker.record({ usage: { promptTokens: 10, completionTokens: 5 }, sessionId: 'modelless' }).costUsd > 0, 'usage without a model still recorded and priced');
+
+  // Test 2: A malformed pricing override falls back to the defaults
+  console.log('\nTest 2: Malformed LUMEN_MODEL_PRICING is ignored');
+  process.env.LUMEN_MODEL_PRICING = '{"gpt-4o-mini": {input: 1}';
+  const originalWarn = console.warn;
+  let pricingWarnings = 0;
+  console.warn = () => { pricingWarnings++; };
+  try {
+    check(calculateCost('gpt-4o-mini', { promptTokens: 1_000_000, completionTokens: 0 }) === 0.15, 'malformed pricing override falls back to defaults');
+    calculateCost('gpt-4o-mini', { promptTokens: 1, completionTokens: 0 });
+    check(pricingWarnings === 1, 'malformed pricing override warned once');
+  } finally {
+    console.warn = originalWarn;
+    delete process.env.LUMEN_MODEL_PRICING;
+  }
+
+  // Test 3: Budgets stop further calls once spent
+  console.log('\nTest 3: Session and API key budgets are hard stops');
+  budgetManager.setLimit('session', { tokens: 1 });
+  try {
+    await queryOpenAI('Hello again', { provider: new ScriptedProvider(), sessionId: 'usage-test' });
+    check(false, 'session over budget is refused');
+  } catch (error) {
+    check(error instanceof BudgetExceededError && error.status === 402 && error.scope === 'session', 'session over budget is refused');
+  }
+  budgetManager.setLimit('session', {});
+  budgetManager.setLimit('apiKey', { usd: 0.000001 });
+  usageTracker.bindSession('keyed', 'sk-client-1234567890');
+  await queryOpenAI('First call', { provider: new ScriptedProvider(), model: 'gpt-4o', sessionId: 'keyed' });
+  check(!budgetManager.check({ sessionId: 'keyed' }).ok, 'API key budget exceeded after spend');
+  check(budgetManager.check({ sessionId: 'unkeyed' }).ok, 'sessions without that key unaffected');
+  budgetManager.setLimit('apiKey', {});
+
+  // Test 4: Session spend is saved with the session
+  console.log('\nTest 4: Session budgets survive a restart');
+  usageTracker.reset();
+  const store = new MemorySessionStore();
+  const spender = new MemoryManager({ sessionId: 'usage-restart', store });
+  await queryOpenAI('Spend something', { provider: new ScriptedProvider(), model: 'gpt-4o', caller: 'router', sessionId: 'usage-restart' });
+  await spender.addInteraction('user', 'Spend something');
+  const spent = usageTracker.getSessionUsage('usage-restart');
+  usageTracker.reset(); // what a restart does to the in-memory totals
+  const reloaded = await MemoryManager.load('usage-restart', store);
+  const restored = reloaded.getMemoryStatus().usage;
+  check(restored.totalTokens === spent.totalTokens && restored.costUsd === spent.costUsd && restored.byCaller.router?.calls === 1, 'spend restored when the session is loaded');
+  budgetManager.setLimit('session', { tokens: spent.totalTokens });
+  check(!budgetManager.check({ sessionId: 'usage-restart' }).ok, 'exhausted budget still enforced after a restart');
+  budgetManager.setLimit('session', {});
+  await queryOpenAI('Spend more', { provider: new ScriptedProvider(), model: 'gpt-4o', sessionId: 'usage-restart' });
+  await MemoryManager.load('usage-restart', store); // stale copy from before the new call
+  check(usageTracker.getSessionUsage('usage-restart').totalTokens > spent.totalTokens, 'reloading a stale copy never lowers spend');
+  check(!('usage' in reloaded.exportSession()), 'spend left out of client exports');
+  const imported = new MemoryManager({ sessionId: 'usage-import' });
+  await quietly(() => imported.importSession({ archive: [{ id: 1, role: 'user', text: 'hi', ts: new Date().toISOString() }], usage: { totalTokens: -5, costUsd: -1 } }));
+  check(usageTracker.getSessionUsage('usage-import').totalTokens === 0, 'imported files cannot set spend');
+  usageTracker.restoreSession('usage-garbage', { totalTokens: 'lots', costUsd: -3, byCaller: { router: { calls: NaN } } });
+  const garbage = usageTracker.getSessionUsage('usage-garbage');
+  check(garbage.totalTokens === 0 && garbage.costUsd === 0 && garbage.byCaller.router.calls === 0, 'malformed saved spend ignored');
+
+  finish('usage');
+}
+
+testUsage().catch(err => {
+  console.error('Test failed:', err);
+  process.exit(1);
+});